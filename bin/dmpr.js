@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// bin/dmpr.js — CLI headless: MODE UJI & run tunggal tanpa browser (core simulasi: src/sim.core.js)
+//
+//   dmpr run    [--config cfg.json] [--scenario suite.json] [--baseline baseline.json] [--out results/]
+//   dmpr single [--config cfg.json] [--out results/]
+//
+//   cfg.json      : param UI { sim_s, dt, noise, seed, sp_Tfeed, kpTIC101, tiTIC101, ... }, key kosong = default,
+//                   disanitasi sama dengan UI (build_cfg_from_params)
+//   suite.json    : library skenario, array atau { scenarios: [...] } (format src/scenarios.js). default: library bawaan
+//   baseline.json : baseline.json dari run sebelumnya -> regresi per skenario (toleransi reg_IAE_pct / reg_product_pt)
+//
+// output di --out (default results/):
+//   metrics.json          hasil lengkap (run: row MODE UJI per skenario; single: metrics per loop + gate)
+//   summary.csv           1 baris per skenario (run) / per loop (single)
+//   baseline.json         baseline run ini (run), bisa dipakai sebagai --baseline berikutnya
+//   <nama>.csv            log resolusi penuh, 1 baris per dt
+//   <nama>.events.json    event log { events: [{ t, msg }], bypasses }
+//
+// exit code: 0 = semua criteria PASS & tanpa regresi, 1 = ada FAIL / regresi, 2 = argumen / file / config tidak valid,
+//            3 = error saat simulasi
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { make_baseline } from "../src/scenarios.js";
+import { build_cfg_from_params, run_single, run_test_suite, log_to_csv } from "../src/sim.core.js";
+
+const EXIT_PASS = 0;
+const EXIT_FAIL = 1;
+const EXIT_USAGE = 2;
+const EXIT_ERROR = 3;
+
+const USAGE = `usage:
+  dmpr run    [--config cfg.json] [--scenario suite.json] [--baseline baseline.json] [--out results/]
+  dmpr single [--config cfg.json] [--out results/]`;
+
+// error input (argumen / file / config) -> exit 2
+class UsageError extends Error {}
+
+const readJson = (file, what) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new UsageError(`${what} ${file}: ${err.message}`);
+  }
+};
+
+// library skenario: array atau { scenarios: [...] } (sama dengan import JSON di UI)
+const readScenarios = (file) => {
+  const j = readJson(file, "Skenario");
+  const list = Array.isArray(j) ? j : j?.scenarios;
+  if (!Array.isArray(list) || !list.length) throw new UsageError(`Skenario ${file}: bukan daftar skenario`);
+  return list;
+};
+
+const fileName = (name) => String(name).replace(/[^A-Za-z0-9_.-]+/g, "_");
+
+const csvCell = (x) => {
+  if (x === null || x === undefined) return "";
+  const s = String(x);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCsv = (cols, rows) => `${[cols, ...rows].map((r) => r.map(csvCell).join(",")).join("\n")}\n`;
+
+const writeJson = (out, file, data) => fs.writeFileSync(path.join(out, file), `${JSON.stringify(data, null, 2)}\n`);
+
+// log resolusi penuh + event log 1 run
+const writeRunLogs = (out, name, run) => {
+  fs.writeFileSync(path.join(out, `${fileName(name)}.csv`), log_to_csv(run.log));
+  writeJson(out, `${fileName(name)}.events.json`, {
+    events: (run.event_log || []).map(([t, msg]) => ({ t, msg })),
+    bypasses: run.bypass_log || [],
+  });
+};
+
+// config + file input -> cfg tersanitasi. Skenario / param tidak valid (throw di core) -> UsageError
+const loadCfg = (opts, extra = {}) => {
+  const params = opts.config ? readJson(opts.config, "Config") : {};
+  if (!params || typeof params !== "object" || Array.isArray(params)) throw new UsageError(`Config ${opts.config}: bukan object`);
+  try {
+    return build_cfg_from_params({ ...params, ...extra });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+};
+
+const cmdRun = (opts, out) => {
+  const extra = {};
+  if (opts.scenario) extra.scenarios = readScenarios(opts.scenario);
+  if (opts.baseline) extra.suite_baseline = readJson(opts.baseline, "Baseline");
+  const cfg = loadCfg(opts, extra);
+  fs.mkdirSync(out, { recursive: true });
+
+  const suite = run_test_suite(cfg, {
+    onProgress: ({ done, n, name }) => console.error(`[${done + 1}/${n}] ${name}`),
+    onRun: (row, run) => writeRunLogs(out, row.name, run),
+  });
+
+  const regressions = (r) => r.baseline?.regressions || [];
+  const failed = suite.filter((r) => r.pass === false || regressions(r).length);
+
+  writeJson(out, "metrics.json", {
+    command: "run",
+    created: new Date().toISOString(),
+    config: opts.config || null,
+    scenario: opts.scenario || null,
+    baseline: opts.baseline || null,
+    pass: failed.length === 0,
+    suite,
+  });
+  writeJson(out, "baseline.json", make_baseline(suite));
+  fs.writeFileSync(path.join(out, "summary.csv"), toCsv(
+    ["name", "pass", "totalIAE", "productPct", "regressions"],
+    suite.map((r) => [r.name, r.pass === null ? "N/A" : r.pass ? "PASS" : "FAIL", r.totalIAE, r.gate.productPct, regressions(r).join("; ")]),
+  ));
+
+  for (const r of suite) {
+    const status = r.pass === null ? "N/A " : r.pass ? "PASS" : "FAIL";
+    console.log(`${status}  ${r.name}  IAE ${r.totalIAE.toFixed(3)}  PRODUCT ${r.gate.productPct.toFixed(1)} %`);
+    for (const c of r.checks.filter((x) => x.pass === false)) console.log(`      ${c.label}: ${c.value} (batas ${c.limit})`);
+    if (regressions(r).length) console.log(`      regresi: ${regressions(r).join(", ")}`);
+  }
+  console.log(`${suite.length - failed.length}/${suite.length} skenario lolos -> ${out}`);
+
+  return failed.length ? EXIT_FAIL : EXIT_PASS;
+};
+
+// run tunggal (setara Run Simulation di UI: tanpa SP step / step disturbance). Tanpa criteria -> selalu exit 0
+const cmdSingle = (opts, out) => {
+  const cfg = loadCfg(opts);
+  fs.mkdirSync(out, { recursive: true });
+
+  const run = run_single(cfg);
+  writeRunLogs(out, "single", run);
+
+  writeJson(out, "metrics.json", {
+    command: "single",
+    created: new Date().toISOString(),
+    config: opts.config || null,
+    metrics: run.metrics,
+    gate: run.gate,
+  });
+  const cols = ["name", "IAE", "ITAE", "OvershootPct", "SettlingTime"];
+  fs.writeFileSync(path.join(out, "summary.csv"), toCsv(cols, run.metrics.map((m) => cols.map((k) => m[k]))));
+
+  for (const m of run.metrics) console.log(`${m.name}  IAE ${m.IAE.toFixed(3)}`);
+  console.log(`PRODUCT ${run.gate.productPct.toFixed(1)} % -> ${out}`);
+  return EXIT_PASS;
+};
+
+const COMMANDS = { run: cmdRun, single: cmdSingle };
+
+const main = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: "string" },
+        scenario: { type: "string" },
+        baseline: { type: "string" },
+        out: { type: "string", default: "results" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values: opts, positionals } = parsed;
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT_PASS;
+  }
+  const cmd = COMMANDS[positionals[0]];
+  if (!cmd || positionals.length > 1) throw new UsageError(`perintah tidak dikenal: ${positionals.join(" ") || "(kosong)"}`);
+  return cmd(opts, opts.out);
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  if (err instanceof UsageError) {
+    console.error(`dmpr: ${err.message}\n${USAGE}`);
+    process.exitCode = EXIT_USAGE;
+  } else {
+    console.error(err?.stack || err);
+    process.exitCode = EXIT_ERROR;
+  }
+}
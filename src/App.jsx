@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import {
   Play, RotateCcw, Settings, TrendingUp, BarChart3, Info,
-  Sun, Moon, FileText, ChevronLeft, ChevronRight, Camera
+  Sun, Moon, FileText, ChevronLeft, ChevronRight, Camera, X
 } from 'lucide-react';
 import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer
+  LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer
 } from 'recharts';
+import {
+  DEFAULT_SCENARIOS, SCENARIO_EVENT_TYPES, SP_KEYS, DIST_KEYS, LOOP_TAGS,
+  DIST_INPUTS, DIST_MVS, DIST_SENSORS, DIST_TARGETS, DIST_SHAPES, DIST_DEFAULTS, FAULT_TYPES, make_baseline,
+} from './scenarios';
 
 const Logo19 = ({ className }) => (
   <div className={`relative flex items-center justify-center ${className}`}>
@@ -79,6 +83,31 @@ const downloadChartAsPng = (chartId, title) => {
   img.src = url;
 };
 
+const ChartCard = ({ title, id, isDarkMode, children }) => (
+  <div
+    className={`border rounded-xl p-1 shadow-sm h-[280px] sm:h-[320px] md:h-[400px] flex flex-col relative transition-colors duration-300
+    ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}
+    id={id}
+  >
+    <div className="px-3 py-2 sm:px-4 sm:py-3 flex justify-between items-center border-b border-gray-100 dark:border-gray-800">
+      <div className={`text-xs sm:text-sm font-bold uppercase tracking-wide ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+        {title}
+      </div>
+      <button
+        onClick={() => downloadChartAsPng(id, title)}
+        className={`p-1.5 rounded-md transition-colors ${isDarkMode ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'}`}
+        title="Unduh Grafik (PNG)"
+        aria-label="Unduh grafik"
+      >
+        <Camera size={16} />
+      </button>
+    </div>
+    <div className="flex-1 p-2">
+      {children}
+    </div>
+  </div>
+);
+
 const getSeriesValues = (data, keys) => {
   const out = [];
   for (const row of data || []) {
@@ -152,6 +181,339 @@ const buildYTicksFromSeries = (data, keys, targetCount) => {
   return { ticks, domain: [ticks[0], ticks[ticks.length - 1]] };
 };
 
+// default interlock table (sama dengan BASE_CONFIG.IL di worker)
+const DEFAULT_IL_TABLE = [
+  { id: "IL-01", desc: "Preheater T_HH -> close steam_pre (TV-101)", tag: "T_feed_out", cmp: ">=", sp: 150.0,
+    deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE", target: "u_steam_pre", value: 0.0, latch: false,
+    bypass: false, bypass_max: 3600, bad_trip: true },
+  { id: "IL-02", desc: "Reboiler T_HH -> close steam_reb (TV-102)", tag: "T_reb", cmp: ">=", sp: 200.0,
+    deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE", target: "u_steam_reb", value: 0.0, latch: false,
+    bypass: false, bypass_max: 3600, bad_trip: true },
+  { id: "IL-03", desc: "Condenser T_out_HH -> force RECYCLE", tag: "T_cond_out", cmp: ">=", sp: 46.0,
+    deadband: 0.0, delay_on: 0, delay_off: 0, action: "ROUTE", target: "RECYCLE", value: null, latch: false,
+    bypass: false, bypass_max: 3600, bad_trip: true },
+  { id: "IL-04", desc: "V201 Level_HH -> force draw high (LV-201)", tag: "L_v201", cmp: ">=", sp: 95.0,
+    deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE_MIN", target: "u_draw", value: 90.0, latch: false,
+    bypass: false, bypass_max: 3600, bad_trip: true },
+  { id: "IL-05", desc: "V201 Level_LL -> force draw low (LV-201)", tag: "L_v201", cmp: "<=", sp: 5.0,
+    deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE_MAX", target: "u_draw", value: 0.0, latch: false,
+    bypass: false, bypass_max: 3600, bad_trip: false },
+  { id: "IL-06", desc: "Analyzer FAIL -> force RECYCLE", tag: "analyzer_ok", cmp: "==", sp: 0,
+    deadband: 0.0, delay_on: 0, delay_off: 0, action: "ROUTE", target: "RECYCLE", value: null, latch: false,
+    bypass: false, bypass_max: 3600, bad_trip: true },
+];
+
+const IL_TAG_OPTIONS = [
+  "F_feed", "T_feed_out", "T_reb", "TT106", "TT201", "T_cond_out", "F_reflux", "L_v201",
+  "rho15", "F_steam", "F_draw", "T_feed_in", "vapor_load", "analyzer_ok", "dTsub", "x_feed", "T_amb",
+];
+const IL_CMP_OPTIONS = [">=", ">", "<=", "<", "==", "!="];
+const IL_ACTION_OPTIONS = ["FORCE", "FORCE_MIN", "FORCE_MAX", "ROUTE"];
+const IL_MV_OPTIONS = ["u_feed", "u_steam_pre", "u_steam_reb", "u_cw", "u_reflux", "u_draw"];
+
+// valve model: [label, id cfg.VALVE, MV key, PV chart key, warna OP]
+const VALVE_LIST = [
+  ["FV-101", "FV101", "u_feed",      "Ffeed",   "#3b82f6"],
+  ["TV-101", "TV101", "u_steam_pre", "Tfeed",   "#facc15"],
+  ["TV-102", "TV102", "u_steam_reb", "Fsteam",  "#fb7185"],
+  ["TV-201", "TV201", "u_cw",        "Tcond",   "#22c55e"],
+  ["FV-201", "FV201", "u_reflux",    "Freflux", "#a78bfa"],
+  ["LV-201", "LV201", "u_draw",      "Fdraw",   "#f472b6"],
+  ["TV-201B", "TV201B", "u_cw_byp",  "Tcond",   "#10b981"],
+];
+const VALVE_MODEL_OPTIONS = ["none", "choudhury", "kano"];
+const VALVE_CHAR_OPTIONS = ["linear", "eq_pct", "quick"];
+
+// split range default TIC-201: OP rendah buka bypass uap panas, OP tinggi buka CW
+const DEFAULT_SPLIT_TIC201 = [
+  { mv: "u_cw_byp", op_lo: 0,  op_hi: 30,  out_lo: 100, out_hi: 0 },
+  { mv: "u_cw",     op_lo: 30, op_hi: 100, out_lo: 0,   out_hi: 100 },
+];
+
+// katalog plant (registry worker, mode "plants"); fallback sampai worker membalas
+const DEFAULT_PLANT_CATALOG = [{ id: "fopdt", label: "FOPDT (dummy)", desc: "", params: {}, tags: {}, mismatch: true }];
+
+// ringkasan backend + parameter model untuk report
+const plantSummary = (catalog, p) => {
+  const pl = catalog.find((x) => x.id === p.backend);
+  if (!pl) return p.backend || "fopdt";
+  const args = Object.entries(pl.params || {}).map(([k, spec]) => `${k} ${p[`${pl.id}_${k}`] ?? spec.def}`);
+  return args.length ? `${pl.id} (${args.join(", ")})` : pl.id;
+};
+
+// JSON tabel interlock: array rows atau { IL: [...] }. null jika tidak valid
+const parseIlJson = (text) => {
+  try {
+    const j = JSON.parse(String(text || ""));
+    const rows = Array.isArray(j) ? j : j?.IL;
+    return Array.isArray(rows) ? rows : null;
+  } catch {
+    return null;
+  }
+};
+
+// default field event skenario per kind (lihat SCENARIO_EVENT_TYPES)
+const SCN_KIND_DEFAULT = {
+  num: 0, sp: "T_reb", dist: "d_feed_temp", loop: "TIC102", mode: "MAN", il: "ALL", bool: true,
+  dtarget: "d_feed_temp", dshape: "ramp", fsensor: "T_reb", ftype: "bias",
+};
+const SCN_KIND_OPTIONS = {
+  sp: SP_KEYS, dist: DIST_KEYS, loop: LOOP_TAGS, mode: ["AUTO", "MAN", "CAS"],
+  dtarget: DIST_TARGETS, dshape: Object.keys(DIST_SHAPES), fsensor: DIST_SENSORS, ftype: FAULT_TYPES,
+};
+
+// kebijakan kontroler saat PV quality BAD (cfg.LOOP[name].bad_pv)
+const BAD_PV_POLICIES = ["HOLD", "MAN", "FAILSAFE"];
+
+// kelas scan controller (s), 0 = tiap step simulasi (dt)
+const SCAN_OPTIONS = [0, 1, 2, 5, 10, 30];
+// langkah integrasi plant maksimum (s), 0 = tanpa sub-step
+const PLANT_DT_OPTIONS = [0, 0.5, 0.25, 0.1];
+
+// field default untuk 1 shape disturbance
+const distShapeFields = (shape) => Object.fromEntries(DIST_SHAPES[shape].map((f) => [f, DIST_DEFAULTS[f]]));
+
+const newScenarioEvent = (type, t) => {
+  const ev = { t, type };
+  for (const [f, kind] of SCENARIO_EVENT_TYPES[type]) ev[f] = (f === "rate") ? 0.05 : SCN_KIND_DEFAULT[kind];
+  return type === "dist" ? { ...ev, ...distShapeFields(ev.shape) } : ev;
+};
+
+// field editor event: type "dist" ditambah field shape-nya
+const scnEventFields = (ev) => [
+  ...(SCENARIO_EVENT_TYPES[ev.type] || []),
+  ...(ev.type === "dist" ? (DIST_SHAPES[ev.shape] || []).map((f) => [f, f === "points" ? "points" : "num"]) : []),
+];
+
+// profile rekaman: teks "t:v, t:v" <-> [[t, v], ...]
+const pointsToText = (pts) => (Array.isArray(pts) ? pts.map(([t, v]) => `${t}:${v}`).join(", ") : "");
+const textToPoints = (text) => String(text || "")
+  .split(/[,;\n]+/)
+  .map((x) => x.trim().split(/[:\s]+/).map(Number))
+  .filter((p) => p.length === 2 && p.every(Number.isFinite));
+
+// CSV t,value (header opsional) -> points relatif terhadap t pertama. null jika < 2 titik
+const parseProfileCsv = (text) => {
+  const pts = String(text || "").split(/\r?\n/)
+    .map((line) => line.split(/[,;\t]/).map((x) => Number(x.trim())))
+    .filter((r) => r.length >= 2 && Number.isFinite(r[0]) && Number.isFinite(r[1]))
+    .map((r) => [r[0], r[1]]);
+  if (pts.length < 2) return null;
+  return pts.map(([t, v]) => [t - pts[0][0], v]);
+};
+
+// chart tempat overlay disturbance per target (input plant, MV, sensor)
+const DIST_CHART = {
+  d_feed_temp: "chart-tfeed", T_feed_in: "chart-tfeed", T_feed_out: "chart-tfeed", u_steam_pre: "chart-tfeed",
+  d_vapor: "chart-treb", vapor_load: "chart-treb", d_steam_press: "chart-treb", T_reb: "chart-treb", u_steam_reb: "chart-treb",
+  cw_degrade_drop: "chart-tcond", d_ambient: "chart-tcond", T_amb: "chart-tcond", T_cond_out: "chart-tcond", u_cw: "chart-tcond",
+  TT106: "chart-tt106", TT201: "chart-dtsub",
+  d_feed_comp: "chart-rho15", x_feed: "chart-rho15", rho15: "chart-rho15",
+  F_feed: "chart-ffeed", u_feed: "chart-ffeed",
+  L_v201: "chart-lv201", u_draw: "chart-lv201",
+  F_reflux: "chart-mv", u_reflux: "chart-mv",
+  F_steam: "chart-fsteam", F_draw: "chart-fdraw",
+};
+const DIST_COLORS = ["#f59e0b", "#ef4444", "#a855f7", "#3b82f6"];
+
+// JSON library skenario: array atau { scenarios: [...] }. null jika tidak valid (validasi lengkap di worker)
+const parseScenarioJson = (text) => {
+  try {
+    const j = JSON.parse(String(text || ""));
+    const list = Array.isArray(j) ? j : j?.scenarios;
+    if (!Array.isArray(list) || !list.every((sc) => sc && typeof sc.name === "string")) return null;
+    return list.map((sc) => ({ ...sc, events: Array.isArray(sc.events) ? sc.events : [] }));
+  } catch {
+    return null;
+  }
+};
+
+// JSON baseline suite (hasil make_baseline, src/scenarios.js). null jika tidak valid
+const parseBaselineJson = (text) => {
+  try {
+    const j = JSON.parse(String(text || ""));
+    return Array.isArray(j?.results) ? j : null;
+  } catch {
+    return null;
+  }
+};
+
+// JSON snapshot simulasi (make_snapshot di worker). null jika bukan snapshot (validasi lengkap di worker)
+const parseSnapshotJson = (text) => {
+  try {
+    const j = JSON.parse(String(text || ""));
+    return (j?.format === "dmpr-snapshot" && j.cfg && j.state) ? j : null;
+  } catch {
+    return null;
+  }
+};
+
+// overlay branch what-if: PV yang digambar per chart -> kolom `BR${i}_${key}` di data chart
+const BRANCH_CHART = {
+  "chart-tfeed": "Tfeed", "chart-treb": "Treb", "chart-tcond": "Tcond", "chart-tt106": "TT106",
+  "chart-rho15": "rho15", "chart-dtsub": "dTsub", "chart-ffeed": "Ffeed", "chart-lv201": "Lv201",
+  "chart-fsteam": "Fsteam", "chart-fdraw": "Fdraw",
+};
+const BRANCH_COLORS = ["#f97316", "#22c55e", "#e879f9", "#38bdf8"];
+const MAX_BRANCHES = 4;
+
+// gabung baris branch ke data chart (sejajar per t); kolom branch sebelumnya dibuang
+const mergeBranchRows = (data, branches) => {
+  const byT = new Map(data.map((r) => [r.t, Object.fromEntries(Object.entries(r).filter(([k]) => !/^BR\d+_/.test(k)))]));
+  branches.forEach((b, i) => {
+    for (const row of b.rows) {
+      const r = byT.get(row.t) || { t: row.t };
+      for (const k of Object.values(BRANCH_CHART)) r[`BR${i}_${k}`] = row[k];
+      byT.set(row.t, r);
+    }
+  });
+  return [...byT.values()].sort((a, b) => a.t - b.t);
+};
+
+// pool worker MODE UJI: 1 worker per core (maks jumlah skenario), skenario dibagi round-robin (suite_shard)
+// lalu digabung urut index -> hasil identik dengan 1 worker. 1 core / Worker gagal dibuat -> 1 worker
+const suitePoolSize = (n_scenarios) =>
+  Math.max(1, Math.min(Math.floor(Number(globalThis.navigator?.hardwareConcurrency) || 1), n_scenarios));
+
+// 1 branch editor: tuning 1 loop (kosong = sama dengan snapshot) + 1 aksi operator opsional
+const newBranch = (i) => ({ name: `B${i + 1}`, loop: "TIC102", Kp: "", Ti: "", Td: "", ev: null });
+
+// field criteria skenario yang bisa diedit (kosong = tidak dicek)
+const SCN_CRITERIA_FIELDS = [
+  ["IAE_max", "IAE ≤"], ["overshoot_max", "OS % ≤"], ["settling_max", "Settling s ≤"], ["product_min", "% PRODUCT ≥"],
+];
+
+// ====== NEW PARAMS (P&ID v2) ======
+// nilai default = spec tipe param (boolean / string / number), lihat coerceParam
+const DEFAULT_PARAMS = {
+  sim_s: 3600, dt: 1.0, noise: true, seed: 12345,
+  // integrator blok FOPDT ("zoh" eksak | "euler" legacy) + sub-step plant
+  integrator: "zoh", plant_dt: 0,
+
+  // backend plant (id registry worker) + parameter model `${id}_${key}` (default dari katalog)
+  backend: "fopdt",
+  flowLag: true, // fopdt: dinamika flow steam / draw (false = gain statis)
+  tray_N: 8, tray_NF: 3, tray_alpha: 2.0, tray_M_weir: 0.15, tray_M_sump: 2.0,
+
+  // setpoints
+  sp_Ffeed: 50.0,
+  sp_Tfeed: 120.0,
+  sp_Treb: 165.0,
+  sp_Tcond: 35.0,
+  sp_Freflux: 50.0,
+  sp_Lv201: 50.0,
+
+  // PI tuning
+  kpFIC101: 1.2, tiFIC101: 40,
+  kpTIC101: 1.2, tiTIC101: 180,
+  kpTIC102: 1.1, tiTIC102: 220,
+  kpTIC201: 1.0, tiTIC201: 220,
+  kpFIC201: 1.4, tiFIC201: 80,
+  kpLIC201: 0.8, tiLIC201: 400,
+
+  // PID option per loop (type "PI" | "PID", Td, filter N, beta, D-on "pv" | "error", gamma jika D-on error)
+  typeFIC101: "PI", tdFIC101: 0, nFIC101: 10, betaFIC101: 1.0, gammaFIC101: 1.0, donFIC101: "pv",
+  typeTIC101: "PI", tdTIC101: 0, nTIC101: 10, betaTIC101: 1.0, gammaTIC101: 1.0, donTIC101: "pv",
+  typeTIC102: "PI", tdTIC102: 0, nTIC102: 10, betaTIC102: 1.0, gammaTIC102: 1.0, donTIC102: "pv",
+  typeTIC201: "PI", tdTIC201: 0, nTIC201: 10, betaTIC201: 1.0, gammaTIC201: 1.0, donTIC201: "pv",
+  typeFIC201: "PI", tdFIC201: 0, nFIC201: 10, betaFIC201: 1.0, gammaFIC201: 1.0, donFIC201: "pv",
+  typeLIC201: "PI", tdLIC201: 0, nLIC201: 10, betaLIC201: 1.0, gammaLIC201: 1.0, donLIC201: "pv",
+
+  // cascade slaves (FIC-102 steam flow, FIC-202 draw flow)
+  kpFIC102: 0.5, tiFIC102: 10,
+  kpFIC202: 0.6, tiFIC202: 8,
+  typeFIC102: "PI", tdFIC102: 0, nFIC102: 10, betaFIC102: 1.0, gammaFIC102: 1.0, donFIC102: "pv",
+  typeFIC202: "PI", tdFIC202: 0, nFIC202: 10, betaFIC202: 1.0, gammaFIC202: 1.0, donFIC202: "pv",
+
+  // cascade enable
+  casTIC102: false,
+  casLIC201: false,
+
+  // operator mode per loop ("AUTO" | "MAN" | "CAS" untuk slave) + output manual (%)
+  modeFIC101: "AUTO", manFIC101: 50,
+  modeTIC101: "AUTO", manTIC101: 35,
+  modeTIC102: "AUTO", manTIC102: 40,
+  modeTIC201: "AUTO", manTIC201: 45,
+  modeFIC201: "AUTO", manFIC201: 55,
+  modeLIC201: "AUTO", manLIC201: 25,
+  modeFIC102: "CAS",  manFIC102: 40,
+  modeFIC202: "CAS",  manFIC202: 25,
+
+  // kebijakan PV BAD per loop ("HOLD" | "MAN" | "FAILSAFE") + output fail-safe (%)
+  badpvFIC101: "HOLD", fsFIC101: 0,
+  badpvTIC101: "HOLD", fsTIC101: 0,
+  badpvTIC102: "HOLD", fsTIC102: 0,
+  badpvTIC201: "HOLD", fsTIC201: 100,
+  badpvFIC201: "HOLD", fsFIC201: 50,
+  badpvLIC201: "HOLD", fsLIC201: 50,
+  badpvFIC102: "HOLD", fsFIC102: 0,
+  badpvFIC202: "HOLD", fsFIC202: 50,
+
+  // scan rate controller per loop (s), 0 = tiap dt
+  ...Object.fromEntries(LOOP_TAGS.map((tag) => [`scan${tag}`, 0])),
+
+  // feedforward paths (enable, K, lead, lag, dead time)
+  ffFF101: false, ffKFF101: -1.667, ffLeadFF101: 0, ffLagFF101: 0,  ffThetaFF101: 0,
+  ffFF102: false, ffKFF102: -1.176, ffLeadFF102: 0, ffLagFF102: 0,  ffThetaFF102: 0,
+  ffFF103: false, ffKFF103: 0.353,  ffLeadFF103: 20, ffLagFF103: 5,  ffThetaFF103: 0,
+  ffFF104: false, ffKFF104: 0.60,   ffLeadFF104: 0, ffLagFF104: 0,  ffThetaFF104: 0,
+
+  // valve model (enable, rate %/s, lag s, deadband %, stiction model + S/J %)
+  // + karakteristik (linear/eq_pct/quick, rangeability R, authority installed)
+  ...Object.fromEntries(VALVE_LIST.flatMap(([, id]) => [
+    [`vl${id}`, false], [`vlRate${id}`, 0], [`vlTau${id}`, 0], [`vlDb${id}`, 0],
+    [`vlModel${id}`, "none"], [`vlS${id}`, 0], [`vlJ${id}`, 0],
+    [`vlChar${id}`, "linear"], [`vlR${id}`, 50], [`vlAuth${id}`, 1.0],
+  ])),
+
+  // split range TIC-201 -> TV-201 (CW) + TV-201B (bypass)
+  splTIC201: false,
+  splSegTIC201: DEFAULT_SPLIT_TIC201,
+
+  // gate knobs
+  g_tt_low: 60.0,
+  g_tt_high: 120.0,
+  g_rho_low: 0.700,
+  g_rho_high: 0.775,
+  g_dTsub: 5.0,
+  g_delay_on: 120,
+  g_delay_off: 30,
+
+  analyzerFail: true,
+
+  // interlock table + operator reset (latched) [{ t, id }]
+  il_table: DEFAULT_IL_TABLE,
+  il_resets: [],
+
+  // bypass interlock terjadwal [{ t, id, on }]
+  il_bypass: [],
+
+  // library skenario MODE UJI (format: src/scenarios.js)
+  scenarios: DEFAULT_SCENARIOS,
+
+  // disturbance generator untuk run tunggal [{ target, shape, t0, ... }]
+  dist_list: [],
+
+  // sensor fault untuk run tunggal [{ sensor, fault, t0, value, dur, period }]
+  fault_list: [],
+
+  // baseline regresi MODE UJI + toleransi (IAE naik %, % PRODUCT turun poin)
+  suite_baseline: null,
+  reg_IAE_pct: 5.0,
+  reg_product_pt: 1.0,
+};
+
+// nilai dari input UI -> tipe default param. Key tanpa default (param model backend, override plant) = number
+const PARAM_COERCE = {
+  boolean: (v) => !!v,
+  string: (v) => String(v),
+  number: (v) => parseFloat(v),
+};
+const coerceParam = (key, val) => {
+  const type = Object.hasOwn(DEFAULT_PARAMS, key) ? typeof DEFAULT_PARAMS[key] : "number";
+  return PARAM_COERCE[type] ? PARAM_COERCE[type](val) : val;
+};
+
 const useViewport = () => {
   const [w, setW] = useState(() => (typeof window !== "undefined" ? window.innerWidth : 1024));
   useEffect(() => {
@@ -167,88 +529,269 @@ export default function App() {
   const [isSimulating, setIsSimulating] = useState(false);
   const [activeChartPage, setActiveChartPage] = useState(0);
 
-  // ====== NEW PARAMS (P&ID v2) ======
-  const [params, setParams] = useState({
-    sim_s: 3600, dt: 1.0, noise: true,
-
-    // setpoints
-    sp_Ffeed: 50.0,
-    sp_Tfeed: 120.0,
-    sp_Treb: 165.0,
-    sp_Tcond: 35.0,
-    sp_Freflux: 50.0,
-    sp_Lv201: 50.0,
-
-    // PI tuning
-    kpFIC101: 1.2, tiFIC101: 40,
-    kpTIC101: 1.2, tiTIC101: 180,
-    kpTIC102: 1.1, tiTIC102: 220,
-    kpTIC201: 1.0, tiTIC201: 220,
-    kpFIC201: 1.4, tiFIC201: 80,
-    kpLIC201: 0.8, tiLIC201: 400,
-
-    // gate knobs
-    g_tt_low: 60.0,
-    g_tt_high: 120.0,
-    g_rho_low: 0.700,
-    g_rho_high: 0.775,
-    g_dTsub: 5.0,
-    g_delay_on: 120,
-    g_delay_off: 30,
-
-    analyzerFail: true,
-  });
+  const [params, setParams] = useState(DEFAULT_PARAMS);
+  const [scnSel, setScnSel] = useState(0);
+  const [ilReset, setIlReset] = useState({ t: 1800, id: "ALL" });
+  const [ilBypass, setIlBypass] = useState({ t: 600, id: "IL-03", on: true });
 
   const [runParams, setRunParams] = useState(null);
   const [simData, setSimData] = useState([]);
   const [metrics, setMetrics] = useState(null);
   const [gateInfo, setGateInfo] = useState(null);
   const [eventLog, setEventLog] = useState([]);
+  const [bypasses, setBypasses] = useState([]);
+  const [distTargets, setDistTargets] = useState([]);
+  const [valveKeys, setValveKeys] = useState([]);
+  const [splitKeys, setSplitKeys] = useState([]);
   const [suiteResults, setSuiteResults] = useState(null);
+  const [suiteLastBaseline, setSuiteLastBaseline] = useState(null);
 
-  const workerRef = useRef(null);
+  // auto-tune (relay) settings + result
+  const [atSettings, setAtSettings] = useState({ loop: "TIC102", rule: "SIMC", type: "PI", h: 5.0 });
+  const [autoTune, setAutoTune] = useState(null);
 
-  useEffect(() => {
-    workerRef.current = new Worker(new URL('./sim.worker.js', import.meta.url), { type: 'module' });
-    return () => {
-      if (workerRef.current) {
-        workerRef.current.terminate();
-        workerRef.current = null;
-      }
-    };
-  }, []);
+  // optimize (tuning berbasis suite): settings + progress stream + hasil
+  const [optSettings, setOptSettings] = useState({
+    loops: ["TIC102"], budget: 40,
+    kp_lo: 0.05, kp_hi: 20, ti_lo: 5, ti_hi: 900,
+    w_IAE: 1.0, w_ITAE: 0.0, w_OS: 0.05, w_MV: 0.01,
+  });
+  const [optProgress, setOptProgress] = useState(null);
+  const [optResult, setOptResult] = useState(null);
+
+  // monte carlo (robustness): settings + progress + hasil
+  const [mcSettings, setMcSettings] = useState({
+    n: 50, noise: true, K_pct: 20, tau_pct: 20, theta_pct: 30, dist_pct: 50, dist_t_s: 300,
+  });
+  const [mcProgress, setMcProgress] = useState(null);
+  const [mcResult, setMcResult] = useState(null);
+  const [mcLoop, setMcLoop] = useState("TOTAL");
+
+  // identifikasi FOPDT/SOPDT: bump manual atau CSV t,u,y
+  const [idSettings, setIdSettings] = useState({ source: "bump", block: "T_reb", bump: 5, order: "FOPDT", csv: "", csvName: "" });
+  const [ident, setIdent] = useState(null);
+
+  const [plantCatalog, setPlantCatalog] = useState(DEFAULT_PLANT_CATALOG);
+
+  // streaming (operator console): status dari worker + input aksi live
+  const [stream, setStream] = useState({ status: "idle", t: 0, sim_s: 0, error: null });
+  const [streamSpeed, setStreamSpeed] = useState("10");
+  // snapshot / branching (what-if)
+  const [snapshot, setSnapshot] = useState(null);
+  const [snapT, setSnapT] = useState(1200);
+  const [branchSpecs, setBranchSpecs] = useState([newBranch(0), newBranch(1)]);
+  const [branchResult, setBranchResult] = useState(null);
+
+  const [streamAct, setStreamAct] = useState({
+    sp_key: "T_feed_out", sp_value: 120, loop: "FIC101", mode: "MAN", out: 50, target: "d_feed_temp", amp: 5,
+  });
 
-  const postToWorker = useCallback((payload) => {
-    if (!workerRef.current) return;
+  const workerRef = useRef(null);
+  // job aktif: id naik tiap request / cancel, balasan dengan job lain (run lama) diabaikan
+  const jobRef = useRef(0);
+  // pool worker tambahan (shard 1..N-1 MODE UJI; shard 0 di workerRef) + hasil shard yang sedang dikumpulkan
+  const poolRef = useRef([]);
+  const suiteRunRef = useRef(null); // { of, total, parts: [rows|null], done: [n] }
+  const [jobProgress, setJobProgress] = useState(null); // { mode, pct, label }
+  const [jobError, setJobError] = useState(null);       // { code, message, mode }
+
+  const handleWorkerMessage = useCallback((ev) => {
+    const p = ev?.data || {};
+    if (p.job != null && p.job !== jobRef.current) return;
+
+    if (p.mode === "plants" && !p.error) {
+      if (Array.isArray(p.plants)) setPlantCatalog(p.plants);
+      return;
+    }
 
-    workerRef.current.onmessage = (ev) => {
-      const p = ev?.data || {};
-      if (p?.error) {
-        setIsSimulating(false);
+    if (p.progress) {
+      const run = suiteRunRef.current;
+      if (p.mode === "suite" && run && p.progress.shard != null) {
+        run.done[p.progress.shard] = p.progress.done;
+        const pct = (100.0 * run.done.reduce((a, b) => a + b, 0)) / Math.max(1, run.total);
+        setJobProgress(prev => ({ mode: p.mode, ...prev, pct, label: p.progress.label }));
         return;
       }
+      setJobProgress(prev => ({ mode: p.mode, ...prev, pct: p.progress.pct, label: p.progress.label }));
+      if (p.mode === "optimize") setOptProgress(p.progress);
+      if (p.mode === "montecarlo") setMcProgress(p.progress);
+      return;
+    }
+
+    // streaming: baris chart & event inkremental, metrics saat selesai/stop
+    if (p.mode === "stream") {
+      const rows = Array.isArray(p.rows) ? p.rows : [];
+      const events = Array.isArray(p.events) ? p.events : [];
+      if (rows.length) setSimData(prev => [...prev, ...rows]);
+      if (events.length) setEventLog(prev => [...prev, ...events].slice(-120));
+      if (Array.isArray(p.distTargets)) setDistTargets(p.distTargets);
+      if (Array.isArray(p.valves)) setValveKeys(p.valves);
+      if (Array.isArray(p.splits)) setSplitKeys(p.splits);
+      if (Array.isArray(p.metrics)) {
+        setMetrics(p.metrics);
+        setGateInfo(p.gate || null);
+        setBypasses(Array.isArray(p.bypasses) ? p.bypasses : []);
+      }
+      if (p.snapshot) setSnapshot(p.snapshot);
+      if (p.error) setJobError(p.error);
+      setStream(prev => ({
+        status: p.status || prev.status, t: p.t ?? prev.t, sim_s: p.sim_s ?? prev.sim_s,
+        error: (p.error || p.action_error)?.message || prev.error,
+      }));
+      if (p.status === "done" || p.status === "stopped") setIsSimulating(false);
+      return;
+    }
+
+    if (p.error) {
+      // job gagal: balasan sisa (shard pool lain) diabaikan
+      jobRef.current += 1;
+      suiteRunRef.current = null;
+      setJobError(p.error);
+      setIsSimulating(false);
+      return;
+    }
+
+    if (p.mode === "snapshot") {
+      setSnapshot(p.snapshot || null);
+      setIsSimulating(false);
+      return;
+    }
+
+    if (p.mode === "branch") {
+      const branches = Array.isArray(p.branches) ? p.branches : [];
+      setBranchResult({ t0: p.t0, branches });
+      setSimData(prev => mergeBranchRows(prev, branches));
+      setIsSimulating(false);
+      return;
+    }
 
-      if (p.mode === "suite") {
-        setSuiteResults(Array.isArray(p.suite) ? p.suite : []);
-        setIsSimulating(false);
+    if (p.mode === "suite" && p.shard != null) {
+      const run = suiteRunRef.current;
+      if (!run) return;
+      run.parts[p.shard] = Array.isArray(p.suite) ? p.suite : [];
+      run.done[p.shard] = run.parts[p.shard].length;
+      if (run.parts.some((x) => x === null)) {
+        setJobProgress(prev => ({ ...prev, pct: (100.0 * run.done.reduce((a, b) => a + b, 0)) / Math.max(1, run.total) }));
         return;
       }
+      const suite = run.parts.flat().sort((a, b) => a.index - b.index);
+      suiteRunRef.current = null;
+      setSuiteResults(suite);
+      setSuiteLastBaseline(make_baseline(suite));
+      setIsSimulating(false);
+      return;
+    }
+
+    if (p.mode === "suite") {
+      setSuiteResults(Array.isArray(p.suite) ? p.suite : []);
+      setSuiteLastBaseline(p.baseline || null);
+      setIsSimulating(false);
+      return;
+    }
+
+    if (p.mode === "autotune") {
+      setAutoTune(p.autotune || null);
+      setIsSimulating(false);
+      return;
+    }
+
+    if (p.mode === "montecarlo") {
+      setMcResult(p.montecarlo || null);
+      setIsSimulating(false);
+      return;
+    }
+
+    if (p.mode === "ident") {
+      setIdent(p.ident || null);
+      setIsSimulating(false);
+      return;
+    }
 
-      const chartData = Array.isArray(p.chartData) ? p.chartData : [];
-      const m = Array.isArray(p.metrics) ? p.metrics : null;
+    if (p.mode === "optimize") {
+      setOptResult(p.optimize || null);
+      setIsSimulating(false);
+      return;
+    }
+
+    const chartData = Array.isArray(p.chartData) ? p.chartData : [];
+    const m = Array.isArray(p.metrics) ? p.metrics : null;
+
+    setSimData(chartData);
+    setMetrics(m);
+    setGateInfo(p.gate || null);
+    setEventLog(Array.isArray(p.eventLog) ? p.eventLog : []);
+    setBypasses(Array.isArray(p.bypasses) ? p.bypasses : []);
+    setDistTargets(Array.isArray(p.distTargets) ? p.distTargets : []);
+    setValveKeys(Array.isArray(p.valves) ? p.valves : []);
+    setSplitKeys(Array.isArray(p.splits) ? p.splits : []);
+    setSuiteResults(null);
+    setIsSimulating(false);
+  }, []);
 
-      setSimData(chartData);
-      setMetrics(m);
-      setGateInfo(p.gate || null);
-      setEventLog(Array.isArray(p.eventLog) ? p.eventLog : []);
-      setSuiteResults(null);
+  const makeWorker = useCallback(() => {
+    const w = new Worker(new URL('./sim.worker.js', import.meta.url), { type: 'module' });
+    w.onmessage = handleWorkerMessage;
+    w.onerror = (ev) => {
+      setJobError({ code: "WORKER_CRASH", message: ev?.message || "Worker berhenti tak terduga", mode: null });
       setIsSimulating(false);
     };
+    return w;
+  }, [handleWorkerMessage]);
+
+  const spawnWorker = useCallback(() => {
+    workerRef.current = makeWorker();
+    workerRef.current.postMessage({ mode: "plants" });
+  }, [makeWorker]);
+
+  const terminatePool = () => {
+    for (const w of poolRef.current) w.terminate();
+    poolRef.current = [];
+    suiteRunRef.current = null;
+  };
+
+  // -> jumlah worker yang benar-benar tersedia (fallback 1 jika Worker tambahan gagal dibuat)
+  const ensurePool = useCallback((size) => {
+    try {
+      while (poolRef.current.length < size - 1) poolRef.current.push(makeWorker());
+    } catch {
+      // browser tanpa dukungan worker tambahan: pakai yang sudah ada
+    }
+    return 1 + Math.min(poolRef.current.length, size - 1);
+  }, [makeWorker]);
 
-    workerRef.current.onerror = () => setIsSimulating(false);
-    workerRef.current.postMessage(payload);
+  useEffect(() => {
+    spawnWorker();
+    return () => {
+      terminatePool();
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, [spawnWorker]);
+
+  // shards: payload tambahan per worker (index 0 = workerRef, 1.. = poolRef), semua dengan job yang sama
+  const postToWorker = useCallback((payload, shards = [{}]) => {
+    const workers = [workerRef.current, ...poolRef.current];
+    if (!workers[0] || shards.length > workers.length) return;
+    jobRef.current += 1;
+    setJobProgress({ mode: payload.mode, pct: null, label: "" });
+    setJobError(null);
+    shards.forEach((extra, i) => workers[i].postMessage({ ...payload, ...extra, job: jobRef.current }));
   }, []);
 
+  // cancel: job worker sinkron (tidak membaca pesan di tengah run) -> terminate & buat worker baru,
+  // balasan yang masih di antrean worker lama otomatis diabaikan karena job sudah berganti
+  const cancelJob = useCallback(() => {
+    jobRef.current += 1;
+    workerRef.current?.terminate();
+    terminatePool();
+    spawnWorker();
+    setIsSimulating(false);
+    setJobProgress(null);
+    setStream(prev => (prev.status === "running" || prev.status === "paused" ? { ...prev, status: "stopped" } : prev));
+  }, [spawnWorker]);
+
   const runSimulation = useCallback(async () => {
     setIsSimulating(true);
     await new Promise(r => setTimeout(r, 60));
@@ -258,11 +801,101 @@ export default function App() {
     setMetrics(null);
     setGateInfo(null);
     setEventLog([]);
+    setBypasses([]);
+    setDistTargets([]);
     setSuiteResults(null);
+    setBranchResult(null);
 
     postToWorker({ mode: "single", ...params });
   }, [params, postToWorker]);
 
+  // streaming: run tunggal berjalan real-time (speed 1x/10x/100x/max), aksi operator diterapkan di t sim saat ini
+  // snap: lanjutkan dari snapshot (cfg snapshot, param UI tidak dipakai)
+  const startStream = useCallback((snap = null) => {
+    setIsSimulating(true);
+
+    setRunParams({ ...params });
+    setSimData([]);
+    setMetrics(null);
+    setGateInfo(null);
+    setEventLog([]);
+    setBypasses([]);
+    setDistTargets([]);
+    setSuiteResults(null);
+    setBranchResult(null);
+    setStream({ status: "running", t: snap?.t ?? 0, sim_s: snap?.cfg?.SIM?.sim_s ?? params.sim_s, error: null });
+
+    postToWorker({ mode: "stream", ...params, speed: streamSpeed, ...(snap ? { snapshot: snap } : {}) });
+  }, [params, streamSpeed, postToWorker]);
+
+  const streamCtl = (cmd, extra = {}) => workerRef.current?.postMessage({ mode: "stream_ctl", cmd, ...extra });
+
+  const streamAction = (action) => {
+    setStream(prev => ({ ...prev, error: null }));
+    workerRef.current?.postMessage({ mode: "stream_action", action });
+  };
+
+  const streamLive = stream.status === "running" || stream.status === "paused";
+
+  // ===== snapshot / restore / branching =====
+  const takeSnapshot = useCallback(async () => {
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+    postToWorker({ mode: "snapshot", ...params, snap_t: snapT });
+  }, [params, snapT, postToWorker]);
+
+  // lanjutan snapshot sampai sim_s (chart mulai di t snapshot)
+  const restoreSnapshot = useCallback(async () => {
+    if (!snapshot) return;
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+
+    setSimData([]);
+    setMetrics(null);
+    setGateInfo(null);
+    setEventLog([]);
+    setBypasses([]);
+    setSuiteResults(null);
+    setBranchResult(null);
+
+    postToWorker({ mode: "restore", snapshot });
+  }, [snapshot, postToWorker]);
+
+  const runBranches = useCallback(async () => {
+    if (!snapshot) return;
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+
+    const num = (v) => (v === "" ? undefined : Number(v));
+    const branches = branchSpecs.map((b) => {
+      const x = { Kp: num(b.Kp), Ti: num(b.Ti), Td: num(b.Td) };
+      const changed = Object.values(x).some((v) => v !== undefined);
+      return { name: b.name, tuning: changed ? { [b.loop]: x } : {}, events: b.ev ? [b.ev] : [] };
+    });
+    postToWorker({ mode: "branch", snapshot, branches });
+  }, [snapshot, branchSpecs, postToWorker]);
+
+  const updateBranch = (idx, key, val) => {
+    setBranchSpecs(prev => prev.map((b, i) => {
+      if (i !== idx) return b;
+      // aksi: ganti type -> field default type baru (t = t snapshot); ganti shape -> field shape baru
+      if (key === "evType") return { ...b, ev: val ? newScenarioEvent(val, snapshot?.t ?? 0) : null };
+      if (key === "shape") return { ...b, ev: { t: b.ev.t, type: b.ev.type, target: b.ev.target, shape: val, ...distShapeFields(val) } };
+      if (key.startsWith("ev.")) return { ...b, ev: { ...b.ev, [key.slice(3)]: val } };
+      return { ...b, [key]: val };
+    }));
+  };
+
+  const importSnapshot = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const snap = parseSnapshotJson(reader.result);
+      if (snap) setSnapshot(snap);
+    };
+    reader.readAsText(file);
+  };
+
   const runModeUji = useCallback(async () => {
     setIsSimulating(true);
     await new Promise(r => setTimeout(r, 60));
@@ -270,23 +903,382 @@ export default function App() {
     setRunParams({ ...params });
     setSuiteResults(null);
 
-    postToWorker({ mode: "suite", ...params });
+    const n_sc = (params.scenarios?.length ? params.scenarios : DEFAULT_SCENARIOS).filter((sc) => sc.enabled !== false).length;
+    const of = ensurePool(suitePoolSize(n_sc));
+    if (of > 1) {
+      suiteRunRef.current = { of, total: n_sc, parts: Array(of).fill(null), done: Array(of).fill(0) };
+      postToWorker({ mode: "suite", ...params }, Array.from({ length: of }, (_, k) => ({ suite_shard: { k, of } })));
+    } else {
+      suiteRunRef.current = null;
+      postToWorker({ mode: "suite", ...params });
+    }
+  }, [params, postToWorker, ensurePool]);
+
+  // run tunggal 1 skenario dari library (chart + metrics seperti Run biasa)
+  const runScenario = useCallback(async (sc) => {
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+
+    setRunParams({ ...params });
+    setSimData([]);
+    setMetrics(null);
+    setGateInfo(null);
+    setEventLog([]);
+    setBypasses([]);
+    setDistTargets([]);
+    setSuiteResults(null);
+    setBranchResult(null);
+
+    postToWorker({ mode: "single", ...params, single_scenario: sc });
   }, [params, postToWorker]);
 
-  useEffect(() => { runSimulation(); }, []); // auto-run
+  const runAutoTune = useCallback(async () => {
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
 
-  const handleParamChange = (key, val) => {
-    if (key === "noise") {
-      setParams(prev => ({ ...prev, noise: !!val }));
-      return;
+    setAutoTune(null);
+
+    postToWorker({
+      mode: "autotune", ...params,
+      at_loop: atSettings.loop, at_rule: atSettings.rule, at_type: atSettings.type, at_h: atSettings.h,
+    });
+  }, [params, atSettings, postToWorker]);
+
+  // 1 klik: usulan auto-tune -> params (Kp/Ti/Td + tipe kontroler)
+  const applyAutoTune = useCallback(() => {
+    if (!autoTune?.tuning) return;
+    const tag = autoTune.loop;
+    const r3 = (x) => Math.round(Number(x) * 1000) / 1000;
+    setParams(prev => ({
+      ...prev,
+      [`kp${tag}`]: r3(autoTune.tuning.Kp),
+      [`ti${tag}`]: r3(autoTune.tuning.Ti),
+      [`td${tag}`]: r3(autoTune.tuning.Td),
+      [`type${tag}`]: autoTune.type === "PID" ? "PID" : "PI",
+    }));
+  }, [autoTune]);
+
+  const runOptimize = useCallback(async () => {
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+
+    setOptProgress(null);
+    setOptResult(null);
+
+    const o = optSettings;
+    postToWorker({
+      mode: "optimize", ...params,
+      opt_loops: o.loops, opt_budget: o.budget,
+      opt_kp_lo: o.kp_lo, opt_kp_hi: o.kp_hi, opt_ti_lo: o.ti_lo, opt_ti_hi: o.ti_hi,
+      opt_w_IAE: o.w_IAE, opt_w_ITAE: o.w_ITAE, opt_w_OS: o.w_OS, opt_w_MV: o.w_MV,
+    });
+  }, [params, optSettings, postToWorker]);
+
+  const applyOptimize = useCallback(() => {
+    const best = optResult?.best?.tuning;
+    if (!best) return;
+    const r3 = (x) => Math.round(Number(x) * 1000) / 1000;
+    setParams(prev => {
+      const next = { ...prev };
+      for (const [tag, t] of Object.entries(best)) {
+        next[`kp${tag}`] = r3(t.Kp);
+        next[`ti${tag}`] = r3(t.Ti);
+        next[`td${tag}`] = r3(t.Td);
+      }
+      return next;
+    });
+  }, [optResult]);
+
+  const runMonteCarlo = useCallback(async () => {
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+
+    setMcProgress(null);
+    setMcResult(null);
+
+    const m = mcSettings;
+    postToWorker({
+      mode: "montecarlo", ...params,
+      mc_n: m.n, mc_seed: params.seed, mc_noise: m.noise,
+      mc_K_pct: m.K_pct, mc_tau_pct: m.tau_pct, mc_theta_pct: m.theta_pct,
+      mc_dist_pct: m.dist_pct, mc_dist_t_s: m.dist_t_s,
+    });
+  }, [params, mcSettings, postToWorker]);
+
+  const runIdent = useCallback(async () => {
+    setIsSimulating(true);
+    await new Promise(r => setTimeout(r, 60));
+
+    setIdent(null);
+
+    postToWorker({
+      mode: "ident", ...params,
+      id_source: idSettings.source, id_block: idSettings.block, id_bump: idSettings.bump,
+      id_order: idSettings.order, id_csv: idSettings.csv,
+    });
+  }, [params, idSettings, postToWorker]);
+
+  const loadIdentCsv = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setIdSettings(prev => ({ ...prev, csv: String(reader.result || ""), csvName: file.name }));
+    reader.readAsText(file);
+  };
+
+  // model hasil identifikasi -> override blok plant (cfg.PLANT.blocks)
+  const exportIdent = useCallback(() => {
+    if (!ident) return;
+    const blk = ident.source === "csv" ? idSettings.block : ident.block;
+    const r3 = (x) => Math.round(Number(x) * 1000) / 1000;
+    setParams(prev => ({
+      ...prev,
+      [`plantK_${blk}`]: r3(ident.K),
+      [`plantTau_${blk}`]: r3(ident.tau),
+      [`plantTheta_${blk}`]: r3(ident.theta),
+      [`plantTau2_${blk}`]: r3(ident.tau2),
+    }));
+  }, [ident, idSettings.block]);
+
+  // ===== interlock table editor =====
+  const updateIlRow = (idx, key, val) => {
+    setParams(prev => {
+      const rows = prev.il_table.map((r, i) => {
+        if (i !== idx) return r;
+        const next = { ...r, [key]: val };
+        // ganti action: target harus ikut valid (MV vs route)
+        if (key === "action") {
+          if (val === "ROUTE" && !["RECYCLE", "PRODUCT"].includes(next.target)) { next.target = "RECYCLE"; next.value = null; }
+          if (val !== "ROUTE" && !IL_MV_OPTIONS.includes(next.target)) { next.target = IL_MV_OPTIONS[0]; next.value = 0; }
+        }
+        return next;
+      });
+      return { ...prev, il_table: rows };
+    });
+  };
+
+  const addIlRow = () => {
+    setParams(prev => {
+      const n = 1 + Math.max(0, ...prev.il_table.map(r => parseInt(String(r.id).replace(/\D/g, ""), 10) || 0));
+      return {
+        ...prev,
+        il_table: [...prev.il_table, {
+          id: `IL-${String(n).padStart(2, "0")}`, desc: "", tag: "T_reb", cmp: ">=", sp: 0,
+          deadband: 0, delay_on: 0, delay_off: 0, action: "FORCE", target: "u_steam_reb", value: 0, latch: false,
+          bypass: false, bypass_max: 3600, bad_trip: true,
+        }],
+      };
+    });
+  };
+
+  const removeIlRow = (idx) => setParams(prev => ({ ...prev, il_table: prev.il_table.filter((_, i) => i !== idx) }));
+
+  const exportIlTable = () => {
+    const blob = new Blob([JSON.stringify({ IL: params.il_table }, null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "interlock_table.json";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  const importIlTable = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const rows = parseIlJson(reader.result);
+      if (rows) setParams(prev => ({ ...prev, il_table: rows }));
+    };
+    reader.readAsText(file);
+  };
+
+  // ===== scenario library editor =====
+  const updateScenario = (idx, key, val) => {
+    setParams(prev => ({ ...prev, scenarios: prev.scenarios.map((sc, i) => (i === idx ? { ...sc, [key]: val } : sc)) }));
+  };
+
+  const updateScnEvent = (idx, k, key, val) => {
+    setParams(prev => ({
+      ...prev,
+      scenarios: prev.scenarios.map((sc, i) => {
+        if (i !== idx) return sc;
+        // ganti type: field di-reset ke default type baru (t tetap); ganti shape: field shape baru
+        const events = sc.events.map((ev, j) => {
+          if (j !== k) return ev;
+          if (key === "type") return newScenarioEvent(val, ev.t);
+          if (key === "shape") return { t: ev.t, type: ev.type, target: ev.target, shape: val, ...distShapeFields(val) };
+          return { ...ev, [key]: val };
+        });
+        return { ...sc, events };
+      }),
+    }));
+  };
+
+  const addScnEvent = (idx) => {
+    const sc = params.scenarios[idx];
+    const t = sc.events.length ? Number(sc.events[sc.events.length - 1].t) + 300 : 600;
+    updateScenario(idx, "events", [...sc.events, newScenarioEvent("sp_step", t)]);
+  };
+
+  const removeScnEvent = (idx, k) => {
+    updateScenario(idx, "events", params.scenarios[idx].events.filter((_, j) => j !== k));
+  };
+
+  const addScenario = (copyOf) => {
+    const names = new Set(params.scenarios.map((sc) => sc.name));
+    const base = copyOf ? `${copyOf.name}_COPY` : "S";
+    const n = 1 + Math.max(0, ...[...names].map((x) => (x.startsWith(base) ? parseInt(x.slice(base.length), 10) || 0 : 0)));
+    const sc = copyOf
+      ? { ...copyOf, name: `${base}${n}`, events: copyOf.events.map((ev) => ({ ...ev })) }
+      : { name: `${base}${n}`, desc: "", events: [] };
+    setParams(prev => ({ ...prev, scenarios: [...prev.scenarios, sc] }));
+    setScnSel(params.scenarios.length);
+  };
+
+  const removeScenario = (idx) => {
+    setParams(prev => ({ ...prev, scenarios: prev.scenarios.filter((_, i) => i !== idx) }));
+    setScnSel(Math.max(0, Math.min(idx, params.scenarios.length - 2)));
+  };
+
+  const downloadJson = (obj, filename) => {
+    const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  const exportScenarios = () => downloadJson({ scenarios: params.scenarios }, "scenarios.json");
+
+  const importScenarios = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const list = parseScenarioJson(reader.result);
+      if (list) {
+        setParams(prev => ({ ...prev, scenarios: list }));
+        setScnSel(0);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const updateScnCriteria = (idx, key, val) => {
+    const c = { ...(params.scenarios[idx].criteria || {}) };
+    if (val === "" || val === false || (typeof val === "number" && !Number.isFinite(val))) delete c[key];
+    else c[key] = val;
+    updateScenario(idx, "criteria", c);
+  };
+
+  const importBaseline = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const b = parseBaselineJson(reader.result);
+      if (b) setParams(prev => ({ ...prev, suite_baseline: b }));
+    };
+    reader.readAsText(file);
+  };
+
+  const scnCur = params.scenarios[scnSel] || null;
+
+  // ===== disturbance library (run tunggal) =====
+  const updateDist = (idx, key, val) => {
+    setParams(prev => ({
+      ...prev,
+      dist_list: prev.dist_list.map((d, i) => {
+        if (i !== idx) return d;
+        if (key === "shape") return { target: d.target, shape: val, t0: d.t0, ...distShapeFields(val) };
+        return { ...d, [key]: val };
+      }),
+    }));
+  };
+
+  const addDist = (d) => {
+    setParams(prev => ({
+      ...prev,
+      dist_list: [...prev.dist_list, d || { target: "d_feed_temp", shape: "ramp", t0: 600, ...distShapeFields("ramp") }],
+    }));
+  };
+
+  const importDistProfile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const points = parseProfileCsv(reader.result);
+      if (points) addDist({ target: "d_feed_temp", shape: "profile", t0: 0, points, dur: 0 });
+    };
+    reader.readAsText(file);
+  };
+
+  // ===== sensor faults (run tunggal) =====
+  const updateFault = (idx, key, val) => {
+    setParams(prev => ({ ...prev, fault_list: prev.fault_list.map((f, i) => (i === idx ? { ...f, [key]: val } : f)) }));
+  };
+
+  const addFault = () => {
+    setParams(prev => ({
+      ...prev,
+      fault_list: [...prev.fault_list, { sensor: "T_reb", fault: "bias", t0: 600, value: 2.0, dur: 600, period: 0 }],
+    }));
+  };
+
+  const updateSplitSeg = (loop, idx, key, val) => {
+    setParams(prev => ({
+      ...prev,
+      [`splSeg${loop}`]: prev[`splSeg${loop}`].map((sg, i) => (i === idx ? { ...sg, [key]: val } : sg)),
+    }));
+  };
+
+  // input 1 field (editor skenario & disturbance library)
+  const inputCls = `text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`;
+  const renderField = (kind, value, onChange) => {
+    if (kind === "num") {
+      return <input type="number" value={value ?? 0} onChange={(e) => onChange(parseFloat(e.target.value))} className={`w-16 ${inputCls}`} />;
     }
-    if (key === "analyzerFail") {
-      setParams(prev => ({ ...prev, analyzerFail: !!val }));
-      return;
+    if (kind === "bool") {
+      return <input type="checkbox" checked={!!value} onChange={(e) => onChange(e.target.checked)} className="accent-teal-500" />;
+    }
+    if (kind === "points") {
+      // teks bebas, di-parse saat blur (tidak mengganggu saat mengetik)
+      return (
+        <input
+          key={pointsToText(value)} defaultValue={pointsToText(value)} placeholder="t:v, t:v"
+          onBlur={(e) => onChange(textToPoints(e.target.value))}
+          className={`w-48 font-mono ${inputCls}`}
+        />
+      );
+    }
+    if (kind === "dtarget") {
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={inputCls}>
+          {[["Input plant", DIST_INPUTS], ["MV (% valve)", DIST_MVS], ["Sensor", DIST_SENSORS]].map(([g, opts]) => (
+            <optgroup key={g} label={g}>
+              {opts.map((o) => <option key={o} value={o}>{o}</option>)}
+            </optgroup>
+          ))}
+        </select>
+      );
     }
-    setParams(prev => ({ ...prev, [key]: parseFloat(val) }));
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={inputCls}>
+        {(kind === "il" ? ["ALL", ...params.il_table.map((r) => r.id)] : SCN_KIND_OPTIONS[kind] || []).map((o) => <option key={o} value={o}>{o}</option>)}
+      </select>
+    );
   };
 
+  const resetPlantOverrides = () => {
+    setParams(prev => Object.fromEntries(Object.entries(prev).filter(([k]) => !k.startsWith("plant"))));
+  };
+
+  useEffect(() => { runSimulation(); }, []); // auto-run
+
+  const handleParamChange = (key, val) => {
+    setParams(prev => ({ ...prev, [key]: coerceParam(key, val) }));
+  };
+
+  const activePlant = plantCatalog.find((pl) => pl.id === params.backend);
+
   const SliderControl = ({ label, id, min, max, step, val, unit = "" }) => (
     <div className="mb-3">
       <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -303,30 +1295,32 @@ export default function App() {
     </div>
   );
 
-  const ChartCard = ({ title, id, children }) => (
-    <div
-      className={`border rounded-xl p-1 shadow-sm h-[280px] sm:h-[320px] md:h-[400px] flex flex-col relative transition-colors duration-300
-      ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}
-      id={id}
-    >
-      <div className="px-3 py-2 sm:px-4 sm:py-3 flex justify-between items-center border-b border-gray-100 dark:border-gray-800">
-        <div className={`text-xs sm:text-sm font-bold uppercase tracking-wide ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-          {title}
-        </div>
-        <button
-          onClick={() => downloadChartAsPng(id, title)}
-          className={`p-1.5 rounded-md transition-colors ${isDarkMode ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'}`}
-          title="Unduh Grafik (PNG)"
-          aria-label="Unduh grafik"
-        >
-          <Camera size={16} />
-        </button>
-      </div>
-      <div className="flex-1 p-2">
-        {children}
-      </div>
-    </div>
-  );
+  // overlay disturbance aktif untuk 1 chart (sumbu kanan terpisah)
+  const distOverlay = (chartId) => {
+    const ks = distTargets.filter((k) => DIST_CHART[k] === chartId);
+    if (!ks.length) return null;
+    return [
+      <YAxis key="dist-axis" yAxisId="dist" orientation="right" stroke="#f59e0b" tick={{ fontSize: 10 }} width={40} />,
+      ...ks.map((k, i) => (
+        <Line
+          key={k} yAxisId="dist" type="monotone" dataKey={`DIST_${k}`} stroke={DIST_COLORS[i % DIST_COLORS.length]}
+          strokeDasharray="2 3" dot={false} isAnimationActive={false} name={`dist ${k}`}
+        />
+      )),
+    ];
+  };
+
+  // lanjutan branch what-if (garis putus-putus, mulai t snapshot)
+  const branchOverlay = (chartId) => {
+    const k = BRANCH_CHART[chartId];
+    if (!k || !branchResult) return null;
+    return branchResult.branches.map((b, i) => (
+      <Line
+        key={`br${i}`} type="monotone" dataKey={`BR${i}_${k}`} stroke={BRANCH_COLORS[i % BRANCH_COLORS.length]}
+        strokeWidth={1.5} strokeDasharray="6 3" dot={false} connectNulls isAnimationActive={false} name={b.name}
+      />
+    ));
+  };
 
   const CHART_PAGES = [
     { title: "Temperatures (TIC-101 & TIC-102)", charts: ["Tfeed", "Treb"] },
@@ -334,6 +1328,9 @@ export default function App() {
     { title: "Quality Gate (rho15 & ΔTsub)", charts: ["rho15", "dTsub"] },
     { title: "Flows & Level (FIC/LIC)", charts: ["Ffeed", "Lv201"] },
     { title: "Controller Outputs (MV %)", charts: ["outputs"] },
+    { title: "Cascade Slaves (FIC-102 & FIC-202)", charts: ["Fsteam", "Fdraw"] },
+    { title: "Valve: OP vs Posisi", charts: ["valves"] },
+    { title: "Plant Tags (backend)", charts: ["tags"] },
   ];
 
   const fmt = (v, digits = 2) => Number.isFinite(Number(v)) ? Number(v).toFixed(digits) : "-";
@@ -357,6 +1354,13 @@ export default function App() {
   const yFfeed = useMemo(() => buildYTicksFromSeries(simData, ["Ffeed", "SP_Ffeed"], Y_TICK_TARGET), [simData, Y_TICK_TARGET]);
   const yLv = useMemo(() => buildYTicksFromSeries(simData, ["Lv201", "SP_Lv201"], Y_TICK_TARGET), [simData, Y_TICK_TARGET]);
 
+  const yFsteam = useMemo(() => buildYTicksFromSeries(simData, ["Fsteam", "SP_Fsteam"], Y_TICK_TARGET), [simData, Y_TICK_TARGET]);
+  const yFdraw  = useMemo(() => buildYTicksFromSeries(simData, ["Fdraw", "SP_Fdraw"], Y_TICK_TARGET), [simData, Y_TICK_TARGET]);
+
+  // tag backend yang tercatat di run terakhir (kolom TAG_<key> chart_row) + metadata katalog
+  const plantTagKeys = useMemo(() => Object.keys(simData[0] || {}).filter((k) => k.startsWith("TAG_")).map((k) => k.slice(4)), [simData]);
+  const runPlantTags = plantCatalog.find((pl) => pl.id === (runParams?.backend || "fopdt"))?.tags || {};
+
   const yMV = useMemo(() => {
     const ticks = buildTicks(0, 100, isMobile ? 6 : 7);
     return { ticks, domain: [0, 100] };
@@ -405,6 +1409,18 @@ export default function App() {
               {isDarkMode ? <Sun size={18} className="hidden sm:block" /> : <Moon size={18} className="hidden sm:block" />}
             </button>
 
+            {isSimulating && (
+              <button
+                onClick={cancelJob}
+                className="flex items-center gap-1.5 px-3 py-1.5 sm:py-2 rounded-full font-medium transition-all bg-red-500 hover:bg-red-400 text-white"
+                aria-label="Cancel job"
+                title="Batalkan job yang sedang berjalan (worker di-restart)"
+              >
+                <X className="w-4 h-4" />
+                <span className="hidden sm:inline">Batal</span>
+              </button>
+            )}
+
             <button
               onClick={runModeUji}
               disabled={isSimulating}
@@ -441,8 +1457,32 @@ export default function App() {
 
       <main className="flex-1 w-full px-3 sm:px-4 lg:px-8 py-4 sm:py-6 grid grid-cols-1 lg:grid-cols-12 gap-4 sm:gap-6">
 
-        <aside className="lg:col-span-3 space-y-4">
-
+        {isSimulating && jobProgress?.pct != null && (
+          <div className={`lg:col-span-12 border rounded-xl px-4 py-2 ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex justify-between text-[11px] mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              <span>{jobProgress.mode} · {jobProgress.label}</span>
+              <span className="font-mono text-teal-500">{fmt(jobProgress.pct, 0)}%</span>
+            </div>
+            <div className={`h-1.5 rounded ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
+              <div className="h-1.5 rounded bg-teal-500" style={{ width: `${jobProgress.pct}%` }} />
+            </div>
+          </div>
+        )}
+
+        {jobError && (
+          <div role="alert" className="lg:col-span-12 flex items-start justify-between gap-3 border rounded-xl px-4 py-2 text-xs border-red-500/40 bg-red-500/10 text-red-500">
+            <span>
+              <span className="font-mono font-semibold">{jobError.code}</span>
+              {jobError.mode ? ` (${jobError.mode})` : ''}: {jobError.message}
+            </span>
+            <button onClick={() => setJobError(null)} aria-label="Tutup error" className="hover:text-red-400">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        <aside className="lg:col-span-3 space-y-4">
+
           <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
             <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
               <Settings className="w-4 h-4 text-teal-500" />
@@ -450,7 +1490,61 @@ export default function App() {
             </div>
 
             <SliderControl label="Durasi (s)" id="sim_s" min={600} max={7200} step={300} val={params.sim_s} />
-            <SliderControl label="Time Step (dt)" id="dt" min={0.5} max={2.0} step={0.5} val={params.dt} />
+            <SliderControl label="Time Step (dt)" id="dt" min={0.5} max={5.0} step={0.5} val={params.dt} />
+
+            {[
+              ["integrator", "Integrator FOPDT", [["zoh", "ZOH eksak + dead time pecahan"], ["euler", "Euler (legacy)"]]],
+              ["plant_dt", "Sub-step plant", PLANT_DT_OPTIONS.map((v) => [v, v ? `≤ ${v} s` : "OFF (= dt)"])],
+            ].map(([key, label, opts]) => (
+              <div key={key} className={`flex items-center justify-between gap-2 mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor={key}>{label}</label>
+                <select
+                  id={key} value={params[key]}
+                  onChange={(e) => handleParamChange(key, e.target.value)}
+                  className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                >
+                  {opts.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                </select>
+              </div>
+            ))}
+
+            <div className={`flex items-center justify-between gap-2 mt-3 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
+              <label htmlFor="backend" className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Plant Backend</label>
+              <select
+                id="backend" value={params.backend}
+                onChange={(e) => handleParamChange("backend", e.target.value)}
+                className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+              >
+                {plantCatalog.map((pl) => <option key={pl.id} value={pl.id}>{pl.label}</option>)}
+              </select>
+            </div>
+            {activePlant && (
+              <div className="mt-2">
+                {Object.entries(activePlant.params || {}).map(([k, spec]) => {
+                  const id = `${activePlant.id}_${k}`;
+                  return (
+                    <SliderControl
+                      key={id} label={spec.label || k} id={id} min={spec.min} max={spec.max} step={spec.step}
+                      val={params[id] ?? spec.def} unit={spec.unit || ""}
+                    />
+                  );
+                })}
+                {activePlant.id === "fopdt" && (
+                  <div className={`flex items-center justify-between mb-2 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
+                    <label htmlFor="flowLag" className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Lag flow steam / draw</label>
+                    <input
+                      id="flowLag" type="checkbox"
+                      checked={!!params.flowLag}
+                      onChange={(e) => handleParamChange("flowLag", e.target.checked)}
+                      className="w-4 h-4 accent-teal-500"
+                    />
+                  </div>
+                )}
+                {activePlant.desc && (
+                  <p className={`text-[11px] ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>{activePlant.desc}</p>
+                )}
+              </div>
+            )}
 
             <div className={`flex items-center justify-between mt-3 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
               <label className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Noise Pengukuran</label>
@@ -462,6 +1556,24 @@ export default function App() {
               />
             </div>
 
+            <div className={`flex items-center justify-between gap-2 mt-2 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
+              <label htmlFor="seed" className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Seed Noise</label>
+              <div className="flex items-center gap-1">
+                <input
+                  id="seed" type="number" min={0} step={1} value={params.seed}
+                  onChange={(e) => handleParamChange("seed", e.target.value)}
+                  className={`w-24 text-[11px] rounded px-1 py-0.5 border font-mono ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                />
+                <button
+                  onClick={() => handleParamChange("seed", Math.floor(Math.random() * 1e9))}
+                  title="Seed acak"
+                  className={`p-1 rounded border ${isDarkMode ? 'border-gray-700 hover:bg-gray-800' : 'border-gray-300 hover:bg-gray-100'}`}
+                >
+                  <RotateCcw className="w-3 h-3" />
+                </button>
+              </div>
+            </div>
+
             <div className={`flex items-center justify-between mt-2 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
               <label className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Inject Analyzer Fail</label>
               <input
@@ -473,197 +1585,1903 @@ export default function App() {
             </div>
           </div>
 
-          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
-              <TrendingUp className="w-4 h-4 text-teal-500" />
-              <span className="text-sm sm:text-base">Setpoints</span>
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <TrendingUp className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Setpoints</span>
+            </div>
+
+            <SliderControl label="SP FIC-101 Feed Flow" id="sp_Ffeed" min={0} max={100} step={1} val={params.sp_Ffeed} />
+            <SliderControl label="SP TIC-101 T_feed_out (°C)" id="sp_Tfeed" min={60} max={160} step={1} val={params.sp_Tfeed} />
+            <SliderControl label="SP TIC-102 T_reboiler (°C)" id="sp_Treb" min={120} max={210} step={1} val={params.sp_Treb} />
+            <SliderControl label="SP TIC-201 T_cond_out (°C)" id="sp_Tcond" min={20} max={70} step={1} val={params.sp_Tcond} />
+            <SliderControl label="SP FIC-201 Reflux Flow" id="sp_Freflux" min={0} max={100} step={1} val={params.sp_Freflux} />
+            <SliderControl label="SP LIC-201 V201 Level (%)" id="sp_Lv201" min={5} max={95} step={1} val={params.sp_Lv201} />
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <TrendingUp className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Cascade</span>
+            </div>
+
+            {[
+              ['TIC-102 → FIC-102 (steam flow)', 'TIC102', 'FIC102'],
+              ['LIC-201 → FIC-202 (draw flow)', 'LIC201', 'FIC202'],
+            ].map(([label, master, slave]) => (
+              <div key={master} className={`flex items-center justify-between gap-2 mt-2 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
+                <label className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>{label}</label>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={params[`mode${slave}`]}
+                    onChange={(e) => handleParamChange(`mode${slave}`, e.target.value)}
+                    disabled={!params[`cas${master}`]}
+                    className={`text-[11px] rounded px-1 py-0.5 border disabled:opacity-40 ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                    aria-label={`Mode slave ${slave}`}
+                  >
+                    <option value="CAS">CAS</option>
+                    <option value="AUTO">AUTO</option>
+                    <option value="MAN">MAN</option>
+                  </select>
+                  <input
+                    type="checkbox"
+                    checked={!!params[`cas${master}`]}
+                    onChange={(e) => handleParamChange(`cas${master}`, e.target.checked)}
+                    className="w-4 h-4 accent-teal-500"
+                  />
+                </div>
+              </div>
+            ))}
+            {["FIC102", "FIC202"].map((slave) => params[`mode${slave}`] === "MAN" && (
+              <SliderControl key={slave} label={`Output manual ${slave} (%)`} id={`man${slave}`} min={0} max={100} step={1} val={params[`man${slave}`]} />
+            ))}
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <Settings className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Mode Operator</span>
+            </div>
+
+            {[
+              ['FIC-101', 'FIC101'],
+              ['TIC-101', 'TIC101'],
+              ['TIC-102', 'TIC102'],
+              ['TIC-201', 'TIC201'],
+              ['FIC-201', 'FIC201'],
+              ['LIC-201', 'LIC201'],
+            ].map(([label, tag]) => (
+              <div key={tag} className="mb-2">
+                <div className={`flex items-center justify-between gap-2 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
+                  <label className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>{label}</label>
+                  <select
+                    value={params[`mode${tag}`]}
+                    onChange={(e) => handleParamChange(`mode${tag}`, e.target.value)}
+                    className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                    aria-label={`Mode ${tag}`}
+                  >
+                    <option value="AUTO">AUTO</option>
+                    <option value="MAN">MAN</option>
+                  </select>
+                </div>
+                {params[`mode${tag}`] === "MAN" && (
+                  <div className="mt-2">
+                    <SliderControl label="Output manual (%)" id={`man${tag}`} min={0} max={100} step={1} val={params[`man${tag}`]} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <Play className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Streaming (Operator Console)</span>
+            </div>
+
+            <div className={`flex items-center justify-between gap-2 mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              <span>Kecepatan</span>
+              <select
+                value={streamSpeed}
+                onChange={(e) => {
+                  setStreamSpeed(e.target.value);
+                  if (streamLive) streamCtl("speed", { speed: e.target.value });
+                }}
+                className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+              >
+                {[["1", "1×"], ["10", "10×"], ["100", "100×"], ["max", "max"]].map(([v, t]) => <option key={v} value={v}>{t}</option>)}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 mb-2">
+              <button
+                onClick={() => startStream()}
+                disabled={isSimulating}
+                className={`px-2 py-1.5 rounded-lg text-xs font-medium ${isSimulating ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+              >
+                Start
+              </button>
+              <button
+                onClick={() => streamCtl(stream.status === "paused" ? "resume" : "pause")}
+                disabled={!streamLive}
+                className={`px-2 py-1.5 rounded-lg text-xs border disabled:opacity-40 ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+              >
+                {stream.status === "paused" ? "Resume" : "Pause"}
+              </button>
+              <button
+                onClick={() => streamCtl("stop")}
+                disabled={!streamLive}
+                className={`px-2 py-1.5 rounded-lg text-xs border disabled:opacity-40 ${isDarkMode ? 'border-gray-700 text-red-400 hover:bg-gray-800' : 'border-gray-300 text-red-600 hover:bg-gray-50'}`}
+              >
+                Stop
+              </button>
+            </div>
+
+            <div className={`text-[11px] font-mono mb-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {stream.status.toUpperCase()} · t = {fmt(stream.t, 0)} / {fmt(stream.sim_s, 0)} s
+            </div>
+
+            {streamLive && [
+              ["SP", [
+                ["sp_key", SP_KEYS],
+                ["sp_value", null],
+              ], "Set", (a) => ({ type: "sp_set", key: a.sp_key, value: a.sp_value })],
+              ["Mode", [
+                ["loop", LOOP_TAGS],
+                ["mode", ["AUTO", "MAN", "CAS"]],
+              ], "Set", (a) => ({ type: "mode", loop: a.loop, mode: a.mode })],
+              ["MAN out %", [
+                ["loop", LOOP_TAGS],
+                ["out", null],
+              ], "Set", (a) => ({ type: "man_move", loop: a.loop, out: a.out })],
+              ["Disturbance", [
+                ["target", DIST_TARGETS],
+                ["amp", null],
+              ], "Step", (a) => ({ type: "dist", target: a.target, shape: "step", amp: a.amp })],
+            ].map(([label, fields, btn, toAction]) => (
+              <div key={label} className={`flex items-center gap-1 mb-2 text-[11px] ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <span className="w-20 flex-shrink-0">{label}</span>
+                {fields.map(([key, opts]) => opts ? (
+                  <select
+                    key={key}
+                    value={streamAct[key]}
+                    onChange={(e) => setStreamAct(prev => ({ ...prev, [key]: e.target.value }))}
+                    className={`text-[11px] rounded px-1 py-0.5 border min-w-0 flex-1 ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                  >
+                    {opts.map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    key={key} type="number" value={streamAct[key]}
+                    onChange={(e) => setStreamAct(prev => ({ ...prev, [key]: parseFloat(e.target.value) }))}
+                    className={`w-16 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                  />
+                ))}
+                <button
+                  onClick={() => streamAction(toAction(streamAct))}
+                  className="px-2 py-0.5 rounded bg-teal-600 hover:bg-teal-500 text-white text-[11px]"
+                >
+                  {btn}
+                </button>
+              </div>
+            ))}
+
+            {stream.error && (
+              <div className="text-[11px] text-red-500">{stream.error}</div>
+            )}
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <Camera className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Snapshot &amp; Branching (What-if)</span>
+            </div>
+
+            <div className={`flex items-center gap-2 mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              <span className="flex-1">Snapshot di t (s)</span>
+              <input
+                type="number" min={0} max={params.sim_s} value={snapT}
+                onChange={(e) => setSnapT(parseFloat(e.target.value))}
+                className={`w-20 ${inputCls}`}
+              />
+              <button
+                onClick={streamLive ? () => streamCtl("snapshot") : takeSnapshot}
+                disabled={isSimulating && !streamLive}
+                className={`px-2 py-0.5 rounded text-[11px] ${isSimulating && !streamLive ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+                title={streamLive ? "Snapshot stream pada t sekarang" : "Run tunggal sampai t lalu ambil snapshot"}
+              >
+                {streamLive ? "Snapshot sekarang" : "Ambil"}
+              </button>
+            </div>
+
+            <div className={`mb-2 text-[11px] font-mono ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {snapshot
+                ? `t = ${fmt(snapshot.t, 1)} s · ${snapshot.cfg?.PLANT?.backend || "fopdt"} · dt ${snapshot.cfg?.SIM?.dt} s · ${(JSON.stringify(snapshot).length / 1024).toFixed(1)} KB`
+                : "Belum ada snapshot"}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 mb-3 text-[11px]">
+              <button
+                onClick={() => downloadJson(snapshot, `snapshot_t${Math.round(snapshot.t)}.json`)}
+                disabled={!snapshot}
+                className={`px-2 py-1 rounded border disabled:opacity-40 ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+              >
+                Export JSON
+              </button>
+              <label className={`px-2 py-1 rounded border text-center cursor-pointer ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                Import JSON
+                <input type="file" accept=".json" onChange={(e) => importSnapshot(e.target.files?.[0])} className="hidden" />
+              </label>
+              <button
+                onClick={restoreSnapshot}
+                disabled={!snapshot || isSimulating}
+                className={`px-2 py-1 rounded border disabled:opacity-40 ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+              >
+                Restore → Run
+              </button>
+              <button
+                onClick={() => startStream(snapshot)}
+                disabled={!snapshot || isSimulating}
+                className={`px-2 py-1 rounded border disabled:opacity-40 ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+              >
+                Restore → Stream
+              </button>
+            </div>
+
+            {branchSpecs.map((b, i) => (
+              <div key={i} className={`mb-2 p-2 rounded text-[11px] space-y-1 ${isDarkMode ? 'bg-gray-800/50 text-gray-400' : 'bg-gray-50 border border-gray-100 text-gray-600'}`}>
+                <div className="flex items-center gap-1">
+                  <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: BRANCH_COLORS[i % BRANCH_COLORS.length] }} />
+                  <input value={b.name} onChange={(e) => updateBranch(i, "name", e.target.value)} className={`w-16 ${inputCls}`} />
+                  <select value={b.loop} onChange={(e) => updateBranch(i, "loop", e.target.value)} className={inputCls}>
+                    {LOOP_TAGS.map((o) => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                  <button
+                    onClick={() => setBranchSpecs(prev => prev.filter((_, j) => j !== i))}
+                    disabled={branchSpecs.length <= 1}
+                    className="ml-auto text-red-400 hover:text-red-300 disabled:opacity-30"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <div className="flex items-center gap-1">
+                  {["Kp", "Ti", "Td"].map((k) => (
+                    <input
+                      key={k} type="number" placeholder={k} value={b[k]}
+                      onChange={(e) => updateBranch(i, k, e.target.value)}
+                      className={`w-14 ${inputCls}`}
+                      title={`${k} ${b.loop} (kosong = sama dengan snapshot)`}
+                    />
+                  ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-1">
+                  <select value={b.ev?.type || ""} onChange={(e) => updateBranch(i, "evType", e.target.value)} className={inputCls}>
+                    <option value="">(tanpa aksi)</option>
+                    {Object.keys(SCENARIO_EVENT_TYPES).map((o) => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                  {b.ev && [["t", "num"], ...scnEventFields(b.ev)].map(([f, kind]) => (
+                    <label key={f} className="flex items-center gap-1">
+                      <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>{f}</span>
+                      {renderField(kind, b.ev[f], (v) => updateBranch(i, f === "shape" ? "shape" : `ev.${f}`, v))}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setBranchSpecs(prev => [...prev, newBranch(prev.length)])}
+                disabled={branchSpecs.length >= MAX_BRANCHES}
+                className={`px-2 py-1 rounded border text-[11px] disabled:opacity-40 ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+              >
+                + Branch
+              </button>
+              <button
+                onClick={runBranches}
+                disabled={!snapshot || isSimulating}
+                className={`flex-1 flex items-center justify-center gap-2 px-3 py-1 rounded-lg text-xs font-medium transition-all
+                  ${!snapshot || isSimulating ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+              >
+                <Play className="w-3 h-3 fill-current" />
+                Run Branch
+              </button>
+            </div>
+
+            {branchResult && (
+              <table className={`w-full mt-3 text-[11px] ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <thead>
+                  <tr className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>
+                    <th className="text-left">Branch (t ≥ {fmt(branchResult.t0, 0)} s)</th>
+                    <th className="text-right">Σ IAE</th>
+                    <th className="text-right">% PRODUCT</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {branchResult.branches.map((b, i) => (
+                    <tr key={i}>
+                      <td style={{ color: BRANCH_COLORS[i % BRANCH_COLORS.length] }}>{b.name}</td>
+                      <td className="text-right font-mono">{fmt(b.metrics.reduce((a, m) => a + m.IAE, 0), 2)}</td>
+                      <td className="text-right font-mono">{fmt(b.gate?.productPct, 1)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <TrendingUp className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Feedforward</span>
+            </div>
+
+            {[
+              ['FF-101 T_feed_in → TIC-101', 'FF101'],
+              ['FF-102 Vapor load → TIC-102', 'FF102'],
+              ['FF-103 F_feed → TIC-102', 'FF103'],
+              ['FF-104 T_amb → TIC-201', 'FF104'],
+            ].map(([label, id], i) => (
+              <div key={id} className={i > 0 ? "border-t pt-3 mt-3 border-gray-700/30" : ""}>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-[11px] sm:text-xs font-bold text-teal-500 uppercase">{label}</h4>
+                  <input
+                    type="checkbox"
+                    checked={!!params[`ff${id}`]}
+                    onChange={(e) => handleParamChange(`ff${id}`, e.target.checked)}
+                    className="w-4 h-4 accent-teal-500"
+                  />
+                </div>
+                {params[`ff${id}`] && (
+                  <>
+                    <SliderControl label="Gain K (%/unit)" id={`ffK${id}`} min={-3} max={3} step={0.01} val={params[`ffK${id}`]} />
+                    <SliderControl label="Lead (s)" id={`ffLead${id}`} min={0} max={300} step={5} val={params[`ffLead${id}`]} />
+                    <SliderControl label="Lag (s)" id={`ffLag${id}`} min={0} max={300} step={5} val={params[`ffLag${id}`]} />
+                    <SliderControl label="Dead time (s)" id={`ffTheta${id}`} min={0} max={60} step={1} val={params[`ffTheta${id}`]} />
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <Settings className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Valve Model (Aktuator + Stiction)</span>
+            </div>
+
+            {VALVE_LIST.map(([label, id, mvKey], i) => (
+              <div key={id} className={i > 0 ? "border-t pt-3 mt-3 border-gray-700/30" : ""}>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-[11px] sm:text-xs font-bold text-teal-500 uppercase">{label} <span className="font-mono normal-case text-gray-500">({mvKey})</span></h4>
+                  <input
+                    type="checkbox"
+                    checked={!!params[`vl${id}`]}
+                    onChange={(e) => handleParamChange(`vl${id}`, e.target.checked)}
+                    className="w-4 h-4 accent-teal-500"
+                  />
+                </div>
+                {params[`vl${id}`] && (
+                  <>
+                    <div className={`flex flex-wrap items-center gap-2 mb-2 text-[11px] ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      <span>Karakteristik</span>
+                      <select value={params[`vlChar${id}`]} onChange={(e) => handleParamChange(`vlChar${id}`, e.target.value)} className={inputCls}>
+                        {VALVE_CHAR_OPTIONS.map((o) => <option key={o} value={o}>{o}</option>)}
+                      </select>
+                      {params[`vlChar${id}`] === "eq_pct" && (
+                        <label className="flex items-center gap-1">R {renderField("num", params[`vlR${id}`], (v) => handleParamChange(`vlR${id}`, v))}</label>
+                      )}
+                      <label className="flex items-center gap-1">authority {renderField("num", params[`vlAuth${id}`], (v) => handleParamChange(`vlAuth${id}`, v))}</label>
+                    </div>
+                    <SliderControl label="Rate limit stroke (%/s, 0 = off)" id={`vlRate${id}`} min={0} max={5} step={0.05} val={params[`vlRate${id}`]} />
+                    <SliderControl label="Lag aktuator τ (s)" id={`vlTau${id}`} min={0} max={60} step={1} val={params[`vlTau${id}`]} />
+                    <SliderControl label="Deadband / backlash (%)" id={`vlDb${id}`} min={0} max={10} step={0.1} val={params[`vlDb${id}`]} />
+                    <div className="flex justify-between items-center mb-3 gap-2">
+                      <span className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Stiction</span>
+                      <select
+                        value={params[`vlModel${id}`]}
+                        onChange={(e) => handleParamChange(`vlModel${id}`, e.target.value)}
+                        className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                      >
+                        {VALVE_MODEL_OPTIONS.map((o) => <option key={o} value={o}>{o}</option>)}
+                      </select>
+                    </div>
+                    {params[`vlModel${id}`] !== "none" && (
+                      <>
+                        <SliderControl label="S deadband + stickband (%)" id={`vlS${id}`} min={0} max={10} step={0.1} val={params[`vlS${id}`]} />
+                        <SliderControl label="J slip jump (%)" id={`vlJ${id}`} min={0} max={10} step={0.1} val={params[`vlJ${id}`]} />
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+
+            <div className="border-t pt-3 mt-3 border-gray-700/30">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-[11px] sm:text-xs font-bold text-teal-500 uppercase">Split range TIC-201 (TV-201 + bypass TV-201B)</h4>
+                <input
+                  type="checkbox"
+                  checked={!!params.splTIC201}
+                  onChange={(e) => handleParamChange("splTIC201", e.target.checked)}
+                  className="w-4 h-4 accent-teal-500"
+                />
+              </div>
+              {params.splTIC201 && (
+                <table className="w-full text-[11px] text-left">
+                  <thead className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>
+                    <tr>{["Valve", "OP lo", "OP hi", "Out lo", "Out hi"].map((h) => <th key={h} className="px-1 py-1 font-semibold">{h}</th>)}</tr>
+                  </thead>
+                  <tbody>
+                    {params.splSegTIC201.map((sg, i) => (
+                      <tr key={sg.mv}>
+                        <td className="px-1 py-1 font-mono">{sg.mv}</td>
+                        {["op_lo", "op_hi", "out_lo", "out_hi"].map((k) => (
+                          <td key={k} className="px-1 py-1">{renderField("num", sg[k], (v) => updateSplitSeg("TIC201", i, k, v))}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <p className={`mt-3 text-[11px] ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+              OP → split range → deadband → stiction → rate limit → lag → posisi valve → karakteristik (% flow).
+              Authority 1 = tanpa distorsi installed; OP awal dihitung balik agar plant tetap di titik nominal. Choudhury: tiap berhenti/balik arah butuh S;
+              Kano: lanjut searah cukup J. J dibatasi ≤ S. Bandingkan OP vs posisi di halaman grafik "Valve".
+            </p>
+          </div>
+
+          <div className={`border rounded-xl overflow-hidden shadow-sm flex flex-col max-h-[520px] sm:max-h-[600px] ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`p-3 sm:p-4 font-semibold flex items-center gap-2 border-b ${isDarkMode ? 'bg-gray-800/30 border-gray-800 text-white' : 'bg-gray-50 border-gray-100 text-gray-900'}`}>
+              <BarChart3 className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Tuning PI/PID (Kp/Ti/Td)</span>
+            </div>
+
+            <div className="p-3 sm:p-4 space-y-5 sm:space-y-6 overflow-y-auto custom-scrollbar flex-1">
+              {[
+                ['FIC-101 (Feed Flow)', 'FIC101', 0.1, 6.0, 0.1, 10, 400, 5, 50],
+                ['TIC-101 (Preheater)', 'TIC101', 0.1, 6.0, 0.1, 20, 800, 10, 120],
+                ['TIC-102 (Reboiler)', 'TIC102', 0.1, 6.0, 0.1, 20, 1000, 10, 120],
+                ['TIC-201 (Condenser)', 'TIC201', 0.1, 6.0, 0.1, 20, 1000, 10, 120],
+                ['FIC-201 (Reflux Flow)', 'FIC201', 0.1, 6.0, 0.1, 10, 400, 5, 50],
+                ['LIC-201 (V201 Level - slow)', 'LIC201', 0.1, 6.0, 0.1, 50, 2000, 25, 200],
+                ['FIC-102 (Steam Flow - slave)', 'FIC102', 0.05, 3.0, 0.05, 2, 100, 1, 10],
+                ['FIC-202 (Draw Flow - slave)', 'FIC202', 0.05, 3.0, 0.05, 2, 100, 1, 10],
+              ].map(([title, tag, kMin, kMax, kStep, tMin, tMax, tStep, tdMax], i) => (
+                <div key={i} className={i > 0 ? "border-t pt-4 border-gray-700/30" : ""}>
+                  <div className="flex justify-between items-center mb-2 gap-2">
+                    <h4 className="text-[11px] sm:text-xs font-bold text-teal-500 uppercase">{title}</h4>
+                    <select
+                      value={params[`type${tag}`]}
+                      onChange={(e) => handleParamChange(`type${tag}`, e.target.value)}
+                      className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                      aria-label={`Tipe kontroler ${tag}`}
+                    >
+                      <option value="PI">PI</option>
+                      <option value="PID">PID</option>
+                    </select>
+                  </div>
+
+                  <SliderControl label="Kp" id={`kp${tag}`} min={kMin} max={kMax} step={kStep} val={params[`kp${tag}`]} />
+                  <SliderControl label="Ti (s)" id={`ti${tag}`} min={tMin} max={tMax} step={tStep} val={params[`ti${tag}`]} />
+                  <div className={`flex items-center justify-between mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    <span>Scan (s)</span>
+                    <select
+                      value={params[`scan${tag}`]}
+                      onChange={(e) => handleParamChange(`scan${tag}`, e.target.value)}
+                      className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                      aria-label={`Scan rate ${tag}`}
+                    >
+                      {SCAN_OPTIONS.map((v) => <option key={v} value={v}>{v ? v : "tiap dt"}</option>)}
+                    </select>
+                  </div>
+
+                  {params[`type${tag}`] === "PID" && (
+                    <>
+                      <SliderControl label="Td (s)" id={`td${tag}`} min={0} max={tdMax} step={1} val={params[`td${tag}`]} />
+                      <SliderControl label="Filter N (Tf = Td/N)" id={`n${tag}`} min={2} max={40} step={1} val={params[`n${tag}`]} />
+                      <SliderControl label="Setpoint weight β" id={`beta${tag}`} min={0} max={1} step={0.05} val={params[`beta${tag}`]} />
+                      <div className={`flex items-center justify-between mt-1 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                        <span>Derivative on</span>
+                        <select
+                          value={params[`don${tag}`]}
+                          onChange={(e) => handleParamChange(`don${tag}`, e.target.value)}
+                          className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                        >
+                          <option value="pv">PV</option>
+                          <option value="error">Error (γ)</option>
+                        </select>
+                      </div>
+                      {params[`don${tag}`] === "error" && (
+                        <SliderControl label="Derivative weight γ" id={`gamma${tag}`} min={0} max={1} step={0.05} val={params[`gamma${tag}`]} />
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <Info className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Quality Gate</span>
+            </div>
+
+            <SliderControl label="TT-106 ON Low (°C)" id="g_tt_low" min={0} max={150} step={1} val={params.g_tt_low} />
+            <SliderControl label="TT-106 ON High (°C)" id="g_tt_high" min={0} max={150} step={1} val={params.g_tt_high} />
+            <SliderControl label="rho15 ON Low (g/cc)" id="g_rho_low" min={0.65} max={0.85} step={0.001} val={params.g_rho_low} />
+            <SliderControl label="rho15 ON High (g/cc)" id="g_rho_high" min={0.65} max={0.85} step={0.001} val={params.g_rho_high} />
+            <SliderControl label="ΔTsub Min (°C)" id="g_dTsub" min={0} max={20} step={0.5} val={params.g_dTsub} />
+            <SliderControl label="Delay ON (s)" id="g_delay_on" min={0} max={600} step={10} val={params.g_delay_on} />
+            <SliderControl label="Delay OFF (s)" id="g_delay_off" min={0} max={300} step={5} val={params.g_delay_off} />
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <Settings className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Auto-Tune (Relay)</span>
+            </div>
+
+            {[
+              ["Loop", "loop", [["FIC101", "FIC-101"], ["TIC101", "TIC-101"], ["TIC102", "TIC-102"], ["TIC201", "TIC-201"], ["FIC201", "FIC-201"], ["LIC201", "LIC-201"]]],
+              ["Aturan tuning", "rule", [["ZN", "Ziegler–Nichols"], ["TL", "Tyreus–Luyben"], ["SIMC", "SIMC"]]],
+              ["Tipe", "type", [["PI", "PI"], ["PID", "PID"]]],
+            ].map(([label, key, opts]) => (
+              <div key={key} className={`flex items-center justify-between gap-2 mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <span>{label}</span>
+                <select
+                  value={atSettings[key]}
+                  onChange={(e) => setAtSettings(prev => ({ ...prev, [key]: e.target.value }))}
+                  className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                >
+                  {opts.map(([v, t]) => <option key={v} value={v}>{t}</option>)}
+                </select>
+              </div>
+            ))}
+
+            <div className="mb-3">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="at_h" className="text-[11px] sm:text-xs leading-tight">Amplitudo relay h</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{atSettings.h} %</span>
+              </div>
+              <input
+                id="at_h" type="range" min={1} max={20} step={0.5} value={atSettings.h}
+                onChange={(e) => setAtSettings(prev => ({ ...prev, h: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+
+            <button
+              onClick={runAutoTune}
+              disabled={isSimulating}
+              className={`w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-all
+                ${isSimulating ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+            >
+              {isSimulating ? <RotateCcw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4 fill-current" />}
+              Run Auto-Tune
+            </button>
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <TrendingUp className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Optimize Tuning (Suite)</span>
+            </div>
+
+            <div className={`text-[11px] sm:text-xs mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Loop yang dicari</div>
+            <div className="grid grid-cols-3 gap-1 mb-3">
+              {["FIC101", "TIC101", "TIC102", "TIC201", "FIC201", "LIC201"].map((tag) => (
+                <label key={tag} className={`flex items-center gap-1 text-[11px] ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <input
+                    type="checkbox"
+                    checked={optSettings.loops.includes(tag)}
+                    onChange={(e) => setOptSettings(prev => ({
+                      ...prev,
+                      loops: e.target.checked ? [...prev.loops, tag] : prev.loops.filter(x => x !== tag),
+                    }))}
+                    className="accent-teal-500"
+                  />
+                  {tag}
+                </label>
+              ))}
+            </div>
+
+              <div key="budget" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_budget" className="text-[11px] sm:text-xs leading-tight">Budget (evaluasi)</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.budget}</span>
+                </div>
+                <input
+                  id="opt_budget" type="range" min={5} max={200} step={5} value={optSettings.budget}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, budget: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="kp_lo" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_kp_lo" className="text-[11px] sm:text-xs leading-tight">Kp min</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.kp_lo}</span>
+                </div>
+                <input
+                  id="opt_kp_lo" type="range" min={0.01} max={5} step={0.01} value={optSettings.kp_lo}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, kp_lo: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="kp_hi" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_kp_hi" className="text-[11px] sm:text-xs leading-tight">Kp max</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.kp_hi}</span>
+                </div>
+                <input
+                  id="opt_kp_hi" type="range" min={1} max={50} step={0.5} value={optSettings.kp_hi}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, kp_hi: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="ti_lo" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_ti_lo" className="text-[11px] sm:text-xs leading-tight">Ti min</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.ti_lo} s</span>
+                </div>
+                <input
+                  id="opt_ti_lo" type="range" min={1} max={100} step={1} value={optSettings.ti_lo}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, ti_lo: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="ti_hi" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_ti_hi" className="text-[11px] sm:text-xs leading-tight">Ti max</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.ti_hi} s</span>
+                </div>
+                <input
+                  id="opt_ti_hi" type="range" min={50} max={2000} step={10} value={optSettings.ti_hi}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, ti_hi: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="w_IAE" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_w_IAE" className="text-[11px] sm:text-xs leading-tight">Bobot IAE</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.w_IAE}</span>
+                </div>
+                <input
+                  id="opt_w_IAE" type="range" min={0} max={5} step={0.1} value={optSettings.w_IAE}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, w_IAE: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="w_ITAE" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_w_ITAE" className="text-[11px] sm:text-xs leading-tight">Bobot ITAE/T</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.w_ITAE}</span>
+                </div>
+                <input
+                  id="opt_w_ITAE" type="range" min={0} max={5} step={0.1} value={optSettings.w_ITAE}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, w_ITAE: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="w_OS" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_w_OS" className="text-[11px] sm:text-xs leading-tight">Bobot Overshoot (per %)</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.w_OS}</span>
+                </div>
+                <input
+                  id="opt_w_OS" type="range" min={0} max={0.5} step={0.01} value={optSettings.w_OS}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, w_OS: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+              <div key="w_MV" className="mb-2">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="opt_w_MV" className="text-[11px] sm:text-xs leading-tight">Bobot MV travel (per %)</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{optSettings.w_MV}</span>
+                </div>
+                <input
+                  id="opt_w_MV" type="range" min={0} max={0.1} step={0.001} value={optSettings.w_MV}
+                  onChange={(e) => setOptSettings(prev => ({ ...prev, w_MV: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+
+            {isSimulating && optProgress && (
+              <div className="mb-2">
+                <div className={`flex justify-between text-[11px] mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <span>Evaluasi {optProgress.evals}/{optProgress.budget}</span>
+                  <span className="font-mono text-teal-500">J best {fmt(optProgress.bestJ, 3)}</span>
+                </div>
+                <div className={`h-1.5 rounded ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
+                  <div className="h-1.5 rounded bg-teal-500" style={{ width: `${Math.min(100, 100 * optProgress.evals / Math.max(1, optProgress.budget))}%` }} />
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={runOptimize}
+              disabled={isSimulating || !optSettings.loops.length}
+              className={`w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-all
+                ${isSimulating || !optSettings.loops.length ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+            >
+              {isSimulating ? <RotateCcw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4 fill-current" />}
+              Run Optimize
+            </button>
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <BarChart3 className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Monte Carlo (Robustness)</span>
+            </div>
+
+            <div className="mb-2">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="mc_n" className="text-[11px] sm:text-xs leading-tight">Jumlah run (N)</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{mcSettings.n}</span>
+              </div>
+              <input
+                id="mc_n" type="range" min={10} max={500} step={10} value={mcSettings.n}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, n: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+            <div className="mb-2">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="mc_K_pct" className="text-[11px] sm:text-xs leading-tight">Mismatch K ±</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{mcSettings.K_pct} %</span>
+              </div>
+              <input
+                id="mc_K_pct" type="range" min={0} max={60} step={5} value={mcSettings.K_pct}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, K_pct: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+            <div className="mb-2">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="mc_tau_pct" className="text-[11px] sm:text-xs leading-tight">Mismatch τ ±</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{mcSettings.tau_pct} %</span>
+              </div>
+              <input
+                id="mc_tau_pct" type="range" min={0} max={60} step={5} value={mcSettings.tau_pct}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, tau_pct: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+            <div className="mb-2">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="mc_theta_pct" className="text-[11px] sm:text-xs leading-tight">Mismatch θ ±</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{mcSettings.theta_pct} %</span>
+              </div>
+              <input
+                id="mc_theta_pct" type="range" min={0} max={100} step={5} value={mcSettings.theta_pct}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, theta_pct: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+            {activePlant && !activePlant.mismatch && (
+              <p className="mb-2 text-[11px] text-amber-500">Backend {activePlant.label}: mismatch K / τ / θ tidak berlaku (hanya noise + disturbance).</p>
+            )}
+            <div className="mb-2">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="mc_dist_pct" className="text-[11px] sm:text-xs leading-tight">Magnitude disturbance ±</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{mcSettings.dist_pct} %</span>
+              </div>
+              <input
+                id="mc_dist_pct" type="range" min={0} max={100} step={5} value={mcSettings.dist_pct}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, dist_pct: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+            <div className="mb-2">
+              <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <label htmlFor="mc_dist_t_s" className="text-[11px] sm:text-xs leading-tight">Jitter waktu disturbance ±</label>
+                <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{mcSettings.dist_t_s} s</span>
+              </div>
+              <input
+                id="mc_dist_t_s" type="range" min={0} max={900} step={30} value={mcSettings.dist_t_s}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, dist_t_s: parseFloat(e.target.value) }))}
+                className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+              />
+            </div>
+
+            <div className={`flex items-center justify-between mb-3 p-2 rounded ${isDarkMode ? 'bg-gray-800/50' : 'bg-gray-50 border border-gray-100'}`}>
+              <label className={`text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Noise (seed per run dari {params.seed})</label>
+              <input
+                type="checkbox"
+                checked={!!mcSettings.noise}
+                onChange={(e) => setMcSettings(prev => ({ ...prev, noise: e.target.checked }))}
+                className="w-4 h-4 accent-teal-500"
+              />
+            </div>
+
+            {isSimulating && mcProgress && (
+              <div className="mb-2">
+                <div className={`text-[11px] mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Run {mcProgress.done}/{mcProgress.n}</div>
+                <div className={`h-1.5 rounded ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
+                  <div className="h-1.5 rounded bg-teal-500" style={{ width: `${Math.min(100, 100 * mcProgress.done / Math.max(1, mcProgress.n))}%` }} />
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={runMonteCarlo}
+              disabled={isSimulating}
+              className={`w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-all
+                ${isSimulating ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+            >
+              {isSimulating ? <RotateCcw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4 fill-current" />}
+              Run Monte Carlo
+            </button>
+          </div>
+
+          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
+              <BarChart3 className="w-4 h-4 text-teal-500" />
+              <span className="text-sm sm:text-base">Identifikasi Model (FOPDT)</span>
+            </div>
+
+            {[
+              ["Sumber data", "source", [["bump", "Bump manual (open-loop)"], ["csv", "Import CSV t,u,y"]]],
+              [idSettings.source === "csv" ? "Export ke blok" : "Blok plant", "block", [
+                ["F_feed", "FIC-101: u_feed → F_feed"], ["T_feed_out", "TIC-101: u_steam_pre → T_feed_out"],
+                ["F_steam", "TV-102: u_steam_reb → F_steam"], ["T_reb", "TIC-102: F_steam → T_reb"],
+                ["F_reflux", "FIC-201: u_reflux → F_reflux"], ["T_cond_out", "TIC-201: u_cw → T_cond_out"],
+                ["F_draw", "LV-201: u_draw → F_draw"],
+              ]],
+              ["Model", "order", [["FOPDT", "FOPDT"], ["SOPDT", "SOPDT"]]],
+            ].map(([label, key, opts]) => (
+              <div key={key} className={`flex items-center justify-between gap-2 mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <span>{label}</span>
+                <select
+                  value={idSettings[key]}
+                  onChange={(e) => setIdSettings(prev => ({ ...prev, [key]: e.target.value }))}
+                  className={`text-[11px] rounded px-1 py-0.5 border max-w-[60%] ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                >
+                  {opts.map(([v, t]) => <option key={v} value={v}>{t}</option>)}
+                </select>
+              </div>
+            ))}
+
+            {idSettings.source === "bump" ? (
+              <div className="mb-3">
+                <div className={`flex justify-between items-end gap-2 mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <label htmlFor="id_bump" className="text-[11px] sm:text-xs leading-tight">Bump output (MAN, t = 300 s)</label>
+                  <span className="text-teal-500 font-mono font-bold text-[11px] sm:text-xs whitespace-nowrap">{idSettings.bump} %</span>
+                </div>
+                <input
+                  id="id_bump" type="range" min={-20} max={20} step={1} value={idSettings.bump}
+                  onChange={(e) => setIdSettings(prev => ({ ...prev, bump: parseFloat(e.target.value) }))}
+                  className="w-full h-1 bg-gray-300 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-teal-500 hover:accent-teal-400"
+                />
+              </div>
+            ) : (
+              <div className={`mb-3 text-[11px] ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                <input type="file" accept=".csv,.txt" onChange={(e) => loadIdentCsv(e.target.files?.[0])} className="w-full text-[11px]" />
+                <div className="mt-1">{idSettings.csvName ? `${idSettings.csvName} (${idSettings.csv.length} byte)` : "Kolom: t, u, y (header opsional)"}</div>
+              </div>
+            )}
+
+            <button
+              onClick={runIdent}
+              disabled={isSimulating || (idSettings.source === "csv" && !idSettings.csv)}
+              className={`w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-all
+                ${isSimulating || (idSettings.source === "csv" && !idSettings.csv) ? 'bg-gray-700 text-gray-400 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400 text-white'}`}
+            >
+              {isSimulating ? <RotateCcw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4 fill-current" />}
+              Run Identifikasi
+            </button>
+
+            {Object.keys(params).some(k => k.startsWith("plantK_")) && (
+              <button
+                onClick={resetPlantOverrides}
+                className={`w-full mt-2 px-3 py-1 rounded-lg text-[11px] border ${isDarkMode ? 'border-gray-700 text-gray-400 hover:bg-gray-800' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+              >
+                Reset override plant ({Object.keys(params).filter(k => k.startsWith("plantK_")).length} blok)
+              </button>
+            )}
+          </div>
+        </aside>
+
+        <section className="lg:col-span-9 flex flex-col gap-4 sm:gap-6">
+
+          {(bypasses.length > 0 || params.il_table.some((r) => r.bypass) || params.il_bypass.some((x) => x.on)) && (
+            <div className="border border-amber-500/60 bg-amber-500/10 text-amber-500 rounded-xl px-4 py-2 text-[11px] sm:text-xs">
+              <span className="font-bold">⚠ BYPASS INTERLOCK AKTIF</span>
+              {" — "}
+              {bypasses.length > 0
+                ? bypasses.map((b) => `${b.id} (t=${fmt(b.t_on, 0)}–${b.t_off === null ? "akhir" : fmt(b.t_off, 0)}s, ${b.reason})`).join(", ")
+                : [
+                    ...params.il_table.filter((r) => r.bypass).map((r) => `${r.id} (config)`),
+                    ...params.il_bypass.filter((x) => x.on).map((x) => `${x.id} (jadwal t=${x.t}s)`),
+                  ].join(", ")}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 sm:gap-6">
+            {runParams && (
+              <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+                <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                  <FileText className="w-4 h-4 text-teal-500" />
+                  <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Parameter (Input)</h3>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-[11px] sm:text-xs text-left">
+                    <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                      <tr>
+                        <th className="px-3 sm:px-4 py-2">Item</th>
+                        <th className="px-3 sm:px-4 py-2">Nilai</th>
+                      </tr>
+                    </thead>
+                    <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                      {[
+                        ["sim_s", runParams.sim_s],
+                        ["dt", runParams.dt],
+                        ["Noise / seed", runParams.noise ? `ON / ${runParams.seed}` : "OFF"],
+                        ["SP F_feed", runParams.sp_Ffeed],
+                        ["SP T_feed_out", runParams.sp_Tfeed],
+                        ["SP T_reboiler", runParams.sp_Treb],
+                        ["SP T_cond_out", runParams.sp_Tcond],
+                        ["SP F_reflux", runParams.sp_Freflux],
+                        ["SP L_v201", runParams.sp_Lv201],
+                        ["Analyzer fail", runParams.analyzerFail ? "ON" : "OFF"],
+                        ["Cascade TIC-102", runParams.casTIC102 ? runParams.modeFIC102 : "OFF"],
+                        ["Cascade LIC-201", runParams.casLIC201 ? runParams.modeFIC202 : "OFF"],
+                        ["Loop MAN", ["FIC101", "TIC101", "TIC102", "TIC201", "FIC201", "LIC201"].filter((tag) => runParams[`mode${tag}`] === "MAN").join(", ") || "-"],
+                        ["Feedforward", ["FF101", "FF102", "FF103", "FF104"].filter((id) => runParams[`ff${id}`]).join(", ") || "OFF"],
+                        ["IL bypass", (runParams.il_table || []).filter((r) => r.bypass).map((r) => r.id).concat((runParams.il_bypass || []).filter((x) => x.on).map((x) => `${x.id}@${x.t}s`)).join(", ") || "-"],
+                        ["Plant backend", plantSummary(plantCatalog, runParams)],
+                        ["Integrator", `${runParams.integrator || "zoh"}${runParams.plant_dt ? `, sub-step ≤ ${runParams.plant_dt} s` : ""}`],
+                        ["Scan controller", LOOP_TAGS.filter((tag) => runParams[`scan${tag}`]).map((tag) => `${tag} ${runParams[`scan${tag}`]}s`).join(", ") || "tiap dt"],
+                        ["Plant override", Object.keys(runParams).filter((k) => k.startsWith("plantK_")).map((k) => k.slice(7)).join(", ") || "-"],
+                      ].map(([n, v], i) => (
+                        <tr key={i}>
+                          <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{n}</td>
+                          <td className="px-3 sm:px-4 py-2">{String(v)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-4">
+              {gateInfo && (
+                <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+                  <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                    <Info className="w-4 h-4 text-teal-500" />
+                    <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Ringkasan Gate</h3>
+                  </div>
+                  <div className="p-4 text-[11px] sm:text-xs">
+                    <div className="flex justify-between">
+                      <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>% waktu PRODUCT</span>
+                      <span className="font-mono font-bold text-teal-500">{fmt(gateInfo.productPct, 1)}%</span>
+                    </div>
+                    <div className="flex justify-between mt-2">
+                      <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Jumlah switching</span>
+                      <span className="font-mono font-bold">{gateInfo.switches}</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {metrics && (
+                <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+                  <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                    <BarChart3 className="w-4 h-4 text-teal-500" />
+                    <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Kinerja Loop (Output)</h3>
+                  </div>
+                  <div className="overflow-x-auto max-h-[260px] custom-scrollbar">
+                    <table className="w-full text-[11px] sm:text-xs text-left">
+                      <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                        <tr>
+                          <th className="px-3 sm:px-4 py-2">Loop</th>
+                          <th className="px-3 sm:px-4 py-2">IAE</th>
+                          <th className="px-3 sm:px-4 py-2">ITAE</th>
+                          <th className="px-3 sm:px-4 py-2">OS (%)</th>
+                          <th className="px-3 sm:px-4 py-2">Settling (s)</th>
+                        </tr>
+                      </thead>
+                      <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                        {metrics.map((row, idx) => (
+                          <tr key={idx}>
+                            <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{row.name}</td>
+                            <td className="px-3 sm:px-4 py-2 font-mono">{fmt(row.IAE, 2)}</td>
+                            <td className="px-3 sm:px-4 py-2 font-mono">{fmt(row.ITAE, 1)}</td>
+                            <td className="px-3 sm:px-4 py-2 font-mono">{row.OvershootPct == null ? "-" : fmt(row.OvershootPct, 1)}</td>
+                            <td className="px-3 sm:px-4 py-2 font-mono">{row.SettlingTime == null ? "-" : fmt(row.SettlingTime, 0)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {suiteResults && (
+            <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+              <div className={`p-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                <div className="flex items-center gap-2">
+                  <FileText className="w-4 h-4 text-teal-500" />
+                  <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>MODE UJI — Ringkasan Test Suite</h3>
+                  <span className="text-[11px] font-mono">
+                    <span className="text-teal-500">{suiteResults.filter((r) => r.pass === true).length} PASS</span>
+                    {" / "}
+                    <span className="text-red-400">{suiteResults.filter((r) => r.pass === false).length} FAIL</span>
+                    {suiteResults.some((r) => r.baseline?.regressions.length) && (
+                      <span className="ml-2 text-red-400 font-semibold">
+                        {suiteResults.filter((r) => r.baseline?.regressions.length).length} regresi
+                      </span>
+                    )}
+                  </span>
+                </div>
+                {suiteLastBaseline && (
+                  <div className="flex flex-wrap items-center gap-2 text-[11px]">
+                    <button
+                      onClick={() => setParams(prev => ({ ...prev, suite_baseline: suiteLastBaseline }))}
+                      className="px-2 py-1 rounded bg-teal-500 hover:bg-teal-400 text-white"
+                    >
+                      Jadikan baseline
+                    </button>
+                    <button
+                      onClick={() => downloadJson(suiteLastBaseline, "suite_baseline.json")}
+                      className={`px-2 py-1 rounded border ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                    >
+                      Save baseline JSON
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className="overflow-x-auto max-h-[260px] custom-scrollbar">
+                <table className="w-full text-[11px] sm:text-xs text-left">
+                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                    <tr>
+                      <th className="px-3 sm:px-4 py-2">Test</th>
+                      <th className="px-3 sm:px-4 py-2">% PRODUCT</th>
+                      <th className="px-3 sm:px-4 py-2">Switches</th>
+                      <th className="px-3 sm:px-4 py-2">Total IAE (norm)</th>
+                      <th className="px-3 sm:px-4 py-2">IAE FF off → on</th>
+                      <th className="px-3 sm:px-4 py-2">Acceptance</th>
+                      <th className="px-3 sm:px-4 py-2">vs Baseline</th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                    {suiteResults.map((r, idx) => (
+                      <tr key={idx} className={r.baseline?.regressions.length ? (isDarkMode ? 'bg-red-900/20' : 'bg-red-50') : ''}>
+                        <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">
+                          {r.name}
+                          {r.pass !== null && (
+                            <span className={`ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold text-white ${r.pass ? 'bg-teal-600' : 'bg-red-500'}`}>
+                              {r.pass ? "PASS" : "FAIL"}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.gate?.productPct, 1)}%</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{r.gate?.switches ?? "-"}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.totalIAE, 2)}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{r.ff ? `${fmt(r.ff.IAE_off, 2)} → ${fmt(r.ff.IAE_on, 2)}` : "-"}</td>
+                        <td className="px-3 sm:px-4 py-2">
+                          <div className="flex flex-wrap gap-1">
+                            {(r.checks || []).map((c) => (
+                              <span
+                                key={c.key}
+                                title={`${c.label}: ${c.value === null ? "N/A" : fmt(c.value, 1)} (batas ${c.limit})`}
+                                className={`px-1.5 py-0.5 rounded font-mono text-[10px] ${c.pass === null ? (isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-100 text-gray-500') : c.pass ? 'bg-teal-500/15 text-teal-500' : 'bg-red-500/15 text-red-400'}`}
+                              >
+                                {c.label} {c.value === null ? "N/A" : fmt(c.value, 1)} {c.pass === null ? "" : c.pass ? "✓" : "✗"}
+                              </span>
+                            ))}
+                            {!r.checks?.length && <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>-</span>}
+                          </div>
+                        </td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">
+                          {r.baseline ? (
+                            <>
+                              <span className={r.baseline.dIAE_pct > params.reg_IAE_pct ? 'text-red-400' : ''}>
+                                IAE {r.baseline.dIAE_pct === null ? "-" : `${r.baseline.dIAE_pct >= 0 ? "+" : ""}${fmt(r.baseline.dIAE_pct, 1)}%`}
+                              </span>
+                              {r.baseline.regressions.length > 0 && (
+                                <div className="text-red-400 font-semibold">{r.baseline.regressions.join(", ")}</div>
+                              )}
+                            </>
+                          ) : "-"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className={`px-4 py-3 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Interpretasi cepat: <span className="text-teal-500 font-semibold">switches rendah</span> = gate tidak “chattering”,
+                dan <span className="text-teal-500 font-semibold">Total IAE lebih kecil</span> = tracking agregat lebih rapih.
+              </div>
+            </div>
+          )}
+
+          {autoTune && (
+            <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+              <div className={`p-3 border-b flex items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                <div className="flex items-center gap-2">
+                  <Settings className="w-4 h-4 text-teal-500" />
+                  <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                    Auto-Tune {autoTune.loop} — {autoTune.rule} {autoTune.type}
+                  </h3>
+                </div>
+                <button
+                  onClick={applyAutoTune}
+                  className="px-3 py-1 rounded-lg text-xs font-medium bg-amber-500 hover:bg-amber-400 text-white"
+                >
+                  Terapkan ke tuning
+                </button>
+              </div>
+
+              <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-[11px] sm:text-xs">
+                {[
+                  ["Ku (%/unit)", fmt(autoTune.Ku, 3)],
+                  ["Pu (s)", fmt(autoTune.Pu, 1)],
+                  ["Amplitudo a", fmt(autoTune.a, 3)],
+                  ["θ est. (s)", fmt(autoTune.model?.theta, 1)],
+                  ["Kp usulan", fmt(autoTune.tuning?.Kp, 3)],
+                  ["Ti usulan (s)", fmt(autoTune.tuning?.Ti, 1)],
+                  ["Td usulan (s)", fmt(autoTune.tuning?.Td, 1)],
+                  ["IAE sebelum → sesudah", `${fmt(autoTune.before?.IAE, 3)} → ${fmt(autoTune.after?.IAE, 3)}`],
+                ].map(([k, v]) => (
+                  <div key={k} className="flex flex-col">
+                    <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{k}</span>
+                    <span className="font-mono font-bold text-teal-500">{v}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto custom-scrollbar">
+                <table className="w-full text-[11px] sm:text-xs text-left">
+                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                    <tr>
+                      <th className="px-3 sm:px-4 py-2">Aturan</th>
+                      <th className="px-3 sm:px-4 py-2">PI Kp / Ti</th>
+                      <th className="px-3 sm:px-4 py-2">PID Kp / Ti / Td</th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                    {Object.entries(autoTune.proposals || {}).map(([rule, pr]) => (
+                      <tr key={rule}>
+                        <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{rule}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(pr.PI.Kp, 3)} / {fmt(pr.PI.Ti, 1)}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(pr.PID.Kp, 3)} / {fmt(pr.PID.Ti, 1)} / {fmt(pr.PID.Td, 1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4">
+                <ChartCard isDarkMode={isDarkMode} title={`Relay test ${autoTune.loop}`} id="chart-relay">
+                  <ResponsiveContainer>
+                    <LineChart data={autoTune.relayData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                      <XAxis dataKey="t" stroke={axisStroke} minTickGap={minTickGap} tick={tickStyle} />
+                      <YAxis yAxisId="pv" stroke={axisStroke} domain={['auto', 'auto']} tick={tickStyle} />
+                      <YAxis yAxisId="u" orientation="right" stroke={axisStroke} domain={['auto', 'auto']} tick={tickStyle} />
+                      <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                      <Legend />
+                      <Line yAxisId="pv" type="monotone" dataKey="PV" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
+                      <Line yAxisId="pv" type="step" dataKey="SP" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                      <Line yAxisId="u" type="step" dataKey="u" stroke="#facc15" strokeWidth={1} dot={false} isAnimationActive={false} name="Relay u (%)" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+
+                <ChartCard isDarkMode={isDarkMode} title={`Step response ${autoTune.loop}: sebelum vs sesudah`} id="chart-at-step">
+                  <ResponsiveContainer>
+                    <LineChart data={autoTune.stepData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                      <XAxis dataKey="t" stroke={axisStroke} minTickGap={minTickGap} tick={tickStyle} />
+                      <YAxis stroke={axisStroke} domain={['auto', 'auto']} tick={tickStyle} />
+                      <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                      <Legend />
+                      <Line type="monotone" dataKey="PV_before" stroke="#9ca3af" strokeWidth={2} dot={false} isAnimationActive={false} name="PV sebelum" />
+                      <Line type="monotone" dataKey="PV_after" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="PV sesudah" />
+                      <Line type="step" dataKey="SP" stroke="#f472b6" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+            </div>
+          )}
+
+          {optResult && (
+            <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+              <div className={`p-3 border-b flex items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                <div className="flex items-center gap-2">
+                  <TrendingUp className="w-4 h-4 text-teal-500" />
+                  <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                    Optimize: J {fmt(optResult.start?.J, 3)} → {fmt(optResult.best?.J, 3)} ({optResult.evals} evaluasi, {optResult.scenarios?.length} skenario)
+                  </h3>
+                </div>
+                <button
+                  onClick={applyOptimize}
+                  className="px-3 py-1 rounded-lg text-xs font-medium bg-amber-500 hover:bg-amber-400 text-white"
+                >
+                  Terapkan ke tuning
+                </button>
+              </div>
+
+              <div className="overflow-x-auto custom-scrollbar">
+                <table className="w-full text-[11px] sm:text-xs text-left">
+                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                    <tr>
+                      <th className="px-3 sm:px-4 py-2">Loop</th>
+                      <th className="px-3 sm:px-4 py-2">Kp awal → terbaik</th>
+                      <th className="px-3 sm:px-4 py-2">Ti awal → terbaik</th>
+                      <th className="px-3 sm:px-4 py-2">Td awal → terbaik</th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                    {Object.entries(optResult.best?.tuning || {}).map(([tag, b]) => {
+                      const s0 = optResult.start?.tuning?.[tag] || {};
+                      return (
+                        <tr key={tag}>
+                          <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{tag}</td>
+                          <td className="px-3 sm:px-4 py-2 font-mono">{fmt(s0.Kp, 3)} → {fmt(b.Kp, 3)}</td>
+                          <td className="px-3 sm:px-4 py-2 font-mono">{fmt(s0.Ti, 1)} → {fmt(b.Ti, 1)}</td>
+                          <td className="px-3 sm:px-4 py-2 font-mono">{fmt(s0.Td, 1)} → {fmt(b.Td, 1)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-[11px] sm:text-xs">
+                {["IAE", "ITAE", "OS", "MV"].map((k) => (
+                  <div key={k} className="flex flex-col">
+                    <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{k === "ITAE" ? "ITAE/T" : k === "OS" ? "Overshoot %" : k === "MV" ? "MV travel %" : k} (w={optResult.weights?.[k]})</span>
+                    <span className="font-mono font-bold text-teal-500">{fmt(optResult.start?.parts?.[k], 2)} → {fmt(optResult.best?.parts?.[k], 2)}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="p-4 pt-0">
+                <ChartCard isDarkMode={isDarkMode} title="Konvergensi objektif J" id="chart-opt">
+                  <ResponsiveContainer>
+                    <LineChart data={optResult.history}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                      <XAxis dataKey="n" stroke={axisStroke} tick={tickStyle} />
+                      <YAxis stroke={axisStroke} domain={['auto', 'auto']} tick={tickStyle} />
+                      <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                      <Legend />
+                      <Line type="monotone" dataKey="J" stroke="#9ca3af" dot={false} isAnimationActive={false} name="J evaluasi" />
+                      <Line type="stepAfter" dataKey="bestJ" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="J terbaik" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+            </div>
+          )}
+
+          {mcResult && (
+            <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+              <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                <BarChart3 className="w-4 h-4 text-teal-500" />
+                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                  Monte Carlo: {mcResult.n} run ({mcResult.settings?.mismatch === false
+                    ? "model mismatch tidak berlaku untuk backend ini"
+                    : `K ±${mcResult.settings?.K_pct}%, τ ±${mcResult.settings?.tau_pct}%, θ ±${mcResult.settings?.theta_pct}%`}, dist ±{mcResult.settings?.dist_pct}%)
+                </h3>
+              </div>
+
+              <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-[11px] sm:text-xs">
+                {[
+                  ["Total IAE mean", fmt(mcResult.totalIAE?.mean, 2)],
+                  ["Total IAE P5 / P95", `${fmt(mcResult.totalIAE?.p5, 2)} / ${fmt(mcResult.totalIAE?.p95, 2)}`],
+                  ["Total IAE worst", fmt(mcResult.totalIAE?.worst, 2)],
+                  ["P(gate switching)", `${fmt(100 * mcResult.pGateSwitch, 1)} %`],
+                  ["Product % mean", fmt(mcResult.productPct?.mean, 1)],
+                  ["Product % worst", fmt(mcResult.productPct?.worst, 1)],
+                ].map(([k, v]) => (
+                  <div key={k} className="flex flex-col">
+                    <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{k}</span>
+                    <span className="font-mono font-bold text-teal-500">{v}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto custom-scrollbar">
+                <table className="w-full text-[11px] sm:text-xs text-left">
+                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                    <tr>
+                      <th className="px-3 sm:px-4 py-2">Loop</th>
+                      <th className="px-3 sm:px-4 py-2">IAE mean</th>
+                      <th className="px-3 sm:px-4 py-2">IAE P5 / P95</th>
+                      <th className="px-3 sm:px-4 py-2">IAE worst</th>
+                      <th className="px-3 sm:px-4 py-2">ITAE mean</th>
+                      <th className="px-3 sm:px-4 py-2">OS % mean / P95 / worst</th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                    {(mcResult.per_loop || []).map((r) => (
+                      <tr key={r.name}>
+                        <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{r.name}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.IAE.mean, 3)}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.IAE.p5, 3)} / {fmt(r.IAE.p95, 3)}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.IAE.worst, 3)}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.ITAE.mean, 0)}</td>
+                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.OvershootPct.mean, 1)} / {fmt(r.OvershootPct.p95, 1)} / {fmt(r.OvershootPct.worst, 1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="p-4">
+                <div className={`flex items-center gap-2 mb-2 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <span>Histogram IAE:</span>
+                  <select
+                    value={mcLoop}
+                    onChange={(e) => setMcLoop(e.target.value)}
+                    className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                  >
+                    <option value="TOTAL">Total IAE</option>
+                    {(mcResult.per_loop || []).map((r) => <option key={r.name} value={r.name}>{r.name}</option>)}
+                  </select>
+                </div>
+                <ChartCard isDarkMode={isDarkMode} title={`Distribusi IAE — ${mcLoop === "TOTAL" ? "Total" : mcLoop}`} id="chart-mc">
+                  <ResponsiveContainer>
+                    <BarChart
+                      data={(mcLoop === "TOTAL" ? mcResult.totalHist : mcResult.per_loop.find((r) => r.name === mcLoop)?.hist || [])
+                        .map((b) => ({ bin: fmt((b.x0 + b.x1) / 2, 2), count: b.count }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                      <XAxis dataKey="bin" stroke={axisStroke} tick={tickStyle} />
+                      <YAxis stroke={axisStroke} allowDecimals={false} tick={tickStyle} />
+                      <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                      <Bar dataKey="count" fill="#2dd4bf" isAnimationActive={false} name="Jumlah run" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+            </div>
+          )}
+
+          {ident && (
+            <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+              <div className={`p-3 border-b flex items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                <div className="flex items-center gap-2">
+                  <BarChart3 className="w-4 h-4 text-teal-500" />
+                  <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                    Identifikasi {ident.order} — {ident.source === "csv" ? "CSV" : ident.block}
+                  </h3>
+                </div>
+                <button
+                  onClick={exportIdent}
+                  className="px-3 py-1 rounded-lg text-xs font-medium bg-amber-500 hover:bg-amber-400 text-white"
+                >
+                  Export ke plant ({ident.source === "csv" ? idSettings.block : ident.block})
+                </button>
+              </div>
+
+              <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-[11px] sm:text-xs">
+                {[
+                  ["K", fmt(ident.K, 4), ident.current && fmt(ident.current.K, 4)],
+                  ["τ (s)", fmt(ident.tau, 1), ident.current && fmt(ident.current.tau, 1)],
+                  ["θ (s)", fmt(ident.theta, 1), ident.current && fmt(ident.current.theta, 1)],
+                  ["τ2 (s)", fmt(ident.tau2, 1), ident.current && fmt(ident.current.tau2, 1)],
+                  ["R²", fmt(ident.R2, 4), null],
+                  ["Fit (NRMSE) %", fmt(ident.fitPct, 1), null],
+                  ["RMSE", fmt(ident.rmse, 4), null],
+                  ["dt (s)", fmt(ident.dt, 2), null],
+                ].map(([k, v, cur]) => (
+                  <div key={k} className="flex flex-col">
+                    <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{k}{cur ? ` (plant: ${cur})` : ""}</span>
+                    <span className="font-mono font-bold text-teal-500">{v}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="p-4 pt-0">
+                <ChartCard isDarkMode={isDarkMode} title="Measured vs model" id="chart-ident">
+                  <ResponsiveContainer>
+                    <LineChart data={ident.fitData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                      <XAxis dataKey="t" stroke={axisStroke} minTickGap={minTickGap} tick={tickStyle} />
+                      <YAxis yAxisId="y" stroke={axisStroke} domain={['auto', 'auto']} tick={tickStyle} />
+                      <YAxis yAxisId="u" orientation="right" stroke={axisStroke} domain={['auto', 'auto']} tick={tickStyle} />
+                      <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                      <Legend />
+                      <Line yAxisId="y" type="monotone" dataKey="y" stroke="#9ca3af" dot={false} isAnimationActive={false} name="Measured y" />
+                      <Line yAxisId="y" type="monotone" dataKey="y_model" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="Model" />
+                      <Line yAxisId="u" type="step" dataKey="u" stroke="#facc15" strokeWidth={1} dot={false} isAnimationActive={false} name="Input u" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+            </div>
+          )}
+
+          <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`p-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+              <div className="flex items-center gap-2">
+                <TrendingUp className="w-4 h-4 text-amber-500" />
+                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Disturbance Library (Run)</h3>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-[11px]">
+                <button onClick={() => addDist(null)} className="px-2 py-1 rounded bg-amber-500 hover:bg-amber-400 text-white">+ Disturbance</button>
+                <label className={`px-2 py-1 rounded border cursor-pointer ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                  Load profile CSV
+                  <input type="file" accept=".csv,.txt" className="hidden" onChange={(e) => { importDistProfile(e.target.files?.[0]); e.target.value = ""; }} />
+                </label>
+              </div>
             </div>
 
-            <SliderControl label="SP FIC-101 Feed Flow" id="sp_Ffeed" min={0} max={100} step={1} val={params.sp_Ffeed} />
-            <SliderControl label="SP TIC-101 T_feed_out (°C)" id="sp_Tfeed" min={60} max={160} step={1} val={params.sp_Tfeed} />
-            <SliderControl label="SP TIC-102 T_reboiler (°C)" id="sp_Treb" min={120} max={210} step={1} val={params.sp_Treb} />
-            <SliderControl label="SP TIC-201 T_cond_out (°C)" id="sp_Tcond" min={20} max={70} step={1} val={params.sp_Tcond} />
-            <SliderControl label="SP FIC-201 Reflux Flow" id="sp_Freflux" min={0} max={100} step={1} val={params.sp_Freflux} />
-            <SliderControl label="SP LIC-201 V201 Level (%)" id="sp_Lv201" min={5} max={95} step={1} val={params.sp_Lv201} />
+            {params.dist_list.length > 0 ? (
+              <div className="overflow-x-auto custom-scrollbar">
+                <table className="w-full text-[11px] text-left">
+                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                    <tr>
+                      {["Target", "Shape", "t0 (s)", "Parameter", ""].map((h) => <th key={h} className="px-2 py-2 whitespace-nowrap">{h}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                    {params.dist_list.map((d, i) => (
+                      <tr key={i}>
+                        <td className="px-2 py-1">{renderField("dtarget", d.target, (v) => updateDist(i, "target", v))}</td>
+                        <td className="px-2 py-1">{renderField("dshape", d.shape, (v) => updateDist(i, "shape", v))}</td>
+                        <td className="px-2 py-1">{renderField("num", d.t0, (v) => updateDist(i, "t0", v))}</td>
+                        <td className="px-2 py-1">
+                          <div className="flex flex-wrap items-center gap-2">
+                            {DIST_SHAPES[d.shape].map((f) => (
+                              <label key={f} className="flex items-center gap-1">
+                                <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>{f}</span>
+                                {renderField(f === "points" ? "points" : "num", d[f], (v) => updateDist(i, f, v))}
+                              </label>
+                            ))}
+                          </div>
+                        </td>
+                        <td className="px-2 py-1">
+                          <button
+                            onClick={() => setParams(prev => ({ ...prev, dist_list: prev.dist_list.filter((_, j) => j !== i) }))}
+                            className="text-red-400 hover:text-red-300"
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className={`px-4 py-3 text-[11px] ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                Belum ada disturbance. Run tunggal memakai daftar ini; MODE UJI memakai event <span className="font-mono">dist</span> di skenario.
+              </div>
+            )}
+
+            <div className={`px-4 py-3 border-t text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              Target: input plant (<span className="font-mono">d_*</span>), MV (offset % valve) atau sensor (offset pengukuran).
+              dur 0 = sampai akhir run; ramp naik selama dur lalu ditahan. Overlay tampil di chart terkait (sumbu kanan).
+            </div>
           </div>
 
-          <div className={`border rounded-xl overflow-hidden shadow-sm flex flex-col max-h-[520px] sm:max-h-[600px] ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-            <div className={`p-3 sm:p-4 font-semibold flex items-center gap-2 border-b ${isDarkMode ? 'bg-gray-800/30 border-gray-800 text-white' : 'bg-gray-50 border-gray-100 text-gray-900'}`}>
-              <BarChart3 className="w-4 h-4 text-teal-500" />
-              <span className="text-sm sm:text-base">Tuning PI (Kp/Ti)</span>
+          <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`p-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+              <div className="flex items-center gap-2">
+                <Info className="w-4 h-4 text-red-500" />
+                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Sensor Faults (Run)</h3>
+              </div>
+              <button onClick={addFault} className="px-2 py-1 rounded bg-red-500 hover:bg-red-400 text-white text-[11px]">+ Fault</button>
             </div>
 
-            <div className="p-3 sm:p-4 space-y-5 sm:space-y-6 overflow-y-auto custom-scrollbar flex-1">
-              {[
-                ['FIC-101 (Feed Flow)', 'kpFIC101', 'tiFIC101', 0.1, 6.0, 0.1, 10, 400, 5],
-                ['TIC-101 (Preheater)', 'kpTIC101', 'tiTIC101', 0.1, 6.0, 0.1, 20, 800, 10],
-                ['TIC-102 (Reboiler)', 'kpTIC102', 'tiTIC102', 0.1, 6.0, 0.1, 20, 1000, 10],
-                ['TIC-201 (Condenser)', 'kpTIC201', 'tiTIC201', 0.1, 6.0, 0.1, 20, 1000, 10],
-                ['FIC-201 (Reflux Flow)', 'kpFIC201', 'tiFIC201', 0.1, 6.0, 0.1, 10, 400, 5],
-                ['LIC-201 (V201 Level - slow)', 'kpLIC201', 'tiLIC201', 0.1, 6.0, 0.1, 50, 2000, 25],
-              ].map(([title, kId, tId, kMin, kMax, kStep, tMin, tMax, tStep], i) => (
-                <div key={i} className={i > 0 ? "border-t pt-4 border-gray-700/30" : ""}>
-                  <h4 className="text-[11px] sm:text-xs font-bold text-teal-500 uppercase mb-2">{title}</h4>
+            {params.fault_list.length > 0 ? (
+              <div className="overflow-x-auto custom-scrollbar">
+                <table className="w-full text-[11px] text-left">
+                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                    <tr>
+                      {["Sensor", "Fault", "t0 (s)", "Value", "Dur (s)", "Period (s)", ""].map((h) => <th key={h} className="px-2 py-2 whitespace-nowrap">{h}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                    {params.fault_list.map((f, i) => (
+                      <tr key={i}>
+                        <td className="px-2 py-1">{renderField("fsensor", f.sensor, (v) => updateFault(i, "sensor", v))}</td>
+                        <td className="px-2 py-1">{renderField("ftype", f.fault, (v) => updateFault(i, "fault", v))}</td>
+                        {["t0", "value", "dur", "period"].map((k) => (
+                          <td key={k} className="px-2 py-1">{renderField("num", f[k], (v) => updateFault(i, k, v))}</td>
+                        ))}
+                        <td className="px-2 py-1">
+                          <button
+                            onClick={() => setParams(prev => ({ ...prev, fault_list: prev.fault_list.filter((_, j) => j !== i) }))}
+                            className="text-red-400 hover:text-red-300"
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className={`px-4 py-3 text-[11px] ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                Belum ada fault. MODE UJI memakai event <span className="font-mono">sensor_fault</span> di skenario.
+              </div>
+            )}
 
-                  <SliderControl label="Kp" id={kId} min={kMin} max={kMax} step={kStep} val={params[kId]} />
-                  <SliderControl label="Ti (s)" id={tId} min={tMin} max={tMax} step={tStep} val={params[tId]} />
-                </div>
+            <div className={`px-4 py-3 border-t flex flex-wrap items-center gap-3 text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              <span className="font-semibold">Bad PV policy / fail-safe out (%):</span>
+              {LOOP_TAGS.map((name) => (
+                <label key={name} className="flex items-center gap-1">
+                  <span className="font-mono">{name}</span>
+                  <select value={params[`badpv${name}`]} onChange={(e) => setParams(prev => ({ ...prev, [`badpv${name}`]: e.target.value }))} className={inputCls}>
+                    {BAD_PV_POLICIES.map((o) => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                  {params[`badpv${name}`] === "FAILSAFE" && renderField("num", params[`fs${name}`], (v) => setParams(prev => ({ ...prev, [`fs${name}`]: v })))}
+                </label>
               ))}
             </div>
-          </div>
 
-          <div className={`border rounded-xl p-4 sm:p-5 shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-            <div className={`flex items-center gap-2 mb-3 sm:mb-4 font-semibold border-b pb-2 ${isDarkMode ? 'text-white border-gray-800' : 'text-gray-900 border-gray-100'}`}>
-              <Info className="w-4 h-4 text-teal-500" />
-              <span className="text-sm sm:text-base">Quality Gate</span>
+            <div className={`px-4 py-3 border-t text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              bias +value, drift +value/s, frozen tahan nilai, spike +value 1 sampel (ulang tiap period), noise σ = value,
+              bad = quality BAD (nilai terbaca = value). Nilai di luar range transmitter otomatis BAD.
+              PV BAD: kontroler melihat nilai good terakhir; gate ke RECYCLE jika PV gate BAD; interlock trip jika Bad→Trip.
             </div>
-
-            <SliderControl label="TT-106 ON Low (°C)" id="g_tt_low" min={0} max={150} step={1} val={params.g_tt_low} />
-            <SliderControl label="TT-106 ON High (°C)" id="g_tt_high" min={0} max={150} step={1} val={params.g_tt_high} />
-            <SliderControl label="rho15 ON Low (g/cc)" id="g_rho_low" min={0.65} max={0.85} step={0.001} val={params.g_rho_low} />
-            <SliderControl label="rho15 ON High (g/cc)" id="g_rho_high" min={0.65} max={0.85} step={0.001} val={params.g_rho_high} />
-            <SliderControl label="ΔTsub Min (°C)" id="g_dTsub" min={0} max={20} step={0.5} val={params.g_dTsub} />
-            <SliderControl label="Delay ON (s)" id="g_delay_on" min={0} max={600} step={10} val={params.g_delay_on} />
-            <SliderControl label="Delay OFF (s)" id="g_delay_off" min={0} max={300} step={5} val={params.g_delay_off} />
           </div>
-        </aside>
-
-        <section className="lg:col-span-9 flex flex-col gap-4 sm:gap-6">
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 sm:gap-6">
-            {runParams && (
-              <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-                <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
-                  <FileText className="w-4 h-4 text-teal-500" />
-                  <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Parameter (Input)</h3>
-                </div>
-                <div className="overflow-x-auto">
-                  <table className="w-full text-[11px] sm:text-xs text-left">
-                    <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
-                      <tr>
-                        <th className="px-3 sm:px-4 py-2">Item</th>
-                        <th className="px-3 sm:px-4 py-2">Nilai</th>
-                      </tr>
-                    </thead>
-                    <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
-                      {[
-                        ["sim_s", runParams.sim_s],
-                        ["dt", runParams.dt],
-                        ["SP F_feed", runParams.sp_Ffeed],
-                        ["SP T_feed_out", runParams.sp_Tfeed],
-                        ["SP T_reboiler", runParams.sp_Treb],
-                        ["SP T_cond_out", runParams.sp_Tcond],
-                        ["SP F_reflux", runParams.sp_Freflux],
-                        ["SP L_v201", runParams.sp_Lv201],
-                        ["Analyzer fail", runParams.analyzerFail ? "ON" : "OFF"],
-                      ].map(([n, v], i) => (
-                        <tr key={i}>
-                          <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{n}</td>
-                          <td className="px-3 sm:px-4 py-2">{String(v)}</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
+          <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`p-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+              <div className="flex items-center gap-2">
+                <FileText className="w-4 h-4 text-teal-500" />
+                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Scenario Library (MODE UJI)</h3>
               </div>
-            )}
+              <div className="flex flex-wrap items-center gap-2 text-[11px]">
+                <button onClick={() => addScenario(null)} className="px-2 py-1 rounded bg-teal-500 hover:bg-teal-400 text-white">+ Skenario</button>
+                <button
+                  onClick={() => { setParams(prev => ({ ...prev, scenarios: DEFAULT_SCENARIOS })); setScnSel(0); }}
+                  className={`px-2 py-1 rounded border ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Default
+                </button>
+                <button
+                  onClick={exportScenarios}
+                  className={`px-2 py-1 rounded border ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Save JSON
+                </button>
+                <label className={`px-2 py-1 rounded border cursor-pointer ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                  Load JSON
+                  <input type="file" accept=".json" className="hidden" onChange={(e) => { importScenarios(e.target.files?.[0]); e.target.value = ""; }} />
+                </label>
+              </div>
+            </div>
 
-            <div className="space-y-4">
-              {gateInfo && (
-                <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-                  <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
-                    <Info className="w-4 h-4 text-teal-500" />
-                    <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Ringkasan Gate</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3">
+              <div className={`max-h-[320px] overflow-y-auto custom-scrollbar border-b lg:border-b-0 lg:border-r ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+                {params.scenarios.map((sc, i) => (
+                  <div
+                    key={i}
+                    onClick={() => setScnSel(i)}
+                    className={`flex items-center gap-2 px-3 py-1.5 text-[11px] cursor-pointer ${i === scnSel ? (isDarkMode ? 'bg-gray-800' : 'bg-teal-50') : ''}`}
+                  >
+                    <input
+                      type="checkbox" checked={sc.enabled !== false}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) => updateScenario(i, "enabled", e.target.checked)}
+                      className="accent-teal-500"
+                      title="Ikut dijalankan saat MODE UJI"
+                    />
+                    <span className={`font-medium ${sc.enabled !== false ? 'text-teal-500' : (isDarkMode ? 'text-gray-500' : 'text-gray-400')}`}>{sc.name}</span>
+                    <span className={`ml-auto ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>{sc.events.length} ev</span>
                   </div>
-                  <div className="p-4 text-[11px] sm:text-xs">
-                    <div className="flex justify-between">
-                      <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>% waktu PRODUCT</span>
-                      <span className="font-mono font-bold text-teal-500">{fmt(gateInfo.productPct, 1)}%</span>
-                    </div>
-                    <div className="flex justify-between mt-2">
-                      <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Jumlah switching</span>
-                      <span className="font-mono font-bold">{gateInfo.switches}</span>
-                    </div>
+                ))}
+              </div>
+
+              {scnCur && (
+                <div className="lg:col-span-2 p-3 space-y-2 text-[11px]">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      value={scnCur.name}
+                      onChange={(e) => updateScenario(scnSel, "name", e.target.value)}
+                      className={`w-48 text-[11px] rounded px-1 py-0.5 border font-medium ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                    />
+                    <input
+                      value={scnCur.desc ?? ""} placeholder="deskripsi"
+                      onChange={(e) => updateScenario(scnSel, "desc", e.target.value)}
+                      className={`flex-1 min-w-[160px] text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                    />
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={!!scnCur.ff_compare} onChange={(e) => updateScenario(scnSel, "ff_compare", e.target.checked)} className="accent-teal-500" />
+                      FF off/on
+                    </label>
+                    <button onClick={() => addScenario(scnCur)} className={`px-2 py-1 rounded border ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}>Duplikat</button>
+                    <button onClick={() => removeScenario(scnSel)} className="px-2 py-1 rounded border border-red-400 text-red-400 hover:bg-red-500/10">Hapus</button>
+                    <button
+                      onClick={() => runScenario(scnCur)}
+                      disabled={isSimulating}
+                      className={`px-2 py-1 rounded text-white ${isSimulating ? 'bg-gray-600 cursor-not-allowed' : 'bg-teal-500 hover:bg-teal-400'}`}
+                    >
+                      Run skenario
+                    </button>
                   </div>
-                </div>
-              )}
 
-              {metrics && (
-                <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-                  <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
-                    <BarChart3 className="w-4 h-4 text-teal-500" />
-                    <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Kinerja Loop (Output)</h3>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Criteria:</span>
+                    {SCN_CRITERIA_FIELDS.map(([f, label]) => (
+                      <label key={f} className="flex items-center gap-1">
+                        <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>{label}</span>
+                        <input
+                          type="number" value={scnCur.criteria?.[f] ?? ""} placeholder="-"
+                          onChange={(e) => updateScnCriteria(scnSel, f, e.target.value === "" ? "" : parseFloat(e.target.value))}
+                          className={`w-16 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                        />
+                      </label>
+                    ))}
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={!!scnCur.criteria?.no_hh_trip} onChange={(e) => updateScnCriteria(scnSel, "no_hh_trip", e.target.checked)} className="accent-teal-500" />
+                      Tanpa trip HH
+                    </label>
                   </div>
-                  <div className="overflow-x-auto max-h-[260px] custom-scrollbar">
-                    <table className="w-full text-[11px] sm:text-xs text-left">
+
+                  <div className="overflow-x-auto custom-scrollbar">
+                    <table className="w-full text-[11px] text-left">
                       <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
                         <tr>
-                          <th className="px-3 sm:px-4 py-2">Loop</th>
-                          <th className="px-3 sm:px-4 py-2">IAE</th>
-                          <th className="px-3 sm:px-4 py-2">ITAE</th>
-                          <th className="px-3 sm:px-4 py-2">OS (%)</th>
-                          <th className="px-3 sm:px-4 py-2">Settling (s)</th>
+                          {["t (s)", "Type", "Field", ""].map((h) => <th key={h} className="px-2 py-2 whitespace-nowrap">{h}</th>)}
                         </tr>
                       </thead>
                       <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
-                        {metrics.map((row, idx) => (
-                          <tr key={idx}>
-                            <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{row.name}</td>
-                            <td className="px-3 sm:px-4 py-2 font-mono">{fmt(row.IAE, 2)}</td>
-                            <td className="px-3 sm:px-4 py-2 font-mono">{fmt(row.ITAE, 1)}</td>
-                            <td className="px-3 sm:px-4 py-2 font-mono">{row.OvershootPct == null ? "-" : fmt(row.OvershootPct, 1)}</td>
-                            <td className="px-3 sm:px-4 py-2 font-mono">{row.SettlingTime == null ? "-" : fmt(row.SettlingTime, 0)}</td>
+                        {scnCur.events.map((ev, k) => (
+                          <tr key={k}>
+                            <td className="px-2 py-1">
+                              <input
+                                type="number" min={0} value={ev.t}
+                                onChange={(e) => updateScnEvent(scnSel, k, "t", parseFloat(e.target.value))}
+                                className={`w-16 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                              />
+                            </td>
+                            <td className="px-2 py-1">
+                              <select value={ev.type} onChange={(e) => updateScnEvent(scnSel, k, "type", e.target.value)} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                                {Object.keys(SCENARIO_EVENT_TYPES).map((o) => <option key={o} value={o}>{o}</option>)}
+                              </select>
+                            </td>
+                            <td className="px-2 py-1">
+                              <div className="flex flex-wrap items-center gap-2">
+                                {scnEventFields(ev).map(([f, kind]) => (
+                                  <label key={f} className="flex items-center gap-1">
+                                    <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}>{f}</span>
+                                    {renderField(kind, ev[f], (v) => updateScnEvent(scnSel, k, f, v))}
+                                  </label>
+                                ))}
+                              </div>
+                            </td>
+                            <td className="px-2 py-1">
+                              <button onClick={() => removeScnEvent(scnSel, k)} className="text-red-400 hover:text-red-300">✕</button>
+                            </td>
                           </tr>
                         ))}
                       </tbody>
                     </table>
                   </div>
+
+                  <button onClick={() => addScnEvent(scnSel)} className="px-2 py-1 rounded bg-teal-500 hover:bg-teal-400 text-white">+ Event</button>
                 </div>
               )}
             </div>
+
+            <div className={`px-4 py-3 border-t text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              Skenario yang dicentang dijalankan oleh <span className="text-amber-500 font-semibold">Run MODE UJI</span> (juga dipakai optimizer).
+              Format JSON: <span className="font-mono">{"{ scenarios: [ { name, desc, events: [ { t, type, ... } ], criteria } ] }"}</span>
+            </div>
+
+            <div className={`p-3 border-t flex flex-wrap items-center gap-2 text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              <span>Baseline regresi:</span>
+              <span className={`font-mono ${params.suite_baseline ? 'text-teal-500' : ''}`}>
+                {params.suite_baseline
+                  ? `${params.suite_baseline.results.length} skenario (${String(params.suite_baseline.created || "").slice(0, 19).replace("T", " ")})`
+                  : "belum ada"}
+              </span>
+              <label className={`px-2 py-1 rounded border cursor-pointer ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                Load baseline
+                <input type="file" accept=".json" className="hidden" onChange={(e) => { importBaseline(e.target.files?.[0]); e.target.value = ""; }} />
+              </label>
+              {params.suite_baseline && (
+                <button onClick={() => setParams(prev => ({ ...prev, suite_baseline: null }))} className="text-red-400 hover:text-red-300">✕ Hapus</button>
+              )}
+              <span className="ml-2">Toleransi IAE +</span>
+              <input
+                type="number" min={0} value={params.reg_IAE_pct}
+                onChange={(e) => setParams(prev => ({ ...prev, reg_IAE_pct: parseFloat(e.target.value) }))}
+                className={`w-14 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+              />
+              <span>% , % PRODUCT −</span>
+              <input
+                type="number" min={0} value={params.reg_product_pt}
+                onChange={(e) => setParams(prev => ({ ...prev, reg_product_pt: parseFloat(e.target.value) }))}
+                className={`w-14 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+              />
+              <span>poin</span>
+            </div>
           </div>
 
-          {suiteResults && (
-            <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
-              <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
-                <FileText className="w-4 h-4 text-teal-500" />
-                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>MODE UJI — Ringkasan Test Suite</h3>
+          <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
+            <div className={`p-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
+              <div className="flex items-center gap-2">
+                <Settings className="w-4 h-4 text-teal-500" />
+                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Interlock Table</h3>
               </div>
-              <div className="overflow-x-auto max-h-[260px] custom-scrollbar">
-                <table className="w-full text-[11px] sm:text-xs text-left">
-                  <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
-                    <tr>
-                      <th className="px-3 sm:px-4 py-2">Test</th>
-                      <th className="px-3 sm:px-4 py-2">% PRODUCT</th>
-                      <th className="px-3 sm:px-4 py-2">Switches</th>
-                      <th className="px-3 sm:px-4 py-2">Total IAE (norm)</th>
-                    </tr>
-                  </thead>
-                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
-                    {suiteResults.map((r, idx) => (
-                      <tr key={idx}>
-                        <td className="px-3 sm:px-4 py-2 font-medium text-teal-500">{r.name}</td>
-                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.gate?.productPct, 1)}%</td>
-                        <td className="px-3 sm:px-4 py-2 font-mono">{r.gate?.switches ?? "-"}</td>
-                        <td className="px-3 sm:px-4 py-2 font-mono">{fmt(r.totalIAE, 2)}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+              <div className="flex flex-wrap items-center gap-2 text-[11px]">
+                <button onClick={addIlRow} className="px-2 py-1 rounded bg-teal-500 hover:bg-teal-400 text-white">+ Row</button>
+                <button
+                  onClick={() => setParams(prev => ({ ...prev, il_table: DEFAULT_IL_TABLE }))}
+                  className={`px-2 py-1 rounded border ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Default
+                </button>
+                <button
+                  onClick={exportIlTable}
+                  className={`px-2 py-1 rounded border ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Export JSON
+                </button>
+                <label className={`px-2 py-1 rounded border cursor-pointer ${isDarkMode ? 'border-gray-700 text-gray-300 hover:bg-gray-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                  Import JSON
+                  <input type="file" accept=".json" className="hidden" onChange={(e) => { importIlTable(e.target.files?.[0]); e.target.value = ""; }} />
+                </label>
               </div>
+            </div>
 
-              <div className={`px-4 py-3 text-[11px] sm:text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                Interpretasi cepat: <span className="text-teal-500 font-semibold">switches rendah</span> = gate tidak “chattering”,
-                dan <span className="text-teal-500 font-semibold">Total IAE lebih kecil</span> = tracking agregat lebih rapih.
-              </div>
+            <div className="overflow-x-auto custom-scrollbar">
+              <table className="w-full text-[11px] text-left">
+                <thead className={`${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-50 text-gray-600'} uppercase font-semibold`}>
+                  <tr>
+                    {["ID", "Deskripsi", "Tag", "Cmp", "Trip SP", "Deadband", "Delay ON (s)", "Delay OFF (s)", "Action", "Target", "Value", "Latch", "Bypass", "Max bypass (s)", "Bad→Trip", ""].map((h) => (
+                      <th key={h} className="px-2 py-2 whitespace-nowrap">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className={`divide-y ${isDarkMode ? 'divide-gray-800 text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                  {params.il_table.map((r, i) => (
+                    <tr key={i}>
+                      <td className="px-2 py-1"><input value={r.id} onChange={(e) => updateIlRow(i, "id", e.target.value)} className={`w-16 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`} /></td>
+                      <td className="px-2 py-1"><input value={r.desc} onChange={(e) => updateIlRow(i, "desc", e.target.value)} className={`w-56 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`} /></td>
+                      <td className="px-2 py-1">
+                        <select value={r.tag} onChange={(e) => updateIlRow(i, "tag", e.target.value)} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                          {IL_TAG_OPTIONS.map((o) => <option key={o} value={o}>{o}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-2 py-1">
+                        <select value={r.cmp} onChange={(e) => updateIlRow(i, "cmp", e.target.value)} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                          {IL_CMP_OPTIONS.map((o) => <option key={o} value={o}>{o}</option>)}
+                        </select>
+                      </td>
+                      {["sp", "deadband", "delay_on", "delay_off"].map((k) => (
+                        <td key={k} className="px-2 py-1">
+                          <input
+                            type="number" value={r[k]}
+                            onChange={(e) => updateIlRow(i, k, parseFloat(e.target.value))}
+                            className={`w-16 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                          />
+                        </td>
+                      ))}
+                      <td className="px-2 py-1">
+                        <select value={r.action} onChange={(e) => updateIlRow(i, "action", e.target.value)} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                          {IL_ACTION_OPTIONS.map((o) => <option key={o} value={o}>{o}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-2 py-1">
+                        <select value={r.target} onChange={(e) => updateIlRow(i, "target", e.target.value)} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                          {(r.action === "ROUTE" ? ["RECYCLE", "PRODUCT"] : IL_MV_OPTIONS).map((o) => <option key={o} value={o}>{o}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-2 py-1">
+                        {r.action === "ROUTE" ? "-" : (
+                          <input
+                            type="number" min={0} max={100} value={r.value ?? 0}
+                            onChange={(e) => updateIlRow(i, "value", parseFloat(e.target.value))}
+                            className={`w-14 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                          />
+                        )}
+                      </td>
+                      <td className="px-2 py-1 text-center">
+                        <input type="checkbox" checked={!!r.latch} onChange={(e) => updateIlRow(i, "latch", e.target.checked)} className="accent-teal-500" />
+                      </td>
+                      <td className="px-2 py-1 text-center">
+                        <input type="checkbox" checked={!!r.bypass} onChange={(e) => updateIlRow(i, "bypass", e.target.checked)} className="accent-amber-500" />
+                      </td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="number" min={1} value={r.bypass_max ?? 3600}
+                          onChange={(e) => updateIlRow(i, "bypass_max", parseFloat(e.target.value))}
+                          className={`w-16 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                        />
+                      </td>
+                      <td className="px-2 py-1 text-center">
+                        <input type="checkbox" checked={r.bad_trip !== false} onChange={(e) => updateIlRow(i, "bad_trip", e.target.checked)} className="accent-red-500" />
+                      </td>
+                      <td className="px-2 py-1">
+                        <button onClick={() => removeIlRow(i)} className="text-red-400 hover:text-red-300">✕</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
-          )}
+
+            <div className={`p-3 border-t flex flex-wrap items-center gap-2 text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              <span>Reset operator (latched):</span>
+              <input
+                type="number" min={0} value={ilReset.t}
+                onChange={(e) => setIlReset(prev => ({ ...prev, t: parseFloat(e.target.value) }))}
+                className={`w-20 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+              />
+              <span>s</span>
+              <select value={ilReset.id} onChange={(e) => setIlReset(prev => ({ ...prev, id: e.target.value }))} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                {["ALL", ...params.il_table.map((r) => r.id)].map((o) => <option key={o} value={o}>{o}</option>)}
+              </select>
+              <button
+                onClick={() => Number.isFinite(ilReset.t) && setParams(prev => ({ ...prev, il_resets: [...prev.il_resets, { ...ilReset }] }))}
+                className="px-2 py-1 rounded bg-teal-500 hover:bg-teal-400 text-white"
+              >
+                + Reset
+              </button>
+              {params.il_resets.map((x, i) => (
+                <span key={i} className={`px-2 py-0.5 rounded border ${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+                  t={x.t}s {x.id}
+                  <button
+                    onClick={() => setParams(prev => ({ ...prev, il_resets: prev.il_resets.filter((_, j) => j !== i) }))}
+                    className="ml-1 text-red-400 hover:text-red-300"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            <div className={`p-3 border-t flex flex-wrap items-center gap-2 text-[11px] ${isDarkMode ? 'border-gray-800 text-gray-400' : 'border-gray-100 text-gray-600'}`}>
+              <span>Jadwal bypass:</span>
+              <input
+                type="number" min={0} value={ilBypass.t}
+                onChange={(e) => setIlBypass(prev => ({ ...prev, t: parseFloat(e.target.value) }))}
+                className={`w-20 text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+              />
+              <span>s</span>
+              <select value={ilBypass.id} onChange={(e) => setIlBypass(prev => ({ ...prev, id: e.target.value }))} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                {["ALL", ...params.il_table.map((r) => r.id)].map((o) => <option key={o} value={o}>{o}</option>)}
+              </select>
+              <select value={ilBypass.on ? "on" : "off"} onChange={(e) => setIlBypass(prev => ({ ...prev, on: e.target.value === "on" }))} className={`text-[11px] rounded px-1 py-0.5 border ${isDarkMode ? 'bg-gray-800 border-gray-700 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}>
+                <option value="on">Bypass ON</option>
+                <option value="off">Bypass OFF</option>
+              </select>
+              <button
+                onClick={() => Number.isFinite(ilBypass.t) && setParams(prev => ({ ...prev, il_bypass: [...prev.il_bypass, { ...ilBypass }] }))}
+                className="px-2 py-1 rounded bg-amber-500 hover:bg-amber-400 text-white"
+              >
+                + Jadwal
+              </button>
+              {params.il_bypass.map((x, i) => (
+                <span key={i} className={`px-2 py-0.5 rounded border ${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+                  t={x.t}s {x.id} {x.on ? "ON" : "OFF"}
+                  <button
+                    onClick={() => setParams(prev => ({ ...prev, il_bypass: prev.il_bypass.filter((_, j) => j !== i) }))}
+                    className="ml-1 text-red-400 hover:text-red-300"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
 
           {eventLog?.length > 0 && (
             <div className={`border rounded-xl overflow-hidden shadow-sm ${isDarkMode ? 'bg-neutral-900 border-gray-800' : 'bg-white border-gray-200'}`}>
               <div className={`p-3 border-b flex items-center gap-2 ${isDarkMode ? 'border-gray-800' : 'border-gray-100'}`}>
                 <Info className="w-4 h-4 text-teal-500" />
-                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Event Log (Gate & Interlock)</h3>
+                <h3 className={`font-semibold text-sm ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Event Log (Gate, Interlock, Bypass &amp; Mode)</h3>
               </div>
               <div className="max-h-[200px] overflow-y-auto custom-scrollbar p-3 text-[11px] sm:text-xs font-mono">
                 {eventLog.slice(0, 120).map((x, i) => (
@@ -718,7 +3536,7 @@ export default function App() {
             <div className="grid grid-cols-1 gap-4 sm:gap-6 animate-fadeIn">
               {activeChartPage === 0 && (
                 <>
-                  <ChartCard title="TIC-101: T_feed_out (°C)" id="chart-tfeed">
+                  <ChartCard isDarkMode={isDarkMode} title="TIC-101: T_feed_out (°C)" id="chart-tfeed">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -728,11 +3546,13 @@ export default function App() {
                         <Legend />
                         <Line type="monotone" dataKey="Tfeed" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
                         <Line type="step" dataKey="SP_Tfeed" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-tfeed")}
+                        {branchOverlay("chart-tfeed")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
 
-                  <ChartCard title="TIC-102: T_reboiler (°C)" id="chart-treb">
+                  <ChartCard isDarkMode={isDarkMode} title="TIC-102: T_reboiler (°C)" id="chart-treb">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -742,6 +3562,8 @@ export default function App() {
                         <Legend />
                         <Line type="monotone" dataKey="Treb" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
                         <Line type="step" dataKey="SP_Treb" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-treb")}
+                        {branchOverlay("chart-treb")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
@@ -750,7 +3572,7 @@ export default function App() {
 
               {activeChartPage === 1 && (
                 <>
-                  <ChartCard title="TIC-201: T_cond_out (°C)" id="chart-tcond">
+                  <ChartCard isDarkMode={isDarkMode} title="TIC-201: T_cond_out (°C)" id="chart-tcond">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -760,11 +3582,13 @@ export default function App() {
                         <Legend />
                         <Line type="monotone" dataKey="Tcond" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
                         <Line type="step" dataKey="SP_Tcond" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-tcond")}
+                        {branchOverlay("chart-tcond")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
 
-                  <ChartCard title="TT-106 (Top Temperature Proxy)" id="chart-tt106">
+                  <ChartCard isDarkMode={isDarkMode} title="TT-106 (Top Temperature Proxy)" id="chart-tt106">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -773,6 +3597,8 @@ export default function App() {
                         <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
                         <Legend />
                         <Line type="monotone" dataKey="TT106" stroke="#a78bfa" strokeWidth={2} dot={false} isAnimationActive={false} name="TT106" />
+                        {distOverlay("chart-tt106")}
+                        {branchOverlay("chart-tt106")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
@@ -781,7 +3607,7 @@ export default function App() {
 
               {activeChartPage === 2 && (
                 <>
-                  <ChartCard title="AT-201: rho15 (g/cc) + band" id="chart-rho15">
+                  <ChartCard isDarkMode={isDarkMode} title="AT-201: rho15 (g/cc) + band" id="chart-rho15">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -800,11 +3626,13 @@ export default function App() {
                         <Line type="monotone" dataKey="rho15" stroke="#f472b6" strokeWidth={2} dot={false} isAnimationActive={false} name="rho15" />
                         <Line type="step" dataKey="Gate_rho_low" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="Gate Low" />
                         <Line type="step" dataKey="Gate_rho_high" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="Gate High" />
+                        {distOverlay("chart-rho15")}
+                        {branchOverlay("chart-rho15")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
 
-                  <ChartCard title="ΔTsub = TT201 - T_cond_out (°C) + threshold" id="chart-dtsub">
+                  <ChartCard isDarkMode={isDarkMode} title="ΔTsub = TT201 - T_cond_out (°C) + threshold" id="chart-dtsub">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -815,6 +3643,8 @@ export default function App() {
                         <Line type="monotone" dataKey="dTsub" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="ΔTsub" />
                         <Line type="step" dataKey="Gate_dTsub_min" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="Gate Min" />
                         <Line type="step" dataKey="route" stroke="#facc15" strokeWidth={2} dot={false} isAnimationActive={false} name="Route (0/1)" />
+                        {distOverlay("chart-dtsub")}
+                        {branchOverlay("chart-dtsub")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
@@ -823,7 +3653,7 @@ export default function App() {
 
               {activeChartPage === 3 && (
                 <>
-                  <ChartCard title="FIC-101: Feed Flow" id="chart-ffeed">
+                  <ChartCard isDarkMode={isDarkMode} title="FIC-101: Feed Flow" id="chart-ffeed">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -833,11 +3663,13 @@ export default function App() {
                         <Legend />
                         <Line type="monotone" dataKey="Ffeed" stroke="#2dd4bf" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
                         <Line type="step" dataKey="SP_Ffeed" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-ffeed")}
+                        {branchOverlay("chart-ffeed")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
 
-                  <ChartCard title="LIC-201: V201 Level (%)" id="chart-lv201">
+                  <ChartCard isDarkMode={isDarkMode} title="LIC-201: V201 Level (%)" id="chart-lv201">
                     <ResponsiveContainer>
                       <LineChart data={simData}>
                         <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -847,6 +3679,8 @@ export default function App() {
                         <Legend />
                         <Line type="monotone" dataKey="Lv201" stroke="#a78bfa" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
                         <Line type="step" dataKey="SP_Lv201" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-lv201")}
+                        {branchOverlay("chart-lv201")}
                       </LineChart>
                     </ResponsiveContainer>
                   </ChartCard>
@@ -854,7 +3688,7 @@ export default function App() {
               )}
 
               {activeChartPage === 4 && (
-                <ChartCard title="Controller Outputs (MV %)" id="chart-mv">
+                <ChartCard isDarkMode={isDarkMode} title="Controller Outputs (MV %)" id="chart-mv">
                   <ResponsiveContainer>
                     <LineChart data={simData}>
                       <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
@@ -868,10 +3702,101 @@ export default function App() {
                       <Line type="monotone" dataKey="u_cw" stroke="#22c55e" strokeWidth={1} dot={false} isAnimationActive={false} name="u_cw" />
                       <Line type="monotone" dataKey="u_reflux" stroke="#a78bfa" strokeWidth={1} dot={false} isAnimationActive={false} name="u_reflux" />
                       <Line type="monotone" dataKey="u_draw" stroke="#f472b6" strokeWidth={1} dot={false} isAnimationActive={false} name="u_draw" />
+                      {splitKeys.map((k) => (
+                        <Line
+                          key={k} type="linear" dataKey={`SPL_${k}`} stroke={VALVE_LIST.find((v) => v[2] === k)?.[4] || "#9ca3af"}
+                          strokeWidth={2} strokeDasharray="6 3" dot={false} isAnimationActive={false} name={`split ${k}`}
+                        />
+                      ))}
+                      {distOverlay("chart-mv")}
                     </LineChart>
                   </ResponsiveContainer>
                 </ChartCard>
               )}
+
+              {activeChartPage === 5 && (
+                <>
+                  <ChartCard isDarkMode={isDarkMode} title="FIC-102: Steam Flow (slave TIC-102)" id="chart-fsteam">
+                    <ResponsiveContainer>
+                      <LineChart data={simData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                        <XAxis dataKey="t" stroke={axisStroke} ticks={xTicks} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                        <YAxis stroke={axisStroke} ticks={yFsteam.ticks} domain={yFsteam.domain} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                        <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                        <Legend />
+                        <Line type="monotone" dataKey="Fsteam" stroke="#fb7185" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
+                        <Line type="step" dataKey="SP_Fsteam" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-fsteam")}
+                        {branchOverlay("chart-fsteam")}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </ChartCard>
+
+                  <ChartCard isDarkMode={isDarkMode} title="FIC-202: Draw Flow (slave LIC-201)" id="chart-fdraw">
+                    <ResponsiveContainer>
+                      <LineChart data={simData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                        <XAxis dataKey="t" stroke={axisStroke} ticks={xTicks} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                        <YAxis stroke={axisStroke} ticks={yFdraw.ticks} domain={yFdraw.domain} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                        <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                        <Legend />
+                        <Line type="monotone" dataKey="Fdraw" stroke="#f472b6" strokeWidth={2} dot={false} isAnimationActive={false} name="PV" />
+                        <Line type="step" dataKey="SP_Fdraw" stroke="#9ca3af" strokeDasharray="4 4" dot={false} isAnimationActive={false} name="SP" />
+                        {distOverlay("chart-fdraw")}
+                        {branchOverlay("chart-fdraw")}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </ChartCard>
+                </>
+              )}
+
+              {activeChartPage === 6 && (
+                valveKeys.length > 0 ? (
+                  <>
+                    {VALVE_LIST.filter(([, , mvKey]) => valveKeys.includes(mvKey)).map(([label, id, mvKey, pvKey, color]) => (
+                      <ChartCard isDarkMode={isDarkMode} key={id} title={`${label}: OP vs Posisi Valve`} id={`chart-valve-${id}`}>
+                        <ResponsiveContainer>
+                          <LineChart data={simData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                            <XAxis dataKey="t" stroke={axisStroke} ticks={xTicks} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                            <YAxis stroke={axisStroke} ticks={yMV.ticks} domain={yMV.domain} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                            <YAxis yAxisId="pv" orientation="right" stroke={axisStroke} domain={["auto", "auto"]} tick={tickStyle} />
+                            <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                            <Legend />
+                            <Line
+                              type="monotone" dataKey={splitKeys.includes(mvKey) ? `SPL_${mvKey}` : mvKey} stroke={color}
+                              strokeWidth={1} dot={false} isAnimationActive={false} name={splitKeys.includes(mvKey) ? "Command (split)" : "OP"}
+                            />
+                            <Line type="linear" dataKey={`VP_${mvKey}`} stroke="#9ca3af" strokeWidth={2} strokeDasharray="4 2" dot={false} isAnimationActive={false} name="Posisi" />
+                            <Line yAxisId="pv" type="monotone" dataKey={pvKey} stroke="#14b8a6" strokeWidth={1} dot={false} isAnimationActive={false} name={`PV ${pvKey}`} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </ChartCard>
+                    ))}
+                  </>
+                ) : (
+                  <div className={`text-sm p-6 text-center ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                    Belum ada valve model aktif. Aktifkan di panel "Valve Model" lalu jalankan simulasi.
+                  </div>
+                )
+              )}
+
+              {activeChartPage === 7 && plantTagKeys.map((k) => {
+                const meta = runPlantTags[k] || {};
+                return (
+                  <ChartCard isDarkMode={isDarkMode} key={k} title={`${k}${meta.desc ? ` — ${meta.desc}` : ""}${meta.unit ? ` (${meta.unit})` : ""}`} id={`chart-tag-${k}`}>
+                    <ResponsiveContainer>
+                      <LineChart data={simData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? "#333" : "#eee"} />
+                        <XAxis dataKey="t" stroke={axisStroke} ticks={xTicks} interval={0} minTickGap={minTickGap} tick={tickStyle} />
+                        <YAxis stroke={axisStroke} domain={["auto", "auto"]} tick={tickStyle} />
+                        <RechartsTooltip contentStyle={{ backgroundColor: isDarkMode ? '#111' : '#fff', borderColor: isDarkMode ? '#333' : '#ddd' }} />
+                        <Line type="monotone" dataKey={`TAG_${k}`} stroke="#14b8a6" strokeWidth={1.5} dot={false} isAnimationActive={false} name={k} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </ChartCard>
+                );
+              })}
             </div>
           </div>
         </section>
@@ -0,0 +1,160 @@
+// src/scenarios.js — format skenario MODE UJI + library default (A/B/C/D)
+//
+// Skenario (JSON):
+// {
+//   name: "B1_STEP_TIC101",          // unik dalam 1 suite
+//   desc: "...",                     // opsional
+//   loop: "TIC101",                  // opsional: step test milik loop ini (dipakai auto-tune)
+//   noise: false,                    // opsional (default false)
+//   sim_s: 3600,                     // opsional (default cfg.SIM.sim_s)
+//   ff_compare: false,               // opsional: hitung juga IAE dengan semua FF OFF vs ON
+//   enabled: true,                   // opsional: false = dilewati saat suite (tetap tersimpan di library)
+//   events: [ { t, type, ...field } ], // timeline
+//   criteria: { ... }                 // opsional: acceptance criteria (PASS/FAIL di MODE UJI)
+// }
+//
+// Criteria (semua opsional):
+//   IAE_max        total IAE (norm) <= nilai
+//   overshoot_max  overshoot % loop skenario (tanpa loop: terburuk semua loop) <= nilai
+//   settling_max   settling time (s) loop skenario <= nilai (N/A jika PV tidak keluar band)
+//   product_min    % waktu PRODUCT >= nilai
+//   no_hh_trip     true = tidak boleh ada trip interlock high (cmp >= / >) yang tidak di-bypass
+//
+// Event type:
+//   sp_step       { key, delta }            SP berubah (rate limit default cfg.RAMP)
+//   sp_ramp       { key, delta, rate }      SP berubah dengan rate (unit/s) tertentu
+//   disturbance   { key, value }            step disturbance (d_feed_temp, d_vapor, d_steam_press, cw_degrade_drop)
+//   analyzer_fail {}                        analyzer gagal mulai t
+//   mode          { loop, mode }            AUTO / MAN / CAS
+//   man_move      { loop, delta } | { loop, out }  output manual (%)
+//   il_bypass     { id, on }                bypass interlock (id atau "ALL")
+//   il_reset      { id }                    operator reset interlock latched
+//   dist          { target, shape, ... }    disturbance generator (lihat DIST_SHAPES), mulai t
+//   sensor_fault  { sensor, fault, value, dur, period }  fault sensor (lihat FAULT_TYPES), mulai t
+//
+// Disturbance generator (event "dist" / cfg.TEST.dist):
+//   target: input plant (DIST_INPUTS), MV aditif % valve (DIST_MVS) atau sensor aditif ke pengukuran (DIST_SENSORS)
+//   shape : step | ramp | sine | pulse | random_walk | profile
+//   dur   : durasi aktif (s), 0 = sampai akhir run. ramp: naik linier selama dur lalu tahan amp
+//   profile.points: [[t_rel, value], ...] (rekaman, interpolasi linier, nilai terakhir ditahan)
+
+export const SP_KEYS = ["F_feed", "T_feed_out", "T_reb", "T_cond_out", "F_reflux", "L_v201", "F_steam", "F_draw"];
+export const DIST_KEYS = ["d_feed_temp", "d_vapor", "d_steam_press", "cw_degrade_drop"];
+export const DIST_INPUTS = [...DIST_KEYS, "d_feed_comp", "d_ambient"];
+export const DIST_MVS = ["u_feed", "u_steam_pre", "u_steam_reb", "u_cw", "u_reflux", "u_draw"];
+export const DIST_SENSORS = [
+  "F_feed", "T_feed_out", "T_reb", "TT106", "TT201", "T_cond_out", "F_reflux", "L_v201",
+  "rho15", "F_steam", "F_draw", "T_feed_in", "vapor_load", "x_feed", "T_amb",
+];
+export const DIST_TARGETS = [...DIST_INPUTS, ...DIST_MVS, ...DIST_SENSORS];
+
+// field per shape + default (dipakai editor UI & sanitizer worker)
+export const DIST_SHAPES = {
+  step:        ["amp", "dur"],
+  ramp:        ["amp", "dur"],
+  sine:        ["amp", "period", "phase", "dur"],
+  pulse:       ["amp", "period", "width", "dur"],
+  random_walk: ["sigma", "tau", "limit", "dur"],
+  profile:     ["points", "dur"],
+};
+export const DIST_DEFAULTS = {
+  amp: 1.0, dur: 0, period: 600, phase: 0, width: 60, sigma: 0.05, tau: 300, limit: 0,
+  points: [[0, 0], [600, 1]],
+};
+
+// fault sensor (event "sensor_fault" / cfg.TEST.faults), sensor = salah satu DIST_SENSORS
+//   bias   +value              drift  +value * (t - t0)  (unit/s)
+//   frozen tahan nilai saat t0 spike  +value 1 sampel (diulang tiap period s jika period > 0)
+//   noise  + N(0, value)       bad    quality BAD, nilai terbaca = value (out-of-range)
+// dur 0 = sampai akhir run. Quality BAD juga otomatis jika nilai di luar range transmitter
+export const FAULT_TYPES = ["bias", "drift", "frozen", "spike", "noise", "bad"];
+
+export const LOOP_TAGS = ["FIC101", "TIC101", "TIC102", "TIC201", "FIC201", "LIC201", "FIC102", "FIC202"];
+
+// field per type: [name, kind]
+//   kind: "num" | "sp" | "dist" | "loop" | "mode" | "il" | "bool" | "dtarget" | "dshape" | "fsensor" | "ftype"
+// type "dist": field tambahan mengikuti DIST_SHAPES[shape]
+export const SCENARIO_EVENT_TYPES = {
+  sp_step:       [["key", "sp"], ["delta", "num"]],
+  sp_ramp:       [["key", "sp"], ["delta", "num"], ["rate", "num"]],
+  disturbance:   [["key", "dist"], ["value", "num"]],
+  analyzer_fail: [],
+  mode:          [["loop", "loop"], ["mode", "mode"]],
+  man_move:      [["loop", "loop"], ["delta", "num"]],
+  il_bypass:     [["id", "il"], ["on", "bool"]],
+  il_reset:      [["id", "il"]],
+  dist:          [["target", "dtarget"], ["shape", "dshape"]],
+  sensor_fault:  [["sensor", "fsensor"], ["fault", "ftype"], ["value", "num"], ["dur", "num"], ["period", "num"]],
+};
+
+// baseline suite (disimpan dari UI / CLI sebagai JSON) -> diff run berikutnya.
+// results: row hasil MODE UJI (urut suite); dipakai worker & UI (gabungan pool worker)
+export const make_baseline = (results) => ({
+  version: 1,
+  created: new Date().toISOString(),
+  results: results.map((r) => ({
+    name: r.name,
+    totalIAE: r.totalIAE,
+    productPct: r.gate.productPct,
+    pass: r.pass,
+    IAE: Object.fromEntries(r.metrics.map((m) => [m.name, m.IAE])),
+  })),
+});
+
+const step = (name, loop, key, delta, IAE_max) => ({
+  name, loop, desc: `SP step ${loop} ${delta > 0 ? "+" : ""}${delta}`,
+  events: [{ t: 600, type: "sp_step", key, delta }],
+  criteria: { IAE_max, overshoot_max: 10, settling_max: 1800, no_hh_trip: true },
+});
+
+export const DEFAULT_SCENARIOS = [
+  {
+    name: "A0_BASELINE", desc: "Tanpa SP step / disturbance", events: [],
+    criteria: { IAE_max: 1.0, product_min: 90, no_hh_trip: true },
+  },
+
+  step("B1_STEP_TIC101", "TIC101", "T_feed_out", 3.0, 20),
+  step("B2_STEP_TIC102", "TIC102", "T_reb",      3.0, 20),
+  step("B3_STEP_TIC201", "TIC201", "T_cond_out", 2.0, 50),
+  // feed naik juga mendinginkan reboiler (T_reb) -> bandingkan FF-103 F_feed -> TIC-102
+  { ...step("B4_STEP_FIC101", "FIC101", "F_feed",  5.0, 15), ff_compare: true },
+  step("B5_STEP_FIC201", "FIC201", "F_reflux",   5.0, 60),
+  step("B6_STEP_LIC201", "LIC201", "L_v201",     5.0, 30),
+
+  {
+    name: "C1_DIST_FEED_TEMP", desc: "Feed inlet +8 C", ff_compare: true,
+    events: [{ t: 900, type: "disturbance", key: "d_feed_temp", value: 8.0 }],
+    criteria: { IAE_max: 50, product_min: 90, no_hh_trip: true },
+  },
+  {
+    name: "C2_DIST_CW_DEGRADE", desc: "Cooling water -25 %",
+    events: [{ t: 2100, type: "disturbance", key: "cw_degrade_drop", value: 0.25 }],
+    criteria: { IAE_max: 60, product_min: 90, no_hh_trip: true },
+  },
+  {
+    name: "C3_ANALYZER_FAIL", desc: "Analyzer gagal",
+    events: [{ t: 1800, type: "analyzer_fail" }],
+    criteria: { no_hh_trip: true },
+  },
+  {
+    // steam header upset: -8 t/h pada bukaan TV-102 yang sama (uji manfaat cascade TIC-102)
+    name: "C4_DIST_STEAM_PRESS", desc: "Steam header -8 t/h",
+    events: [{ t: 1200, type: "disturbance", key: "d_steam_press", value: -8.0 }],
+    criteria: { IAE_max: 35, product_min: 90, no_hh_trip: true },
+  },
+  {
+    name: "C5_DIST_VAPOR_LOAD", desc: "Vapor load +6", ff_compare: true,
+    events: [{ t: 1500, type: "disturbance", key: "d_vapor", value: 6.0 }],
+    criteria: { IAE_max: 35, product_min: 90, no_hh_trip: true },
+  },
+
+  {
+    name: "D1_MODE_MAN_AUTO_FIC101", desc: "FIC-101 AUTO -> MAN, manual +10 %, MAN -> AUTO (bumpless)",
+    events: [
+      { t: 600,  type: "mode", loop: "FIC101", mode: "MAN" },
+      { t: 900,  type: "man_move", loop: "FIC101", delta: 10.0 },
+      { t: 1500, type: "mode", loop: "FIC101", mode: "AUTO" },
+    ],
+    criteria: { IAE_max: 100, product_min: 90, no_hh_trip: true },
+  },
+];
@@ -0,0 +1,4117 @@
+// src/sim.core.js (P&ID v2.1.1: deviation-FOPDT + multi PI/PID + quality gate + interlocks + MODE UJI)
+// - FIX: IL-03 must be reachable with current condenser model (T_cond_out max ~46.25 C) => set HH=46.0
+// - FIX: clamp tuning inputs (Kp>=0, Ti>0) to avoid "bug palsu" dari salah input UI
+// - FIX: ignore unknown sp_steps keys (avoid NaN propagation)
+
+import {
+  DEFAULT_SCENARIOS, SCENARIO_EVENT_TYPES, SP_KEYS, DIST_KEYS,
+  DIST_MVS, DIST_SENSORS, DIST_TARGETS, DIST_SHAPES, DIST_DEFAULTS, FAULT_TYPES,
+} from "./scenarios.js";
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, Number(x)));
+const clamp01 = (x) => clamp(x, 0.0, 1.0);
+const step = (t, t0, amp) => (t >= t0 ? Number(amp) : 0.0);
+
+// ===== INPUT SANITIZER (anti NaN / empty string / boolean string) =====
+const numOr = (x, fallback) => {
+  if (x === "" || x === null || x === undefined) return Number(fallback);
+  const n = Number(x);
+  return Number.isFinite(n) ? n : Number(fallback);
+};
+
+const boolOr = (x, fallback) => {
+  if (typeof x === "boolean") return x;
+  if (typeof x === "string") {
+    const s = x.trim().toLowerCase();
+    if (s === "true") return true;
+    if (s === "false") return false;
+  }
+  return Boolean(fallback);
+};
+
+const ramp = (prev_sp, target_sp, rate_per_s, dt) => {
+  prev_sp = Number(prev_sp);
+  target_sp = Number(target_sp);
+  const rate = Math.abs(Number(rate_per_s));
+  if (!Number.isFinite(rate) || rate <= 0) return target_sp;
+  const maxDelta = rate * Number(dt);
+  const delta = target_sp - prev_sp;
+  if (Math.abs(delta) <= maxDelta) return target_sp;
+  return prev_sp + Math.sign(delta) * maxDelta;
+};
+
+const deepCopyCfg = (cfg) => {
+  const out = {};
+  for (const [k, v] of Object.entries(cfg)) {
+    if (v && typeof v === "object" && !Array.isArray(v)) out[k] = deepCopyCfg(v);
+    else if (Array.isArray(v)) out[k] = v.map((x) => (x && typeof x === "object" ? deepCopyCfg(x) : x));
+    else out[k] = v;
+  }
+  return out;
+};
+
+// ===== SEEDED PRNG (mulberry32) — reproducible noise =====
+const hash32 = (str, seed = 0) => {
+  let h = (0x811c9dc5 ^ (seed >>> 0)) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
+
+const makeRng = (seed) => {
+  let a = seed >>> 0;
+  const rng = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // state generator (snapshot / restore)
+  rng.state = () => a;
+  rng.load = (s) => { a = s >>> 0; };
+  return rng;
+};
+
+const randn = (rng) => {
+  let u = 0, v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+};
+
+// 1 stream independen per key (sensor): seed stream = hash(key, run seed),
+// jadi menambah sensor baru tidak menggeser noise sensor lain
+const makeNoise = (seed) => {
+  const streams = {};
+  const noise = (key) => {
+    if (!streams[key]) streams[key] = makeRng(hash32(key, seed));
+    return randn(streams[key]);
+  };
+  noise.state = () => Object.fromEntries(Object.entries(streams).map(([k, r]) => [k, r.state()]));
+  noise.load = (s) => {
+    for (const [k, a] of Object.entries(s || {})) {
+      streams[k] = makeRng(0);
+      streams[k].load(a);
+    }
+  };
+  return noise;
+};
+
+// ============================================================
+// 2) PROCESS MODEL (Deviation FOPDT)
+// y_ss = y0 + K*(u_del - u0) + d
+// tau2 > 0 -> SOPDT (lag kedua sebelum lag utama)
+// method:
+//   "zoh"   (default) diskretisasi eksak zero-order-hold (input konstan selama dt) untuk lag orde-1/2,
+//           dead time pecahan: theta = (n + f)*dt -> u_del = (1-f)*u[k-n-1] + f*u[k-n-2]
+//           (+1 sampel: input step ini = OP yang dihitung step sebelumnya, sama untuk kedua method)
+//   "euler" legacy: Euler eksplisit + dead time dibulatkan ke kelipatan dt (hasil lama / baseline lama)
+// ============================================================
+const INTEGRATORS = ["zoh", "euler"];
+
+class FOPDTDev {
+  constructor(K, tau, theta, y0 = 0.0, u0 = 0.0, dt = 1.0, tau2 = 0.0, method = "zoh") {
+    this.K = Number(K);
+    this.tau = Math.max(Number(tau), 1e-9);
+    this.tau2 = Math.max(Number(tau2) || 0.0, 0.0);
+    this.theta = Math.max(Number(theta), 0.0);
+    this.dt = Math.max(Number(dt), 1e-9);
+    this.method = (method === "euler") ? "euler" : "zoh";
+
+    this.y0 = Number(y0);
+    this.u0 = Number(u0);
+
+    const n = this.theta / this.dt;
+    this.delay_steps = (this.method === "euler") ? Math.round(n) : Math.floor(n + 1e-9);
+    this.delay_frac = (this.method === "euler") ? 0.0 : Math.max(0.0, n - this.delay_steps);
+
+    // koefisien ZOH: e1 = exp(-dt/tau), e2 = exp(-dt/tau2), c = kopling x2 -> y selama 1 step
+    this.e1 = Math.exp(-this.dt / this.tau);
+    this.e2 = this.tau2 > 0 ? Math.exp(-this.dt / this.tau2) : 0.0;
+    if (this.tau2 <= 0) this.c = 0.0;
+    else if (Math.abs(this.tau2 - this.tau) < 1e-6 * this.tau) this.c = (this.dt / this.tau) * this.e1;
+    else this.c = (this.tau2 / (this.tau2 - this.tau)) * (this.e2 - this.e1);
+
+    this.reset();
+  }
+
+  reset(y0, u0) {
+    if (y0 !== undefined) this.y0 = Number(y0);
+    if (u0 !== undefined) this.u0 = Number(u0);
+    this.y = this.y0;
+    this.x2 = this.y0;
+    // buf[0] = u[k-n-2], buf[1] = u[k-n-1], ..., buf[n+2] = u[k]
+    this.buf = new Array(this.delay_steps + 3).fill(this.u0);
+  }
+
+  // state dinamis (snapshot): output, state orde-2 & buffer dead time
+  state() {
+    return { y: this.y, x2: this.x2, buf: [...this.buf] };
+  }
+
+  load(s) {
+    if (s.buf.length !== this.buf.length) throw new Error("Snapshot FOPDT: panjang buffer dead time berbeda (dt / theta berubah)");
+    this.y = s.y;
+    this.x2 = s.x2;
+    this.buf = [...s.buf];
+  }
+
+  update(u, d = 0.0) {
+    this.buf.push(Number(u));
+    this.buf.shift();
+    const f = this.delay_frac;
+    const u_del = f > 0 ? (1 - f) * this.buf[1] + f * this.buf[0] : this.buf[1];
+
+    const y_ss = this.y0 + this.K * (Number(u_del) - this.u0) + Number(d);
+
+    if (this.method === "euler") {
+      let x = y_ss;
+      if (this.tau2 > 0) {
+        this.x2 += (y_ss - this.x2) * (this.dt / this.tau2);
+        x = this.x2;
+      }
+      this.y += (x - this.y) * (this.dt / this.tau);
+      return this.y;
+    }
+
+    // eksak untuk y_ss konstan selama step (deviasi terhadap y_ss meluruh eksponensial)
+    const ex2 = this.x2 - y_ss;
+    const ey = this.y - y_ss;
+    if (this.tau2 > 0) {
+      this.y = y_ss + this.e1 * ey + this.c * ex2;
+      this.x2 = y_ss + this.e2 * ex2;
+    } else {
+      this.y = y_ss + this.e1 * ey;
+      this.x2 = this.y;
+    }
+    return this.y;
+  }
+}
+
+// ============================================================
+// 3) PI CONTROLLER (ANTI-WINDUP + ACTION DIRECT/REVERSE + TRACKING)
+//   - direct  : e = SP - PV  (PV naik jika MV naik)
+//   - reverse : e = PV - SP  (PV turun jika MV naik)  <-- cooling / draw
+// ============================================================
+class PI {
+  constructor({
+    Kp, Ti, dt = 1.0,
+    out_min = 0.0, out_max = 100.0,
+    bias = 0.0, aw = 0.15,
+    action = "direct" // "direct" | "reverse"
+  }) {
+    this.Kp = Number(Kp);
+    this.Ti = Math.max(Number(Ti), 1e-9);
+    this.dt = Number(dt);
+
+    this.out_min = Number(out_min);
+    this.out_max = Number(out_max);
+    this.bias = Number(bias);
+    this.aw = Number(aw);
+
+    this.action = (action === "reverse") ? "reverse" : "direct";
+
+    this.I = 0.0;
+    this.ff = 0.0;
+    this.u_prev = clamp(this.bias, this.out_min, this.out_max);
+    this.saturated = false;
+  }
+
+  _err(sp, pv) {
+    const SP = Number(sp), PV = Number(pv);
+    return (this.action === "reverse") ? (PV - SP) : (SP - PV);
+  }
+
+  reset(u0) {
+    this.I = 0.0;
+    this.ff = 0.0;
+    this.u_prev = clamp(
+      u0 !== undefined ? Number(u0) : this.bias,
+      this.out_min,
+      this.out_max
+    );
+  }
+
+  // state dinamis (snapshot); tuning (Kp/Ti/...) ikut cfg -> bisa diganti saat branching
+  state() {
+    return { I: this.I, ff: this.ff, u_prev: this.u_prev, saturated: this.saturated };
+  }
+
+  // hanya field state kelas ini (state PID -> PI: D diabaikan, PI -> PID: D tetap reset)
+  load(s) {
+    for (const k of Object.keys(this.state())) if (k in s) this[k] = s[k];
+  }
+
+  // ff: feedforward terakhir yang ikut di output (default: nilai dari update() terakhir)
+  track(u_actual, sp, pv, ff = this.ff) {
+    const u = clamp(Number(u_actual), this.out_min, this.out_max);
+    const e = this._err(sp, pv);
+
+    if (Math.abs(this.Kp) < 1e-9) {
+      this.I = 0.0;
+      this.u_prev = u;
+      return;
+    }
+
+    this.ff = Number(ff);
+    this.I = (u - this.bias - this.ff) / this.Kp - e;
+    this.u_prev = u;
+  }
+
+  update(sp, pv, ff = 0.0) {
+    const e = this._err(sp, pv);
+    this.ff = Number(ff);
+
+    this.I += (this.dt / this.Ti) * e;
+
+    const u_unsat = this.bias + this.ff + this.Kp * (e + this.I);
+    const u = clamp(u_unsat, this.out_min, this.out_max);
+
+    this.I += this.aw * (u - u_unsat);
+
+    this.saturated = (u !== u_unsat);
+    this.u_prev = u;
+    return u;
+  }
+}
+
+// ============================================================
+// 3b) PID CONTROLLER (FILTERED D + SETPOINT WEIGHTING beta/gamma)
+//   u = bias + ff + Kp*( e_p + I + D )
+//   e_p = beta*SP - PV      (proportional, weighted)
+//   e_d = gamma*SP - PV     (derivative, weighted; d_on="pv" => gamma=0)
+//   D   : Td*s / (1 + Td/N*s) pada e_d (backward difference)
+//   - anti-windup, action direct/reverse, track() sama seperti PI
+// ============================================================
+class PID extends PI {
+  constructor({
+    Td = 0.0, N = 10.0,
+    beta = 1.0, gamma = 1.0,
+    d_on = "pv", // "pv" | "error"
+    ...pi
+  }) {
+    super(pi);
+    this.Td = Math.max(0.0, Number(Td));
+    this.N = Math.max(1.0, Number(N));
+    this.beta = clamp(beta, 0.0, 1.0);
+    this.d_on = (d_on === "error") ? "error" : "pv";
+    this.gamma = (this.d_on === "pv") ? 0.0 : clamp(gamma, 0.0, 1.0);
+
+    this.D = 0.0;
+    this.ed_prev = null;
+  }
+
+  _wErr(w, sp, pv) {
+    const SP = Number(sp), PV = Number(pv);
+    return (this.action === "reverse") ? (PV - w * SP) : (w * SP - PV);
+  }
+
+  reset(u0) {
+    super.reset(u0);
+    this.D = 0.0;
+    this.ed_prev = null;
+  }
+
+  state() {
+    return { ...super.state(), D: this.D, ed_prev: this.ed_prev };
+  }
+
+  track(u_actual, sp, pv, ff = this.ff) {
+    const u = clamp(Number(u_actual), this.out_min, this.out_max);
+    const ep = this._wErr(this.beta, sp, pv);
+
+    // bumpless: D dibekukan di nilai sekarang, referensi turunan di-reset
+    this.ed_prev = this._wErr(this.gamma, sp, pv);
+
+    if (Math.abs(this.Kp) < 1e-9) {
+      this.I = 0.0;
+      this.D = 0.0;
+      this.u_prev = u;
+      return;
+    }
+
+    this.ff = Number(ff);
+    this.I = (u - this.bias - this.ff) / this.Kp - ep - this.D;
+    this.u_prev = u;
+  }
+
+  _derivative(ed) {
+    if (this.Td <= 0.0 || this.ed_prev === null) {
+      this.ed_prev = ed;
+      this.D = 0.0;
+      return this.D;
+    }
+    const Tf = this.Td / this.N;
+    const a = Tf / (Tf + this.dt);
+    this.D = a * this.D + (this.Td / (Tf + this.dt)) * (ed - this.ed_prev);
+    this.ed_prev = ed;
+    return this.D;
+  }
+
+  update(sp, pv, ff = 0.0) {
+    const e = this._err(sp, pv);
+    const ep = this._wErr(this.beta, sp, pv);
+    const D = this._derivative(this._wErr(this.gamma, sp, pv));
+    this.ff = Number(ff);
+
+    this.I += (this.dt / this.Ti) * e;
+
+    const u_unsat = this.bias + this.ff + this.Kp * (ep + this.I + D);
+    const u = clamp(u_unsat, this.out_min, this.out_max);
+
+    this.I += this.aw * (u - u_unsat);
+
+    this.saturated = (u !== u_unsat);
+    this.u_prev = u;
+    return u;
+  }
+}
+
+// loop cfg -> PI / PID (type default "PI")
+const makeController = (loop_cfg, dt) =>
+  (loop_cfg?.type === "PID")
+    ? new PID({ ...loop_cfg, dt })
+    : new PI({ ...loop_cfg, dt });
+
+// ============================================================
+// 3c) FEEDFORWARD: static gain + lead-lag + dead time
+//   y = K * (T_lead*s + 1)/(T_lag*s + 1) * e^(-theta*s) * (x - x0)
+//   (backward difference)
+// ============================================================
+class LeadLagFF {
+  constructor({ K = 0.0, T_lead = 0.0, T_lag = 0.0, theta = 0.0, x0 = 0.0, dt = 1.0 }) {
+    this.K = Number(K);
+    this.T_lead = Math.max(0.0, Number(T_lead));
+    this.T_lag = Math.max(0.0, Number(T_lag));
+    this.theta = Math.max(0.0, Number(theta));
+    this.x0 = Number(x0);
+    this.dt = Math.max(Number(dt), 1e-9);
+
+    this.delay_steps = Math.round(this.theta / this.dt);
+    this.reset();
+  }
+
+  reset() {
+    this.buf = new Array(this.delay_steps + 1).fill(0.0);
+    this.x_prev = 0.0;
+    this.y = 0.0;
+  }
+
+  state() {
+    return { buf: [...this.buf], x_prev: this.x_prev, y: this.y };
+  }
+
+  load(s) {
+    this.buf = [...s.buf];
+    this.x_prev = s.x_prev;
+    this.y = s.y;
+  }
+
+  update(x) {
+    this.buf.push(Number(x) - this.x0);
+    const xd = this.buf.shift();
+
+    const den = this.T_lag + this.dt;
+    this.y =
+      (this.T_lag / den) * this.y +
+      (this.K / den) * ((this.T_lead + this.dt) * xd - this.T_lead * this.x_prev);
+    this.x_prev = xd;
+    return this.y;
+  }
+}
+
+// ============================================================
+// 4) QUALITY GATE (DISCRETE): hysteresis + time delay
+// ============================================================
+class QualityGate {
+  constructor(cfg_gate) {
+    this.c = cfg_gate;
+    this.route = "RECYCLE";
+    this.on_timer = 0.0;
+    this.off_timer = 0.0;
+  }
+
+  reset() {
+    this.route = "RECYCLE";
+    this.on_timer = 0.0;
+    this.off_timer = 0.0;
+  }
+
+  state() {
+    return { route: this.route, on_timer: this.on_timer, off_timer: this.off_timer };
+  }
+
+  load(s) {
+    this.route = s.route;
+    this.on_timer = s.on_timer;
+    this.off_timer = s.off_timer;
+  }
+
+  update(dt, TT106, rho15, dTsub, analyzer_ok = true, permissive_ok = true) {
+    const c = this.c;
+
+    if (!analyzer_ok || !permissive_ok) {
+      this.route = "RECYCLE";
+      this.on_timer = 0.0;
+      this.off_timer = 0.0;
+      return this.route;
+    }
+
+    const on_ok =
+      (c.TT106_on_low <= TT106 && TT106 <= c.TT106_on_high) &&
+      (c.rho15_on_low <= rho15 && rho15 <= c.rho15_on_high) &&
+      (dTsub >= c.dTsub_min);
+
+    const off_bad =
+      (TT106 < c.TT106_off_low || TT106 > c.TT106_off_high) ||
+      (rho15 < c.rho15_off_low || rho15 > c.rho15_off_high) ||
+      (dTsub < c.dTsub_min_off);
+
+    if (this.route === "RECYCLE") {
+      this.on_timer = on_ok ? (this.on_timer + dt) : 0.0;
+      if (this.on_timer >= c.delay_on_s) {
+        this.route = "PRODUCT";
+        this.on_timer = 0.0;
+        this.off_timer = 0.0;
+      }
+    } else {
+      this.off_timer = off_bad ? (this.off_timer + dt) : 0.0;
+      if (this.off_timer >= c.delay_off_s) {
+        this.route = "RECYCLE";
+        this.on_timer = 0.0;
+        this.off_timer = 0.0;
+      }
+    }
+
+    return this.route;
+  }
+}
+
+// ============================================================
+// 5) INTERLOCK TABLE (DATA-DRIVEN)
+//   row: { id, desc, tag, cmp, sp, deadband, delay_on, delay_off, action, target, value, latch }
+//   trip  : cmp(pv[tag], sp) bertahan >= delay_on
+//   clear : kondisi lepas dengan deadband, bertahan >= delay_off
+//   latch : setelah clear tetap aktif sampai operator reset (cfg.TEST.il_resets)
+//   bypass: logika tetap dievaluasi tapi action ditahan, maksimal bypass_max detik
+//           (flag awal di row, jadwal on/off di cfg.TEST.il_bypass)
+// ============================================================
+const IL_CMP = [">=", ">", "<=", "<", "==", "!="];
+const IL_ACTIONS = ["FORCE", "FORCE_MIN", "FORCE_MAX", "ROUTE"];
+const IL_TAGS = [
+  "F_feed", "T_feed_out", "T_reb", "TT106", "TT201", "T_cond_out", "F_reflux", "L_v201",
+  "rho15", "F_steam", "F_draw", "T_feed_in", "vapor_load", "analyzer_ok", "dTsub", "x_feed", "T_amb",
+];
+const IL_TARGETS = ["u_feed", "u_steam_pre", "u_steam_reb", "u_cw", "u_reflux", "u_draw"];
+
+class Interlock {
+  constructor(row) {
+    Object.assign(this, row);
+    this.name = `${row.id} ${row.desc || ""}`.trim();
+    this.reset();
+  }
+
+  reset() {
+    this.bypass_until = null; // null = tidak di-bypass
+    this.active = false;
+    this.cleared = false; // latched: kondisi sudah lepas, menunggu reset operator
+    this.t_on = 0.0;
+    this.t_off = 0.0;
+  }
+
+  state() {
+    const { bypass_until, active, cleared, t_on, t_off } = this;
+    return { id: this.id, bypass_until, active, cleared, t_on, t_off };
+  }
+
+  load(s) {
+    const { id: _id, ...st } = s;
+    Object.assign(this, st);
+  }
+
+  _trip(x) {
+    switch (this.cmp) {
+      case ">=": return x >= this.sp;
+      case ">":  return x > this.sp;
+      case "<=": return x <= this.sp;
+      case "<":  return x < this.sp;
+      case "==": return x === this.sp;
+      case "!=": return x !== this.sp;
+      default:   return false;
+    }
+  }
+
+  _clear(x) {
+    const db = this.deadband;
+    switch (this.cmp) {
+      case ">=": case ">": return x < this.sp - db;
+      case "<=": case "<": return x > this.sp + db;
+      default:             return !this._trip(x);
+    }
+  }
+
+  // bad = quality PV BAD: bad_trip -> dianggap trip (fail-safe), selain itu status ditahan
+  update(dt, pv, bad = false) {
+    const x = Number(pv[this.tag]); // boolean -> 0/1
+    if (bad && !this.bad_trip) return this.active;
+    if (!bad && !Number.isFinite(x)) return this.active;
+
+    if (!this.active) {
+      const trip = bad || this._trip(x);
+      this.t_on = trip ? this.t_on + dt : 0.0;
+      if (trip && this.t_on >= this.delay_on) {
+        this.active = true;
+        this.cleared = false;
+        this.t_off = 0.0;
+      }
+      return this.active;
+    }
+
+    const clear = !bad && this._clear(x);
+    this.t_off = clear ? this.t_off + dt : 0.0;
+    this.cleared = clear && this.t_off >= this.delay_off;
+    if (this.cleared && !this.latch) {
+      this.active = false;
+      this.t_on = 0.0;
+    }
+    return this.active;
+  }
+
+  // operator reset (latched). true = berhasil, false = kondisi trip masih ada
+  operatorReset() {
+    if (!this.active || !this.cleared) return false;
+    this.active = false;
+    this.cleared = false;
+    this.t_on = 0.0;
+    return true;
+  }
+
+  act(mv) {
+    const v = this.value;
+    switch (this.action) {
+      case "FORCE":     mv[this.target] = Number(v); break;
+      case "FORCE_MIN": mv[this.target] = Math.max(mv[this.target] ?? 0.0, Number(v)); break;
+      case "FORCE_MAX": mv[this.target] = Math.min(mv[this.target] ?? 0.0, Number(v)); break;
+      case "ROUTE":     mv.force_route = this.target; break;
+      default: break;
+    }
+  }
+}
+
+const makeInterlocks = (cfg) => (Array.isArray(cfg.IL) ? cfg.IL : []).map((row) => new Interlock(row));
+
+// sanitize 1 row tabel interlock (dari UI / JSON). null = row tidak valid
+const sanitize_il_row = (r, fb = {}) => {
+  if (!r || typeof r !== "object") return null;
+  const row = { ...fb, ...r };
+  const id = String(row.id ?? "").trim();
+  if (!id || !IL_TAGS.includes(row.tag)) return null;
+  if (!IL_CMP.includes(row.cmp) || !IL_ACTIONS.includes(row.action)) return null;
+
+  const isRoute = row.action === "ROUTE";
+  if (isRoute ? !["RECYCLE", "PRODUCT"].includes(row.target) : !IL_TARGETS.includes(row.target)) return null;
+
+  return {
+    id,
+    desc: String(row.desc ?? ""),
+    tag: row.tag,
+    cmp: row.cmp,
+    sp: numOr(row.sp, 0.0),
+    deadband: Math.max(0.0, numOr(row.deadband, 0.0)),
+    delay_on: Math.max(0.0, numOr(row.delay_on, 0.0)),
+    delay_off: Math.max(0.0, numOr(row.delay_off, 0.0)),
+    action: row.action,
+    target: row.target,
+    value: isRoute ? null : clamp(numOr(row.value, 0.0), 0, 100),
+    latch: boolOr(row.latch, false),
+    bypass: boolOr(row.bypass, false),
+    bypass_max: clamp(numOr(row.bypass_max, 3600), 1, 86400),
+    bad_trip: boolOr(row.bad_trip, true),
+  };
+};
+
+// ============================================================
+// 6) DISTILLATION PLANT DUMMY (P&ID PHILOSOPHY) — FIXED BASELINE
+// ============================================================
+// blok MV -> PV (key = PV). Bisa dioverride lewat cfg.PLANT.blocks (mis. hasil identifikasi)
+const PLANT_BLOCKS = {
+  F_feed:     { K: 1.0,   tau: 25,  theta: 2,  tau2: 0 },
+  T_feed_out: { K: 0.60,  tau: 140, theta: 10, tau2: 0 },
+  F_steam:    { K: 1.0,   tau: 8,   theta: 1,  tau2: 0 }, // gain statis jika cfg.PLANT.flow_lag.F_steam = false
+  T_reb:      { K: 0.85,  tau: 180, theta: 12, tau2: 0 }, // input: F_steam
+  F_reflux:   { K: 0.80,  tau: 40,  theta: 3,  tau2: 0 },
+  T_cond_out: { K: -0.25, tau: 160, theta: 12, tau2: 0 },
+  F_draw:     { K: 0.8,   tau: 6,   theta: 1,  tau2: 0 }, // gain statis jika cfg.PLANT.flow_lag.F_draw = false
+};
+
+// lag FOPDT flow steam / draw = parameter plant (cfg.PLANT.flow_lag), tidak bergantung konfigurasi cascade.
+// false -> gain statis (flow langsung mengikuti valve), mis. untuk membandingkan dengan model tanpa dinamika flow
+const plant_flow_lag = (cfg) => ({
+  F_steam: cfg.PLANT?.flow_lag?.F_steam ?? true,
+  F_draw:  cfg.PLANT?.flow_lag?.F_draw  ?? true,
+});
+
+// metadata tag proses (interface plant, lihat PLANT_REGISTRY): unit, range transmitter & sigma noise
+//   range [lo, hi]: di luar range -> quality BAD (over/under-range). Tanpa range = tidak dicek
+const DISTIL_TAGS = {
+  F_feed:     { unit: "t/h",  range: [0, 100],    noise: 0.4,    desc: "FT-101 feed" },
+  T_feed_out: { unit: "°C",   range: [0, 250],    noise: 0.2,    desc: "TT-101 feed keluar preheater" },
+  T_reb:      { unit: "°C",   range: [0, 300],    noise: 0.25,   desc: "TT-102 reboiler" },
+  TT106:      { unit: "°C",   range: [0, 250],    noise: 0.25,   desc: "TT-106 tray atas" },
+  TT201:      { unit: "°C",   range: [0, 250],    noise: 0.25,   desc: "TT-201 uap overhead" },
+  T_cond_out: { unit: "°C",   range: [0, 100],    noise: 0.2,    desc: "TT-202 condensate" },
+  F_reflux:   { unit: "t/h",  range: [0, 100],    noise: 0.5,    desc: "FT-201 reflux" },
+  L_v201:     { unit: "%",    range: [-5, 105],   noise: 0.2,    desc: "LT-201 reflux drum" },
+  rho15:      { unit: "kg/L", range: [0.6, 0.9],  noise: 0.0005, desc: "AT-201 density @15 C" },
+  F_steam:    { unit: "t/h",  range: [0, 100],    noise: 0.3,    desc: "FT-102 steam reboiler" },
+  F_draw:     { unit: "t/h",  range: [0, 100],    noise: 0.3,    desc: "FT-202 distilat" },
+  T_feed_in:  { unit: "°C",   range: [-20, 100],  noise: 0.2,    desc: "TT-100 feed inlet" },
+  vapor_load: { unit: "t/h",  range: [0, 100],    noise: 0.1,    desc: "FT-203 vapor load dari upstream" },
+  x_feed:     { unit: "%",    range: [0, 100],    noise: 0.1,    desc: "AT-100 komposisi feed" },
+  T_amb:      { unit: "°C",   range: [-30, 60],   noise: 0.1,    desc: "TT-001 ambient" },
+};
+
+// input disturbance ke plant (argumen update(mv, dist)), nilai default = tanpa gangguan
+const PLANT_DIST = {
+  d_feed_temp: 0.0,     // C, feed inlet
+  d_vapor: 0.0,         // vapor load (t/h di atas nominal FT-203)
+  d_steam_press: 0.0,   // steam header upset (t/h pada bukaan valve yang sama)
+  cw_degrade_drop: 0.0, // fraksi kapasitas CW hilang (0..1)
+  d_feed_comp: 0.0,     // % fraksi berat feed -> TT106 & rho15 naik
+  d_ambient: 0.0,       // ambient naik -> CW lebih hangat -> T_cond_out naik
+  analyzer_ok: true,
+};
+
+// FT-203: uap dari upstream masuk reboiler, terukur lewat lag proses + transmitter (measured disturbance FF-102)
+const VAPOR_LOAD0 = 20.0; // t/h nominal
+const VAPOR_TAU = 15.0;   // s
+
+const plant_dist = (d = {}) => {
+  const out = { ...PLANT_DIST };
+  for (const k of Object.keys(PLANT_DIST)) if (d[k] !== undefined) out[k] = d[k];
+  out.cw_degrade_drop = clamp01(numOr(out.cw_degrade_drop, 0.0));
+  out.analyzer_ok = out.analyzer_ok !== false;
+  return out;
+};
+
+class DistilPlant {
+  constructor(dt = 1.0, blocks = {}, method = "zoh", flow_lag = { F_steam: true, F_draw: true }) {
+    this.dt = Number(dt);
+    this.flow_lag = { ...flow_lag };
+
+    this.F_feed0 = 50.0;
+
+    this.T_feed0 = 120.0;
+    this.T_feed_in0 = 30.0; // TT-100 feed inlet (measured disturbance)
+    this.x_feed0 = 40.0;    // AT-100 feed composition (% fraksi berat)
+    this.T_amb0 = 30.0;     // TT-001 ambient
+    this.T_reb0  = 165.0;
+    this.T_cond0 = 35.0;
+
+    this.TT106_0 = 95.0;
+    this.rho0    = 0.7400;
+    this.L0      = 50.0;
+
+    this.u_feed0      = 50.0;
+    this.u_steam_pre0 = 35.0;
+    this.u_steam_reb0 = 40.0;
+    this.u_cw0        = 45.0;
+    this.u_reflux0    = 55.0; // bias 55 -> F_reflux ~ 50
+    this.u_draw0      = 25.0;
+    this.u_cw_byp0    = 0.0;  // TV-201B hot vapor bypass kondenser (split range TIC-201)
+
+    // cascade slaves: steam flow (FT-102) & draw flow (FT-202), cepat dibanding loop master
+    this.F_steam0 = 40.0; // F_steam ~ 1.0 * u_steam_reb
+    this.F_draw0  = 20.0; // F_draw  ~ 0.8 * u_draw
+
+    this.blocks = {};
+    for (const [k, def] of Object.entries(PLANT_BLOCKS)) this.blocks[k] = { ...def, ...(blocks[k] || {}) };
+    const G = (k, y0, u0) => {
+      const b = this.blocks[k];
+      return new FOPDTDev(b.K, b.tau, b.theta, y0, u0, this.dt, b.tau2, method);
+    };
+
+    this.G_Fsteam = G("F_steam", this.F_steam0, this.u_steam_reb0);
+    this.G_Fdraw  = G("F_draw",  this.F_draw0,  this.u_draw0);
+
+    this.G_Ffeed = G("F_feed",     this.F_feed0, this.u_feed0);
+    this.G_Tfeed = G("T_feed_out", this.T_feed0, this.u_steam_pre0);
+    this.G_Treb  = G("T_reb",      this.T_reb0,  this.F_steam0);
+    this.G_Fref  = G("F_reflux",   50.0,         this.u_reflux0);
+    this.G_Tcond = G("T_cond_out", this.T_cond0, this.u_cw0);
+
+    this.G_TT106 = new FOPDTDev(1.0,  120,  8, this.TT106_0, this.TT106_0,       this.dt, 0.0, method);
+    this.G_rho   = new FOPDTDev(1.0,  240, 30, this.rho0,    this.rho0,          this.dt, 0.0, method);
+    this.G_vap   = new FOPDTDev(1.0, VAPOR_TAU, 0, VAPOR_LOAD0, VAPOR_LOAD0,   this.dt, 0.0, method);
+
+    this.L = this.L0;
+
+    this.F_cond0 = 70.0;
+  }
+
+  reset() {
+    this.G_Ffeed.reset(this.F_feed0, this.u_feed0);
+    this.G_Tfeed.reset(this.T_feed0, this.u_steam_pre0);
+    this.G_Fsteam.reset(this.F_steam0, this.u_steam_reb0);
+    this.G_Fdraw.reset(this.F_draw0, this.u_draw0);
+    this.G_Treb.reset(this.T_reb0, this.F_steam0);
+    this.G_Fref.reset(50.0, this.u_reflux0);
+    this.G_Tcond.reset(this.T_cond0, this.u_cw0);
+    this.G_TT106.reset(this.TT106_0, this.TT106_0);
+    this.G_rho.reset(this.rho0, this.rho0);
+    this.G_vap.reset(VAPOR_LOAD0, VAPOR_LOAD0);
+
+    this.L = this.L0;
+  }
+
+  // blok FOPDT (G_*) + level reflux drum
+  state() {
+    const G = {};
+    for (const [k, v] of Object.entries(this)) if (v instanceof FOPDTDev) G[k] = v.state();
+    return { L: this.L, G };
+  }
+
+  load(s) {
+    for (const [k, g] of Object.entries(s.G)) {
+      if (!(this[k] instanceof FOPDTDev)) throw new Error(`Snapshot plant: blok ${k} tidak ada`);
+      this[k].load(g);
+    }
+    this.L = s.L;
+  }
+
+  // flow tanpa lag: K u + offset titik kerja (default offset = 0 -> F_steam = u, F_draw = 0.8 u persis)
+  flow_static(k, u, y0, u0) {
+    const K = this.blocks[k].K;
+    return K * u + (y0 - K * u0);
+  }
+
+  update(mv, dist = {}) {
+    const d = plant_dist(dist);
+    const u_feed      = clamp(mv.u_feed ?? this.u_feed0, 0, 100);
+    const u_steam_pre = clamp(mv.u_steam_pre ?? this.u_steam_pre0, 0, 100);
+    const u_steam_reb = clamp(mv.u_steam_reb ?? this.u_steam_reb0, 0, 100);
+    const u_cw        = clamp(mv.u_cw ?? this.u_cw0, 0, 100);
+    const u_reflux    = clamp(mv.u_reflux ?? this.u_reflux0, 0, 100);
+    const u_draw      = clamp(mv.u_draw ?? this.u_draw0, 0, 100);
+    const u_cw_byp    = clamp(mv.u_cw_byp ?? this.u_cw_byp0, 0, 100);
+
+    const F_feed     = this.G_Ffeed.update(u_feed, 0.0);
+    const T_feed_out = this.G_Tfeed.update(u_steam_pre, d.d_feed_temp);
+    const F_steam    = this.flow_lag.F_steam
+      ? this.G_Fsteam.update(u_steam_reb, d.d_steam_press)
+      : this.flow_static("F_steam", u_steam_reb, this.F_steam0, this.u_steam_reb0) + d.d_steam_press;
+    // feed dingin tambahan menyerap panas reboiler: -0.3 C per t/h di atas nominal
+    const T_reb      = this.G_Treb.update(F_steam, d.d_vapor - 0.30 * (F_feed - this.F_feed0));
+
+    const F_reflux   = this.G_Fref.update(u_reflux, 0.0);
+
+    const u_cw_eff = u_cw * (1.0 - d.cw_degrade_drop);
+    // bypass uap panas melewati kondenser -> kondensat lebih panas
+    const T_cond_out = this.G_Tcond.update(u_cw_eff, 0.15 * d.d_ambient + 0.08 * (u_cw_byp - this.u_cw_byp0));
+
+    const TT106_ss =
+      this.TT106_0 +
+      0.35 * (T_reb - this.T_reb0) -
+      0.20 * (F_reflux - 50.0) +
+      0.05 * (F_feed - this.F_feed0) +
+      0.20 * d.d_feed_comp;
+
+    const TT106 = this.G_TT106.update(TT106_ss, 0.0);
+    const TT201 = TT106 + 0.20 * (T_reb - this.T_reb0);
+
+    const F_cond_in =
+      Math.max(
+        0.0,
+        this.F_cond0 +
+          0.20 * (T_reb - this.T_reb0) +
+          0.10 * (F_feed - this.F_feed0)
+      );
+
+    const F_draw = this.flow_lag.F_draw
+      ? this.G_Fdraw.update(u_draw, 0.0)
+      : this.flow_static("F_draw", u_draw, this.F_draw0, this.u_draw0);
+
+    const dL = (F_cond_in - F_reflux - F_draw) * (this.dt / 200.0);
+    this.L = clamp(this.L + dL, 0.0, 100.0);
+
+    const rho_ss =
+      this.rho0 +
+      0.0009 * (TT106 - this.TT106_0) -
+      0.0011 * (F_reflux - 50.0) +
+      0.0008 * d.d_feed_comp;
+
+    const rho15 = this.G_rho.update(rho_ss, 0.0);
+    const vapor_load = this.G_vap.update(VAPOR_LOAD0 + d.d_vapor, 0.0);
+
+    return {
+      F_feed,
+      T_feed_out,
+      T_reb,
+      TT106,
+      TT201,
+      T_cond_out,
+      F_reflux,
+      L_v201: this.L,
+      rho15,
+      F_steam,
+      F_draw,
+      T_feed_in: this.T_feed_in0 + d.d_feed_temp,
+      vapor_load,
+      x_feed: this.x_feed0 + d.d_feed_comp,
+      T_amb: this.T_amb0 + d.d_ambient,
+      analyzer_ok: d.analyzer_ok,
+    };
+  }
+}
+
+// ============================================================
+// 6a) TRAY COLUMN PLANT (FIRST PRINCIPLES, BINER / PSEUDO-KOMPONEN)
+//   alternatif DistilPlant dengan interface & tag sama (registry "tray")
+//   - VLE: relative volatility konstan y = a x / (1 + (a - 1) x); T tray = bubble point (linier antar titik didih)
+//     TT106 = tray atas, TT201 = uap overhead (setimbang dengan tray atas), T_reb = sump
+//   - hidraulik tray: Francis weir L = Cw (M - M_weir)^1.5 ; vapor CMO, q feed dari subcooling preheater
+//   - reboiler: boilup = (Q steam - panas sensibel liquid masuk) / lambda ; holdup sump konstan (bottoms = sisa)
+//   - kondensor total + subcooler: CW dipanaskan oleh duty laten -> T condensate ; bypass uap panas (TV-201B)
+//   - reflux drum: holdup = level LT-201 (komposisi distilat x_D tercampur sempurna)
+//   satuan: flow t/h, holdup t, waktu s, komposisi fraksi light key
+//   kalibrasi titik desain: titik didih, rho, duty reboiler/kondensor & preheater dihitung dari steady state
+//   nominal -> kondisi awal = operating point DistilPlant (controller, gate, interlock tanpa perubahan)
+// ============================================================
+const TRAY_DEFAULTS = { N: 8, NF: 3, alpha: 2.0, M_weir: 0.15, M_sump: 2.0 };
+const TRAY_SUBSTEP = 0.5; // s, langkah integrasi maks (konstanta waktu hidraulik tray ~2 s)
+
+const sanitize_tray = (t = {}) => {
+  const N = Math.round(clamp(numOr(t.N, TRAY_DEFAULTS.N), 4, 40));
+  return {
+    N,
+    NF: Math.round(clamp(numOr(t.NF, TRAY_DEFAULTS.NF), 1, N)),
+    alpha: clamp(numOr(t.alpha, TRAY_DEFAULTS.alpha), 1.1, 10),
+    M_weir: clamp(numOr(t.M_weir, TRAY_DEFAULTS.M_weir), 0.01, 5),
+    M_sump: clamp(numOr(t.M_sump, TRAY_DEFAULTS.M_sump), 0.1, 50),
+  };
+};
+
+const TRAY_H = 3600.0;   // s per jam
+const TRAY_CPL = 0.008;  // cp liquid / lambda (1/C): subcooling feed & panas sensibel reboiler
+const TRAY_NOM = {
+  F_feed: 50.0, x_feed: 0.40, T_feed_in: 30.0, T_feed: 120.0,
+  V: 70.0, R: 50.0, D: 20.0, L: 50.0,
+  u_feed: 50.0, u_steam_pre: 35.0, u_steam_reb: 40.0, u_cw: 45.0, u_reflux: 55.0, u_draw: 25.0,
+  T_reb: 165.0, TT106: 95.0, T_cond: 35.0, rho: 0.7400, T_cw: 25.0,
+};
+
+// cache kalibrasi per set parameter (dipakai ulang antar run suite / Monte Carlo)
+const tray_cache = new Map();
+
+class TrayColumnPlant {
+  constructor(dt = 1.0, params = {}) {
+    this.dt = Number(dt);
+    this.p = sanitize_tray(params);
+
+    const P = this.p;
+    // Francis weir: over-weir 0.05 t saat L = reflux nominal
+    this.Cw = TRAY_NOM.R / Math.pow(0.05, 1.5);
+
+    this.tau_F = 20.0;      // feed line
+    this.tau_steam = 8.0;   // steam line
+    this.tau_reflux = 5.0;
+    this.tau_draw = 4.0;
+    this.tau_Q = 30.0;      // tube bundle reboiler
+    this.tau_cond = 120.0;  // shell kondensor / subcooler
+    this.M_pre = 140.0 * TRAY_NOM.F_feed / TRAY_H; // tau preheater 140 s pada feed nominal
+    this.e_sub = 0.02;      // sisa driving force subcooler (exp(-NTU))
+    this.an_delay = Math.max(0, Math.round(30.0 / this.dt)); // analyzer dead time
+    this.an_tau = 60.0;
+
+    const key = JSON.stringify(P);
+    if (!tray_cache.has(key)) tray_cache.set(key, this._calibrate());
+    const { c, s } = tray_cache.get(key);
+    this.c = c;
+    this.s0 = s;
+
+    this.reset();
+  }
+
+  reset() {
+    this.s = { ...this.s0, M: [...this.s0.M], x: [...this.s0.x] };
+    this.an_buf = new Array(this.an_delay + 1).fill(this.c.rho_of(this.s.x_D));
+    this.rho_an = this.an_buf[0];
+    this.vapor_load = VAPOR_LOAD0;
+  }
+
+  // holdup / komposisi per tray + dead time analyzer
+  state() {
+    return {
+      s: { ...this.s, M: [...this.s.M], x: [...this.s.x] },
+      an_buf: [...this.an_buf], rho_an: this.rho_an, vapor_load: this.vapor_load,
+    };
+  }
+
+  load(st) {
+    if (st.s.x.length !== this.s.x.length) throw new Error("Snapshot tray: jumlah tray berbeda");
+    this.s = { ...st.s, M: [...st.s.M], x: [...st.s.x] };
+    this.an_buf = [...st.an_buf];
+    this.rho_an = st.rho_an;
+    this.vapor_load = st.vapor_load ?? VAPOR_LOAD0;
+  }
+
+  eq(x) {
+    const a = this.p.alpha;
+    return a * x / (1 + (a - 1) * x);
+  }
+
+  // 1 langkah integrasi (Euler eksplisit, h detik). force_V: vapor rectifying dipaksa (warm-up kalibrasi)
+  _step(s, h, u, d, force_V = null) {
+    const { N, NF, M_weir, M_sump } = this.p;
+    const c = this.c;
+    const f = NF - 1;
+
+    // flow line (orde-1), pompa reflux/draw kehilangan suction saat drum hampir kosong
+    const avail = clamp01(s.L / 5.0);
+    s.F_feed  += (h / this.tau_F) * (u.u_feed * TRAY_NOM.F_feed / TRAY_NOM.u_feed - s.F_feed);
+    s.F_steam += (h / this.tau_steam) * (Math.max(0, u.u_steam_reb * 1.0 + d.steam) - s.F_steam);
+    s.F_reflux += (h / this.tau_reflux) * (u.u_reflux * (TRAY_NOM.R / TRAY_NOM.u_reflux) * avail - s.F_reflux);
+    s.F_draw  += (h / this.tau_draw) * (u.u_draw * (TRAY_NOM.D / TRAY_NOM.u_draw) * avail - s.F_draw);
+
+    // preheater: M cp dT/dt = F cp (T_in - T) + Q(u_steam_pre)
+    const T_in = TRAY_NOM.T_feed_in + d.feed_temp;
+    s.T_pre += (h / TRAY_H) * (s.F_feed * (T_in - s.T_pre) + c.k_pre * u.u_steam_pre) / this.M_pre;
+
+    const x_F = clamp01(TRAY_NOM.x_feed + d.feed_comp / 100.0);
+    const q = clamp(1 + TRAY_CPL * (c.Tb(x_F) - s.T_pre), 0.0, 2.0);
+    const F = s.F_feed;
+
+    // liquid keluar tiap tray (Francis weir)
+    const Lo = s.M.map((M) => this.Cw * Math.pow(Math.max(0, M - M_weir), 1.5));
+
+    // reboiler: Q (t/h uap ekuivalen) dengan lag tube bundle; boilup = Q - panas sensibel liquid tray 1
+    s.Q += (h / this.tau_Q) * (c.k_reb * s.F_steam - s.Q);
+    let V_B;
+    if (force_V !== null) V_B = force_V + (q - 1) * F;
+    else V_B = s.Q - TRAY_CPL * Lo[0] * (c.Tb(s.x_B) - c.Tb(s.x[0])) + d.vapor;
+    V_B = clamp(V_B, 0, Lo[0] + M_sump * TRAY_H / Math.max(h, 1e-9));
+    const V_R = Math.max(0, V_B - (q - 1) * F);
+
+    const y = s.x.map((x) => this.eq(x));
+    const y_B = this.eq(s.x_B);
+
+    const dM = new Array(N).fill(0);
+    const dMx = new Array(N).fill(0);
+    for (let i = 0; i < N; i++) {
+      const L_in = (i === N - 1) ? s.F_reflux : Lo[i + 1];
+      const x_in = (i === N - 1) ? s.x_D : s.x[i + 1];
+      const V_in = (i === 0) ? V_B : (i - 1 < f ? V_B : V_R);
+      const y_in = (i === 0) ? y_B : y[i - 1];
+      const V_out = i < f ? V_B : V_R;
+      const F_i = (i === f) ? F : 0;
+      dM[i] = L_in + V_in + F_i - Lo[i] - V_out;
+      dMx[i] = L_in * x_in + V_in * y_in + F_i * x_F - Lo[i] * s.x[i] - V_out * y[i];
+    }
+    for (let i = 0; i < N; i++) {
+      const M_new = Math.max(s.M[i] + (h / TRAY_H) * dM[i], 1e-3);
+      const Mx = s.M[i] * s.x[i] + (h / TRAY_H) * dMx[i];
+      s.M[i] = M_new;
+      s.x[i] = clamp01(Mx / M_new);
+    }
+
+    // sump (holdup konstan): bottoms = Lo[0] - V_B
+    s.x_B = clamp01(s.x_B + (h / TRAY_H) * (Lo[0] * (s.x[0] - s.x_B) - V_B * (y_B - s.x_B)) / M_sump);
+
+    // reflux drum (kondensor total): level % ~ holdup (200 t/h.s per %)
+    const V_top = V_R;
+    s.L = clamp(s.L + (V_top - s.F_reflux - s.F_draw) * (h / 200.0), 0.0, 100.0);
+    const M_D = Math.max(s.L * 200.0 / TRAY_H, 0.05);
+    s.x_D = clamp01(s.x_D + (h / TRAY_H) * V_top * (y[N - 1] - s.x_D) / M_D);
+
+    // kondensor + subcooler: CW dipanaskan duty laten; condensate mendekati suhu CW
+    const TT201 = c.Tb(s.x[N - 1]);
+    const u_cw = Math.max(u.u_cw * d.cw_degrade, 1e-3);
+    const T_cw = TRAY_NOM.T_cw + 0.5 * d.ambient;
+    const T_cw_out = Math.min(T_cw + c.k_cond * V_top / u_cw, TT201);
+    const b = 0.3 * u.u_cw_byp / 100.0; // fraksi uap panas bypass
+    const T_ss = (1 - b) * (T_cw_out + (TT201 - T_cw_out) * this.e_sub) + b * TT201;
+    s.T_cond += (h / this.tau_cond) * (T_ss - s.T_cond);
+
+    s.V_top = V_top;
+    return s;
+  }
+
+  // warm-up ke steady state nominal + kalibrasi parameter termal (lihat header section)
+  _calibrate() {
+    const { N, NF, M_weir } = this.p;
+    const n = TRAY_NOM;
+    const u = {
+      u_feed: n.u_feed, u_steam_pre: n.u_steam_pre, u_steam_reb: n.u_steam_reb,
+      u_cw: n.u_cw, u_reflux: n.u_reflux, u_draw: n.u_draw, u_cw_byp: 0.0,
+    };
+    const d = { feed_temp: 0, steam: 0, feed_comp: 0, vapor: 0, cw_degrade: 1.0, ambient: 0 };
+
+    const over = (L) => Math.pow(L / this.Cw, 2 / 3);
+    const s = {
+      M: Array.from({ length: N }, (_, i) => M_weir + over(i < NF - 1 ? n.R + n.F_feed : n.R)),
+      x: Array.from({ length: N }, (_, i) => 0.1 + 0.8 * (i + 1) / (N + 1)),
+      x_B: 0.05, x_D: 0.9, L: n.L, T_pre: n.T_feed,
+      F_feed: n.F_feed, F_steam: n.u_steam_reb, F_reflux: n.R, F_draw: n.D,
+      Q: 0.0, T_cond: n.T_cond, V_top: n.V,
+    };
+
+    const c = {
+      TbL: 75.0, TbH: 175.0, k_pre: (n.T_feed - n.T_feed_in) * n.F_feed / n.u_steam_pre,
+      k_reb: 0.0, k_cond: 0.0, rho_H: 0.0, drho: 0.15,
+    };
+    c.Tb = (x) => c.TbH - (c.TbH - c.TbL) * x;
+    c.rho_of = (x) => c.rho_H - c.drho * x;
+    this.c = c;
+
+    const h = 1.0;
+    for (let pass = 0; pass < 3; pass++) {
+      for (let t = 0; t < 6 * 3600; t += h) {
+        this._step(s, h, u, d, n.V);
+        s.L = n.L; // drum level ditahan saat warm-up
+      }
+      // titik didih: T_reb (sump) & TT106 (tray atas) = nominal
+      const x_t = s.x[N - 1];
+      const dT = (n.T_reb - n.TT106) / Math.max(x_t - s.x_B, 1e-3);
+      c.TbH = n.T_reb + dT * s.x_B;
+      c.TbL = c.TbH - dT;
+    }
+
+    // reboiler: k_reb * F_steam = boilup nominal + sensibel ; kondensor: T_cond nominal
+    const q = clamp(1 + TRAY_CPL * (c.Tb(n.x_feed) - s.T_pre), 0.0, 2.0);
+    const Lo0 = this.Cw * Math.pow(Math.max(0, s.M[0] - M_weir), 1.5);
+    const V_B = n.V + (q - 1) * n.F_feed;
+    c.k_reb = (V_B + TRAY_CPL * Lo0 * (c.Tb(s.x_B) - c.Tb(s.x[0]))) / n.u_steam_reb;
+    s.Q = c.k_reb * s.F_steam;
+
+    const TT201 = c.Tb(s.x[N - 1]);
+    const T_cw_out = (n.T_cond - this.e_sub * TT201) / (1 - this.e_sub);
+    c.k_cond = (T_cw_out - n.T_cw) * n.u_cw / n.V;
+    s.T_cond = n.T_cond;
+
+    c.rho_H = n.rho + c.drho * s.x_D;
+    return { c, s };
+  }
+
+  update(mv, dist = {}) {
+    const dv = plant_dist(dist);
+    const u = {
+      u_feed:      clamp(mv.u_feed ?? TRAY_NOM.u_feed, 0, 100),
+      u_steam_pre: clamp(mv.u_steam_pre ?? TRAY_NOM.u_steam_pre, 0, 100),
+      u_steam_reb: clamp(mv.u_steam_reb ?? TRAY_NOM.u_steam_reb, 0, 100),
+      u_cw:        clamp(mv.u_cw ?? TRAY_NOM.u_cw, 0, 100),
+      u_reflux:    clamp(mv.u_reflux ?? TRAY_NOM.u_reflux, 0, 100),
+      u_draw:      clamp(mv.u_draw ?? TRAY_NOM.u_draw, 0, 100),
+      u_cw_byp:    clamp(mv.u_cw_byp ?? 0.0, 0, 100),
+    };
+    const d = {
+      feed_temp: dv.d_feed_temp, steam: dv.d_steam_press, feed_comp: dv.d_feed_comp,
+      vapor: dv.d_vapor, cw_degrade: 1.0 - dv.cw_degrade_drop, ambient: dv.d_ambient,
+    };
+
+    // sub-step <= TRAY_SUBSTEP supaya hidraulik tray stabil pada dt besar
+    const n_sub = Math.max(1, Math.ceil(this.dt / TRAY_SUBSTEP));
+    for (let k = 0; k < n_sub; k++) this._step(this.s, this.dt / n_sub, u, d);
+
+    const s = this.s;
+    const c = this.c;
+    const N = this.p.N;
+
+    this.an_buf.push(c.rho_of(s.x_D));
+    this.rho_an += (this.dt / (this.an_tau + this.dt)) * (this.an_buf.shift() - this.rho_an);
+    this.vapor_load += (this.dt / (VAPOR_TAU + this.dt)) * (VAPOR_LOAD0 + dv.d_vapor - this.vapor_load);
+
+    return {
+      F_feed: s.F_feed,
+      T_feed_out: s.T_pre,
+      T_reb: c.Tb(s.x_B),
+      TT106: c.Tb(s.x[N - 1]),
+      TT201: c.Tb(s.x[N - 1]), // uap keluar tray atas (dew point = suhu tray atas)
+      T_cond_out: s.T_cond,
+      F_reflux: s.F_reflux,
+      L_v201: s.L,
+      rho15: this.rho_an,
+      F_steam: s.F_steam,
+      F_draw: s.F_draw,
+      T_feed_in: TRAY_NOM.T_feed_in + dv.d_feed_temp,
+      vapor_load: this.vapor_load,
+      x_feed: TRAY_NOM.x_feed * 100 + dv.d_feed_comp,
+      T_amb: 30.0 + dv.d_ambient,
+      analyzer_ok: dv.analyzer_ok,
+    };
+  }
+}
+
+// ===== PLANT REGISTRY — model dipilih lewat cfg.PLANT.backend =====
+// backend baru: registerPlant(id, entry) dari luar modul (export), tanpa mengubah file ini
+// interface plant (dipakai simulate):
+//   reset()                 kembali ke kondisi awal (titik operasi nominal = MV_INIT)
+//   update(mv, dist) -> pv  mv: % bukaan valve (DIST_MVS + AUX_MVS), dist: PLANT_DIST (lihat plant_dist)
+//                           pv: nilai bersih per tag + analyzer_ok. Noise & quality range diterapkan simulate
+//   state() / load(s)       (opsional) state dinamis JSON-able untuk snapshot / restore / branching
+// entry registry:
+//   label, tags ({ key: { unit, range, noise, desc } }), create(cfg, dt) -> plant (dt = langkah integrasi plant)
+//   params (opsional): { key: { def, min, max, step, unit, label } } -> cfg.PLANT[id], param UI `${id}_${key}`
+//   sanitize (opsional): override clamp generik params (mis. NF <= N)
+//   mismatch (opsional): (cfg, spread) acak parameter model untuk Monte Carlo, spread(key) = faktor 1 +/- cfg.MC[key] %
+//                        (K_pct, tau_pct, theta_pct). Tanpa hook: model mismatch tidak berlaku (ditandai di hasil)
+// tag wajib diturunkan dari cfg (plant_required_tags: PV loop, slave cascade aktif, quality gate, tag interlock)
+//   dan dicek saat makePlant. Semua tag backend (termasuk tag tambahan) dicatat di log & chart (TAG_<key>)
+const PLANT_REGISTRY = {};
+
+// kolom log simulate selain tag plant (nama tag tidak boleh sama, juga prefix SP_ / u_)
+const LOG_COLUMNS = ["t", "analyzer_ok", "dTsub", "route", "dist", "vp", "split", "relay_u"];
+
+// tag turunan (bukan tag plant): dTsub = TT201 - T_cond_out, analyzer_ok = bagian output update()
+const DERIVED_TAGS = { dTsub: ["TT201", "T_cond_out"], analyzer_ok: [] };
+const GATE_TAGS = ["TT106", "rho15", "dTsub", "L_v201"];
+
+const plant_required_tags = (cfg) => {
+  const req = new Set([...Object.values(LOOP_IO).map((io) => io.pv), ...GATE_TAGS]);
+  for (const c of Object.values(cfg.CASCADE || {})) if (c?.enable && SLAVE_IO[c.slave]) req.add(SLAVE_IO[c.slave].pv);
+  for (const row of cfg.IL || []) if (row?.tag) req.add(row.tag);
+  return [...new Set([...req].flatMap((k) => DERIVED_TAGS[k] || [k]))];
+};
+
+const registerPlant = (id, entry) => {
+  if (!/^[a-z][a-z0-9]*$/.test(id)) throw new Error(`Plant "${id}": id harus huruf kecil/angka (prefix param UI)`);
+  if (typeof entry?.create !== "function") throw new Error(`Plant "${id}": create(cfg, dt) wajib`);
+  if (!entry.tags || typeof entry.tags !== "object") throw new Error(`Plant "${id}": tags wajib`);
+  const clash = Object.keys(entry.tags).filter((k) => LOG_COLUMNS.includes(k) || /^(SP|u)_/.test(k));
+  if (clash.length) throw new Error(`Plant "${id}": nama tag bentrok dengan kolom log (${clash.join(", ")})`);
+  PLANT_REGISTRY[id] = { label: id, params: {}, ...entry };
+};
+
+// parameter model dari param flat UI (`${id}_${key}`) atau object cfg.PLANT[id]
+const sanitize_plant_params = (id, src = {}) => {
+  const e = PLANT_REGISTRY[id];
+  const raw = {};
+  for (const [k, spec] of Object.entries(e.params)) {
+    let v = clamp(numOr(src[k], spec.def), spec.min, spec.max);
+    if (Number.isInteger(spec.step)) v = Math.round(v);
+    raw[k] = v;
+  }
+  return e.sanitize ? e.sanitize(raw) : raw;
+};
+
+const makePlant = (cfg, dt = cfg.SIM.dt) => {
+  const id = cfg.PLANT?.backend || "fopdt";
+  const e = PLANT_REGISTRY[id];
+  if (!e) throw new Error(`Plant backend tidak dikenal: ${id}`);
+  const missing = plant_required_tags(cfg).filter((k) => !e.tags[k]);
+  if (missing.length) throw new Error(`Plant "${id}": tag yang dibutuhkan konfigurasi tidak ada (${missing.join(", ")})`);
+  const plant = e.create(cfg, dt);
+  if (typeof plant?.reset !== "function" || typeof plant?.update !== "function") {
+    throw new Error(`Plant "${id}": reset() / update(mv, dist) tidak ada`);
+  }
+  return { plant, tags: e.tags };
+};
+
+// metadata tag backend cfg (kolom PV log)
+const plant_tags = (cfg) => PLANT_REGISTRY[cfg.PLANT?.backend || "fopdt"]?.tags || {};
+
+// katalog untuk UI (pilihan backend + slider parameter + metadata tag)
+const plant_catalog = () => Object.entries(PLANT_REGISTRY).map(([id, e]) => ({
+  id, label: e.label, desc: e.desc || "", params: e.params, tags: e.tags, mismatch: typeof e.mismatch === "function",
+}));
+
+registerPlant("fopdt", {
+  label: "FOPDT (dummy)",
+  desc: "Blok FOPDT deviasi (PLANT_BLOCKS), override lewat cfg.PLANT.blocks / hasil identifikasi.",
+  tags: DISTIL_TAGS,
+  create: (cfg, dt) => new DistilPlant(dt, cfg.PLANT?.blocks, cfg.SIM.integrator, plant_flow_lag(cfg)),
+  mismatch: (cfg, spread) => {
+    for (const [k, def] of Object.entries(PLANT_BLOCKS)) {
+      const b = { ...def, ...(cfg.PLANT.blocks[k] || {}) };
+      cfg.PLANT.blocks[k] = {
+        ...b,
+        K: b.K * spread("K_pct"),
+        tau: Math.max(cfg.SIM.dt, b.tau * spread("tau_pct")),
+        theta: Math.max(0.0, b.theta * spread("theta_pct")),
+      };
+    }
+  },
+});
+
+registerPlant("tray", {
+  label: "Tray column (first-principles)",
+  desc: "VLE α konstan, Francis weir, neraca energi reboiler/kondensor, holdup reflux drum. "
+    + "Dikalibrasi agar kondisi awal = titik operasi nominal. Override blok FOPDT tidak berlaku.",
+  tags: DISTIL_TAGS,
+  params: {
+    N:      { def: TRAY_DEFAULTS.N,      min: 4,    max: 20,  step: 1,    unit: "",  label: "Jumlah tray" },
+    NF:     { def: TRAY_DEFAULTS.NF,     min: 1,    max: 20,  step: 1,    unit: "",  label: "Feed tray (dari bawah)" },
+    alpha:  { def: TRAY_DEFAULTS.alpha,  min: 1.2,  max: 4.0, step: 0.1,  unit: "",  label: "Relative volatility α" },
+    M_weir: { def: TRAY_DEFAULTS.M_weir, min: 0.05, max: 1.0, step: 0.05, unit: "t", label: "Holdup weir per tray" },
+    M_sump: { def: TRAY_DEFAULTS.M_sump, min: 0.5,  max: 10,  step: 0.5,  unit: "t", label: "Holdup sump reboiler" },
+  },
+  sanitize: sanitize_tray,
+  create: (cfg, dt) => new TrayColumnPlant(dt, cfg.PLANT?.tray),
+});
+
+// ============================================================
+// 6b) DISTURBANCE GENERATOR
+//   cfg.TEST.dist: [{ target, shape, t0, dur, ...param shape }] (format: src/scenarios.js)
+//   nilai per target dijumlahkan; target input plant (d_*), MV (u_*) atau sensor (PV key)
+// ============================================================
+const sanitize_dist = (d, where = "Disturbance") => {
+  if (!d || typeof d !== "object") throw new Error(`${where}: bukan object`);
+  if (!DIST_TARGETS.includes(d.target)) throw new Error(`${where}: target tidak dikenal (${d.target})`);
+  if (!(d.shape in DIST_SHAPES)) throw new Error(`${where}: shape tidak dikenal (${d.shape})`);
+
+  const out = { target: d.target, shape: d.shape, t0: Math.max(0, numOr(d.t0, 0)) };
+  for (const f of DIST_SHAPES[d.shape]) {
+    if (f === "points") {
+      const pts = (Array.isArray(d.points) ? d.points : [])
+        .map((p) => [Number(p?.[0]), Number(p?.[1])])
+        .filter(([t, v]) => Number.isFinite(t) && Number.isFinite(v) && t >= 0)
+        .sort((a, b) => a[0] - b[0]);
+      if (!pts.length) throw new Error(`${where}: profile tanpa titik valid`);
+      out.points = pts;
+    } else {
+      out[f] = numOr(d[f], DIST_DEFAULTS[f]);
+    }
+  }
+  out.dur = Math.max(0, out.dur);
+  if ("period" in out) out.period = Math.max(out.period, 1e-3);
+  if ("width" in out) out.width = clamp(out.width, 0, out.period);
+  if ("tau" in out) out.tau = Math.max(out.tau, 0);
+  if ("limit" in out) out.limit = Math.abs(out.limit);
+  return out;
+};
+
+const interp_points = (pts, x) => {
+  if (x <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    if (x <= pts[i][0]) {
+      const [t0, v0] = pts[i - 1];
+      const [t1, v1] = pts[i];
+      return t1 > t0 ? v0 + (v1 - v0) * (x - t0) / (t1 - t0) : v1;
+    }
+  }
+  return pts[pts.length - 1][1];
+};
+
+class DisturbanceGen {
+  constructor(list = [], dt = 1.0, seed = 1) {
+    this.dt = Number(dt);
+    this.seed = seed >>> 0;
+    this.items = list.map((d) => ({ ...d }));
+    this.reset();
+  }
+
+  reset() {
+    this.items.forEach((d, i) => this._init(d, i));
+  }
+
+  // random walk: stream sendiri per item -> tidak menggeser noise sensor
+  _init(d, i) {
+    d.rng = makeRng(hash32(`dist${i}:${d.target}`, this.seed));
+    d.w = 0.0;
+    d.y = 0.0;
+  }
+
+  // item baru saat run berjalan (aksi operator live); index = urutan tambah -> stream tetap deterministik
+  add(d) {
+    const x = { ...d };
+    this._init(x, this.items.length);
+    this.items.push(x);
+  }
+
+  targets() {
+    return [...new Set(this.items.map((d) => d.target))];
+  }
+
+  // item (termasuk yang ditambah live) + state random walk & stream RNG
+  state() {
+    return this.items.map(({ rng, ...d }) => ({ ...d, rng: rng.state() }));
+  }
+
+  load(s) {
+    this.items = s.map(({ rng, ...d }, i) => {
+      const x = { ...d };
+      this._init(x, i);
+      x.w = d.w;
+      x.y = d.y;
+      x.rng.load(rng);
+      return x;
+    });
+  }
+
+  // dipanggil tepat 1x per step (random walk berstate)
+  update(t) {
+    const out = {};
+    for (const d of this.items) {
+      const x = t - d.t0;
+      if (x < 0) continue;
+      const ended = d.dur > 0 && x >= d.dur;
+      let v = 0.0;
+      switch (d.shape) {
+        case "step":
+          v = ended ? 0.0 : d.amp;
+          break;
+        case "ramp":
+          v = d.dur > 0 ? d.amp * Math.min(1.0, x / d.dur) : d.amp;
+          break;
+        case "sine":
+          v = ended ? 0.0 : d.amp * Math.sin(2.0 * Math.PI * x / d.period + d.phase * Math.PI / 180.0);
+          break;
+        case "pulse":
+          v = (!ended && (x % d.period) < d.width) ? d.amp : 0.0;
+          break;
+        case "random_walk": {
+          if (ended) break;
+          // filtered random walk (drift): w = integrasi white noise, y = lag tau dari w
+          d.w += d.sigma * Math.sqrt(this.dt) * randn(d.rng);
+          if (d.limit > 0) d.w = clamp(d.w, -d.limit, d.limit);
+          d.y += (d.w - d.y) * this.dt / (d.tau + this.dt);
+          v = d.y;
+          break;
+        }
+        case "profile":
+          v = ended ? 0.0 : interp_points(d.points, x);
+          break;
+        default:
+          break;
+      }
+      out[d.target] = (out[d.target] || 0.0) + v;
+    }
+    return out;
+  }
+}
+
+// ============================================================
+// 6c) SENSOR FAULTS + QUALITY
+//   cfg.TEST.faults: [{ sensor, fault, t0, dur, value, period }] (format: src/scenarios.js)
+//   diterapkan ke output plant.update() -> controller, gate & interlock melihat nilai ter-fault
+//   range transmitter (tag plant, lihat PLANT_REGISTRY): di luar range -> quality BAD (over/under-range)
+// ============================================================
+
+const sanitize_fault = (f, where = "Fault") => {
+  if (!f || typeof f !== "object") throw new Error(`${where}: bukan object`);
+  if (!DIST_SENSORS.includes(f.sensor)) throw new Error(`${where}: sensor tidak dikenal (${f.sensor})`);
+  if (!FAULT_TYPES.includes(f.fault)) throw new Error(`${where}: fault tidak dikenal (${f.fault})`);
+  return {
+    sensor: f.sensor,
+    fault: f.fault,
+    t0: Math.max(0, numOr(f.t0, 0)),
+    dur: Math.max(0, numOr(f.dur, 0)),
+    value: numOr(f.value, 0.0),
+    period: Math.max(0, numOr(f.period, 0)),
+  };
+};
+
+class SensorFaults {
+  constructor(list = [], dt = 1.0, seed = 1, tags = DISTIL_TAGS) {
+    this.dt = Number(dt);
+    this.seed = seed >>> 0;
+    this.items = list.map((f) => ({ ...f }));
+    this.range = Object.entries(tags).filter(([, tg]) => Array.isArray(tg.range)).map(([k, tg]) => [k, tg.range]);
+    this.reset();
+  }
+
+  reset() {
+    this.items.forEach((f, i) => this._init(f, i));
+  }
+
+  _init(f, i) {
+    f.rng = makeRng(hash32(`fault${i}:${f.sensor}`, this.seed));
+    f.frozen = null;
+    f.active = false;
+  }
+
+  add(f) {
+    const x = { ...f };
+    this._init(x, this.items.length);
+    this.items.push(x);
+  }
+
+  state() {
+    return this.items.map(({ rng, ...f }) => ({ ...f, rng: rng.state() }));
+  }
+
+  load(s) {
+    this.items = s.map(({ rng, ...f }, i) => {
+      const x = { ...f };
+      this._init(x, i);
+      x.frozen = f.frozen;
+      x.active = f.active;
+      x.rng.load(rng);
+      return x;
+    });
+  }
+
+  // ubah pv (in place) -> { quality: { key: false } untuk PV BAD, changed: [[fault, on]] }
+  apply(t, pv) {
+    const quality = {};
+    const changed = [];
+    for (const f of this.items) {
+      const x = t - f.t0;
+      const on = x >= 0 && (f.dur <= 0 || x < f.dur);
+      if (on !== f.active) {
+        f.active = on;
+        changed.push([f, on]);
+      }
+      if (!on) continue;
+
+      const k = f.sensor;
+      switch (f.fault) {
+        case "bias":   pv[k] += f.value; break;
+        case "drift":  pv[k] += f.value * x; break;
+        case "frozen":
+          if (f.frozen === null) f.frozen = pv[k];
+          pv[k] = f.frozen;
+          break;
+        case "spike": {
+          const n = f.period > 0 ? Math.floor(x / f.period) : 0;
+          if (x - n * f.period < this.dt) pv[k] += f.value;
+          break;
+        }
+        case "noise":  pv[k] += Math.abs(f.value) * randn(f.rng); break;
+        case "bad":
+          pv[k] = f.value;
+          quality[k] = false;
+          break;
+        default: break;
+      }
+    }
+
+    for (const [k, [lo, hi]] of this.range) {
+      if (!(pv[k] >= lo && pv[k] <= hi)) quality[k] = false;
+    }
+    return { quality, changed };
+  }
+}
+
+// ============================================================
+// 6d) VALVE MODEL (ACTUATOR + STICTION)
+//   OP controller (%) -> deadband/backlash -> stiction -> rate limit (stroke) -> lag orde-1 -> posisi valve
+//   stiction: "choudhury" (Choudhury et al. 2005) | "kano" (Kano et al. 2004)
+//     S = deadband + stickband (%), J = slip jump (%). Choudhury: tiap berhenti/balik arah butuh S.
+//     Kano: balik arah butuh S, berhenti lalu lanjut searah cukup J
+//   valve disabled -> posisi = OP (perfect valve, hasil identik dengan tanpa model)
+// ============================================================
+// valve -> MV key (P&ID)
+const VALVE_MV = {
+  FV101: "u_feed", TV101: "u_steam_pre", TV102: "u_steam_reb",
+  TV201: "u_cw", FV201: "u_reflux", LV201: "u_draw", TV201B: "u_cw_byp",
+};
+const VALVE_MODELS = ["none", "choudhury", "kano"];
+
+class Valve {
+  constructor({ rate = 0.0, tau = 0.0, deadband = 0.0, model = "none", S = 0.0, J = 0.0, dt = 1.0 }) {
+    this.rate = Math.max(0.0, Number(rate)); // %/s, 0 = tanpa batas
+    this.tau = Math.max(0.0, Number(tau));
+    this.deadband = Math.max(0.0, Number(deadband));
+    this.model = VALVE_MODELS.includes(model) ? model : "none";
+    this.S = Math.max(0.0, Number(S));
+    this.J = clamp(J, 0.0, this.S);
+    this.dt = Math.max(Number(dt), 1e-9);
+    this.reset(0.0);
+  }
+
+  reset(u0) {
+    const u = clamp(u0, 0, 100);
+    this.x_db = u;     // output backlash
+    this.u_prev = u;   // input stiction sebelumnya
+    this.y_st = u;     // output stiction
+    this.stuck = true;
+    this.dir = 0;      // arah gerak terakhir (+1 / -1)
+    this.u_s = u;      // input saat valve mulai lengket
+    this.x_rl = u;     // output rate limit
+    this.pos = u;      // posisi valve
+  }
+
+  state() {
+    const { x_db, u_prev, y_st, stuck, dir, u_s, x_rl, pos } = this;
+    return { x_db, u_prev, y_st, stuck, dir, u_s, x_rl, pos };
+  }
+
+  load(s) {
+    Object.assign(this, s);
+  }
+
+  // backlash: output baru bergerak setelah input melewati setengah lebar deadband
+  _backlash(u) {
+    const h = this.deadband / 2;
+    if (u > this.x_db + h) this.x_db = u - h;
+    else if (u < this.x_db - h) this.x_db = u + h;
+    return this.x_db;
+  }
+
+  _stiction(u) {
+    if (this.model === "none" || this.S <= 0) return u;
+    const du = u - this.u_prev;
+    const d = Math.sign(du);
+    const off = (this.S - this.J) / 2;
+
+    if (!this.stuck && d !== this.dir) {
+      // input berhenti / balik arah -> valve lengket di posisi terakhir
+      this.stuck = true;
+      this.u_s = this.u_prev;
+    }
+    if (this.stuck) {
+      const x = u - this.u_s;
+      const same = this.dir !== 0 && Math.sign(x) === this.dir;
+      const band = (same && this.model === "kano") ? this.J : this.S;
+      if (Math.abs(x) > band) {
+        this.stuck = false;
+        this.dir = Math.sign(x);
+      }
+    }
+    if (!this.stuck) this.y_st = u - this.dir * off;
+
+    this.u_prev = u;
+    return this.y_st;
+  }
+
+  update(op) {
+    const u = clamp(op, 0, 100);
+    const y = clamp(this._stiction(this._backlash(u)), 0, 100);
+
+    const step = this.rate > 0 ? this.rate * this.dt : Infinity;
+    this.x_rl += clamp(y - this.x_rl, -step, step);
+
+    this.pos = this.tau > 0
+      ? this.pos + (this.dt / (this.tau + this.dt)) * (this.x_rl - this.pos)
+      : this.x_rl;
+    return this.pos;
+  }
+}
+
+const makeValves = (cfg, cmd) => {
+  const valves = {};
+  for (const [id, v] of Object.entries(cfg.VALVE || {})) {
+    if (!v?.enable || !(id in VALVE_MV)) continue;
+    const k = VALVE_MV[id];
+    valves[k] = new Valve({ ...v, dt: cfg.SIM.dt });
+    valves[k].reset(cmd[k] ?? 0.0);
+  }
+  return valves;
+};
+
+// ============================================================
+// 6e) VALVE CHARACTERISTIC + SPLIT RANGE
+//   karakteristik inherent f(x) (x, f = fraksi 0..1):
+//     linear x | eq_pct (R^x - 1)/(R - 1) | quick sqrt(x)
+//   installed (authority a = dP valve / dP total saat full open): q = f / sqrt(a + (1 - a) f^2)
+//   gain plant di section 6 = per % flow -> input plant = 100 q(posisi)
+//   split range: 1 output loop -> beberapa valve, tiap segmen map [op_lo, op_hi] -> [out_lo, out_hi]
+// ============================================================
+const VALVE_CHARS = ["linear", "eq_pct", "quick"];
+
+// valve tambahan tanpa loop sendiri (hanya lewat split range)
+const AUX_MVS = ["u_cw_byp"];
+
+const char_inherent = (x, char, R) => {
+  if (char === "eq_pct") return (Math.pow(R, x) - 1) / (R - 1);
+  if (char === "quick") return Math.sqrt(x);
+  return x;
+};
+
+const char_inherent_inv = (f, char, R) => {
+  if (char === "eq_pct") return Math.log(1 + f * (R - 1)) / Math.log(R);
+  if (char === "quick") return f * f;
+  return f;
+};
+
+// posisi (%) -> flow (%) dan kebalikannya (init bumpless)
+const valve_flow = (pos, v) => {
+  const f = char_inherent(clamp01(pos / 100), v.char, v.R);
+  return 100 * f / Math.sqrt(v.authority + (1 - v.authority) * f * f);
+};
+
+const valve_flow_inv = (flow, v) => {
+  const q = clamp01(flow / 100);
+  const f = q * Math.sqrt(v.authority / Math.max(1 - (1 - v.authority) * q * q, 1e-12));
+  return 100 * char_inherent_inv(clamp01(f), v.char, v.R);
+};
+
+const char_is_linear = (v) => !v || ((v.char || "linear") === "linear" && !(v.authority < 1));
+
+// segmen split: op (%) -> command valve (%)
+const split_out = (s, op) => {
+  const r = clamp01((op - s.op_lo) / Math.max(s.op_hi - s.op_lo, 1e-9));
+  return s.out_lo + r * (s.out_hi - s.out_lo);
+};
+
+// command valve -> op (kebalikan segmen, untuk init bumpless)
+const split_op = (s, out) => {
+  const r = clamp01((out - s.out_lo) / ((s.out_hi - s.out_lo) || 1e-9));
+  return s.op_lo + r * (s.op_hi - s.op_lo);
+};
+
+const sanitize_split = (segs, mvOwn, where = "Split range") => {
+  if (!Array.isArray(segs) || !segs.length) throw new Error(`${where}: segmen kosong`);
+  const out = segs.map((s, i) => {
+    if (![mvOwn, ...AUX_MVS].includes(s?.mv)) throw new Error(`${where}: segmen #${i + 1} valve tidak valid (${s?.mv})`);
+    const op_lo = clamp(numOr(s.op_lo, 0), 0, 100);
+    const op_hi = clamp(numOr(s.op_hi, 100), 0, 100);
+    if (op_hi <= op_lo) throw new Error(`${where}: segmen #${i + 1} op_hi harus > op_lo`);
+    return {
+      mv: s.mv, op_lo, op_hi,
+      out_lo: clamp(numOr(s.out_lo, 0), 0, 100),
+      out_hi: clamp(numOr(s.out_hi, 100), 0, 100),
+    };
+  });
+  if (!out.some((s) => s.mv === mvOwn)) throw new Error(`${where}: harus ada segmen untuk ${mvOwn}`);
+  if (new Set(out.map((s) => s.mv)).size !== out.length) throw new Error(`${where}: 1 valve hanya boleh 1 segmen`);
+  return out;
+};
+
+// ============================================================
+// 7) METRICS
+// ============================================================
+const calc_iae_itae = (t, sp, pv, normalize = false, span = 1.0) => {
+  const dt = t.length > 1 ? (t[1] - t[0]) : 1.0;
+  let iae = 0.0;
+  let itae = 0.0;
+
+  const safeSpan = Math.max(Number(span), 1e-9);
+
+  for (let i = 0; i < t.length; i++) {
+    let e = Number(sp[i]) - Number(pv[i]);
+    if (normalize) e = e / safeSpan;
+    iae += Math.abs(e) * dt;
+    itae += Number(t[i]) * Math.abs(e) * dt;
+  }
+  return { iae, itae };
+};
+
+const overshoot_percent = (sp, pv) => {
+  const spFinal = Number(sp[sp.length - 1]);
+  if (!Number.isFinite(spFinal) || Math.abs(spFinal) < 1e-9) return null;
+  let peak = -Infinity;
+  for (let i = 0; i < pv.length; i++) peak = Math.max(peak, Number(pv[i]));
+  return Math.max(0.0, ((peak - spFinal) / Math.abs(spFinal)) * 100.0);
+};
+
+// ====== REPLACE THIS FUNCTION ONLY ======
+const settling_time = (t, sp, pv, band = 0.02, hold_s = 60.0) => {
+  if (!t?.length || !sp?.length || !pv?.length) return null;
+
+  const sp0 = Number(sp[0]);
+  const spFinal = Number(sp[sp.length - 1]);
+
+  // 1) Kalau baseline / tidak ada perubahan SP yang bermakna -> N/A (bukan 0)
+  const spStepAbs = Math.abs(spFinal - sp0);
+  const spStepEps = Math.max(1e-6, 0.001 * Math.max(1.0, Math.abs(sp0))); // 0.1% dari SP awal (min 1e-6)
+  if (!Number.isFinite(spStepAbs) || spStepAbs <= spStepEps) return null;
+
+  // 2) Toleransi settling terhadap nilai final
+  const tol = Math.max(Math.abs(spFinal) * Number(band), 1e-6);
+
+  const dt = t.length > 1 ? (Number(t[1]) - Number(t[0])) : 1.0;
+  const hold_n = Math.max(1, Math.round(Number(hold_s) / Math.max(dt, 1e-9)));
+
+  // 3) Wajib: PV harus pernah keluar band final dulu.
+  //    Kalau tidak pernah keluar band -> N/A (bukan 0)
+  let firstOutside = -1;
+  for (let i = 0; i < pv.length; i++) {
+    const v = Number(pv[i]);
+    if (Math.abs(v - spFinal) > tol) { firstOutside = i; break; }
+  }
+  if (firstOutside < 0) return null;
+
+  // 4) Cari waktu pertama ketika PV masuk band dan bertahan hold_s detik
+  for (let i = firstOutside; i < t.length; i++) {
+    const j = i + hold_n;
+    if (j > t.length) break;
+
+    let ok = true;
+    for (let k = i; k < j; k++) {
+      const v = Number(pv[k]);
+      if (Math.abs(v - spFinal) > tol) { ok = false; break; }
+    }
+    if (ok) return Number(t[i]);
+  }
+
+  // Tidak pernah settle sampai akhir simulasi
+  return null;
+};
+
+const gate_stats = (routeArr) => {
+  const r = routeArr.map((x) => (x === "PRODUCT" ? 1 : 0));
+  const frac = r.reduce((a, b) => a + b, 0) / Math.max(1, r.length);
+  let switches = 0;
+  for (let i = 1; i < r.length; i++) if (r[i] !== r[i - 1]) switches++;
+  return { productPct: frac * 100.0, switches };
+};
+
+// ============================================================
+// 8) SIMULATION CORE
+// ============================================================
+
+// loop -> (SP key, PV key, MV key)
+const LOOP_IO = {
+  FIC101: { sp: "F_feed",     pv: "F_feed",     mv: "u_feed" },
+  TIC101: { sp: "T_feed_out", pv: "T_feed_out", mv: "u_steam_pre" },
+  TIC102: { sp: "T_reb",      pv: "T_reb",      mv: "u_steam_reb" },
+  TIC201: { sp: "T_cond_out", pv: "T_cond_out", mv: "u_cw" },
+  FIC201: { sp: "F_reflux",   pv: "F_reflux",   mv: "u_reflux" },
+  LIC201: { sp: "L_v201",     pv: "L_v201",     mv: "u_draw" },
+};
+
+// cascade slave loops (flow) -> SP/PV key. MV = valve milik master (LOOP_IO[master].mv)
+const SLAVE_IO = {
+  FIC102: { sp: "F_steam", pv: "F_steam" },
+  FIC202: { sp: "F_draw",  pv: "F_draw" },
+};
+
+// state simulasi 1 run sebagai stepper: step() maju 1 dt, inject(ev) = aksi operator live.
+// simulate() = jalankan sampai sim_s; mode streaming memanggil step() per chunk (lihat section 15)
+const createSim = (cfg) => {
+  const dt = cfg.SIM.dt;
+  const sim_s = cfg.SIM.sim_s;
+
+  // sub-step plant: n_sub langkah integrasi per dt (MV & disturbance ditahan / ZOH selama dt)
+  const n_sub = cfg.SIM.plant_dt > 0 ? Math.max(1, Math.ceil(dt / cfg.SIM.plant_dt - 1e-9)) : 1;
+  const { plant, tags } = makePlant(cfg, dt / n_sub);
+  plant.reset();
+  const noise = makeNoise(cfg.SIM.seed >>> 0);
+
+  const dist = new DisturbanceGen(Array.isArray(cfg.TEST.dist) ? cfg.TEST.dist : [], dt, cfg.SIM.seed);
+  const faults = new SensorFaults(Array.isArray(cfg.TEST.faults) ? cfg.TEST.faults : [], dt, cfg.SIM.seed, tags);
+
+  const gate = new QualityGate(cfg.GATE);
+  gate.reset();
+
+  const interlocks = makeInterlocks(cfg);
+  let active_prev = new Set();
+  const event_log = [];
+
+  const sp = {
+    F_feed: cfg.SP.F_feed,
+    T_feed_out: cfg.SP.T_feed_out,
+    T_reb: cfg.SP.T_reboiler,
+    T_cond_out: cfg.SP.T_cond_out,
+    F_reflux: cfg.SP.F_reflux,
+    L_v201: cfg.SP.L_v201,
+    F_steam: cfg.SP.F_steam,
+    F_draw: cfg.SP.F_draw,
+  };
+
+  const mv = {
+    u_feed: cfg.MV_INIT.u_feed,
+    u_steam_pre: cfg.MV_INIT.u_steam_pre,
+    u_steam_reb: cfg.MV_INIT.u_steam_reb,
+    u_cw: cfg.MV_INIT.u_cw,
+    u_reflux: cfg.MV_INIT.u_reflux,
+    u_draw: cfg.MV_INIT.u_draw,
+    u_cw_byp: cfg.MV_INIT.u_cw_byp ?? 0.0,
+    force_route: null,
+  };
+
+  // split range aktif: output loop -> command beberapa valve
+  const splits = Object.entries(cfg.SPLIT || {})
+    .filter(([loop, x]) => x?.enable && (loop in LOOP_IO) && Array.isArray(x.segments))
+    .map(([loop, x]) => ({ loop, mv: LOOP_IO[loop].mv, segs: x.segments }));
+  const toCmd = (m) => {
+    if (!splits.length) return m;
+    const c = { ...m };
+    for (const x of splits) for (const s of x.segs) c[s.mv] = split_out(s, m[x.mv]);
+    return c;
+  };
+
+  // karakteristik valve non-linear (key = MV): posisi -> % flow. Valve model off = aktuator linier ideal
+  const chars = {};
+  for (const [id, v] of Object.entries(cfg.VALVE || {})) if ((id in VALVE_MV) && v?.enable && !char_is_linear(v)) chars[VALVE_MV[id]] = v;
+
+  // init bumpless: MV_INIT = % flow nominal plant -> posisi valve -> OP loop (kebalikan segmen split)
+  for (const [k, v] of Object.entries(chars)) mv[k] = valve_flow_inv(mv[k], v);
+  for (const x of splits) mv[x.mv] = split_op(x.segs.find((s) => s.mv === x.mv), mv[x.mv]);
+
+  // valve model aktif (key = MV): command -> posisi valve aktual
+  const valves = makeValves(cfg, toCmd(mv));
+
+  // scan rate per controller: eksekusi tiap scan_n step (dt controller = scan_n * dt), output ditahan di antaranya
+  const scan_n = {};
+  const C = {};
+  for (const name of [...Object.keys(LOOP_IO), ...Object.keys(SLAVE_IO)]) {
+    scan_n[name] = Math.max(1, Math.round(numOr(cfg.LOOP[name].scan, 0) / dt));
+    C[name] = makeController(cfg.LOOP[name], dt * scan_n[name]);
+  }
+  let k_step = 0;
+  const due = (name) => k_step % scan_n[name] === 0;
+  const cas_sp = {}; // output master terakhir (SP slave) per master cascade
+
+  for (const [name, io] of Object.entries(LOOP_IO)) C[name].reset(mv[io.mv]);
+
+  // cascade pairs aktif: master menulis SP slave (output master = % range SP slave)
+  const cascades = Object.entries(cfg.CASCADE || {})
+    .filter(([master, c]) => c?.enable && (master in LOOP_IO) && (c.slave in SLAVE_IO))
+    .map(([master, c]) => ({
+      master,
+      slave: c.slave,
+      lo: Number(c.sp_lo),
+      hi: Number(c.sp_hi),
+    }));
+  const cascadeOf = {};
+  for (const k of cascades) {
+    cascadeOf[k.master] = k;
+    C[k.slave].reset(mv[LOOP_IO[k.master].mv]);
+  }
+
+  // feedforward paths aktif: measured disturbance (PV key) -> output loop
+  const ff_paths = Object.entries(cfg.FF || {})
+    .filter(([, f]) => f?.enable && (f.loop in LOOP_IO))
+    .map(([id, f]) => ({ id, src: f.src, loop: f.loop, block: new LeadLagFF({ ...f, dt }) }));
+
+  const toPct   = (k, x) => ((Number(x) - k.lo) / Math.max(k.hi - k.lo, 1e-9)) * 100.0;
+  const fromPct = (k, u) => k.lo + (Number(u) / 100.0) * (k.hi - k.lo);
+
+  // operator mode per loop: "AUTO" | "MAN" | "CAS" (CAS hanya untuk slave cascade aktif)
+  // man_out = output manual (% valve; master cascade: % SP slave)
+  const slaveOf = {};
+  for (const k of cascades) slaveOf[k.slave] = k;
+
+  const normMode = (name, m) => {
+    if (m === "MAN") return "MAN";
+    if (slaveOf[name]) return (m === "AUTO") ? "AUTO" : "CAS";
+    return "AUTO";
+  };
+
+  const mode = {};
+  const man_out = {};
+  for (const [name, io] of Object.entries(LOOP_IO)) {
+    mode[name] = normMode(name, cfg.LOOP[name].mode);
+    man_out[name] = clamp(numOr(cfg.LOOP[name].man_out, mv[io.mv]), 0, 100);
+  }
+  for (const k of cascades) {
+    mode[k.slave] = normMode(k.slave, cfg.LOOP[k.slave].mode);
+    man_out[k.slave] = man_out[k.master];
+    man_out[k.master] = clamp(numOr(cfg.LOOP[k.master].man_out, toPct(k, sp[SLAVE_IO[k.slave].sp])), 0, 100);
+  }
+
+  // jadwal mode change / manual move dari cfg.TEST (diurutkan per waktu)
+  const byTime = (a, b) => Number(a.t) - Number(b.t);
+  const mode_changes = (Array.isArray(cfg.TEST.mode_changes) ? [...cfg.TEST.mode_changes] : []).sort(byTime);
+  const man_moves = (Array.isArray(cfg.TEST.man_moves) ? [...cfg.TEST.man_moves] : []).sort(byTime);
+  const il_resets = (Array.isArray(cfg.TEST.il_resets) ? [...cfg.TEST.il_resets] : []).sort(byTime);
+  const il_bypass = (Array.isArray(cfg.TEST.il_bypass) ? [...cfg.TEST.il_bypass] : []).sort(byTime);
+
+  // trip interlock (kondisi trip + delay terpenuhi): { t, id, high (cmp > / >=), bypassed }
+  const trip_log = [];
+
+  // audit bypass: interval [t_on, t_off] per interlock (t_off null = masih aktif di akhir run)
+  const bypass_log = [];
+  const setBypass = (il, on, t, why) => {
+    if (on) {
+      if (il.bypass_until !== null) return;
+      il.bypass_until = t + il.bypass_max;
+      bypass_log.push({ id: il.id, name: il.name, t_on: t, t_off: null, reason: why });
+      event_log.push([t, `BYPASS_ON: ${il.name} (${why}, max ${il.bypass_max}s)`]);
+    } else {
+      if (il.bypass_until === null) return;
+      il.bypass_until = null;
+      const b = bypass_log.findLast((x) => x.id === il.id && x.t_off === null);
+      if (b) b.t_off = t;
+      event_log.push([t, `BYPASS_OFF: ${il.name} (${why})`]);
+    }
+  };
+  for (const il of interlocks) if (il.bypass) setBypass(il, true, 0.0, "config");
+  let i_mode = 0, i_move = 0, i_reset = 0, i_bypass = 0;
+
+  // relay experiment (auto-tune): output loop = u0 +/- h, switch pada |e| > eps (hysteresis)
+  const relay = (cfg.TEST.relay && (cfg.TEST.relay.loop in LOOP_IO)) ? {
+    loop: cfg.TEST.relay.loop,
+    t_start: numOr(cfg.TEST.relay.t_start, 0.0),
+    h: Math.abs(numOr(cfg.TEST.relay.h, 5.0)),
+    eps: Math.abs(numOr(cfg.TEST.relay.eps, 0.0)),
+    u0: null,
+    state: 1,
+  } : null;
+
+  // bad-PV: PV quality BAD -> controller melihat nilai good terakhir + kebijakan per loop
+  //   cfg.LOOP[name].bad_pv: "HOLD" (output ditahan) | "MAN" (pindah manual) | "FAILSAFE" (output = fs_out %)
+  const pv_good = {};
+  const bad_pv = {};
+  const pvKeyOf = (name) => (LOOP_IO[name] || SLAVE_IO[name]).pv;
+
+  // output loop saat ini (untuk transisi bumpless ke MAN)
+  const currentOut = (name) => {
+    if (cascadeOf[name]) return toPct(cascadeOf[name], sp[SLAVE_IO[cascadeOf[name].slave].sp]);
+    if (slaveOf[name]) return mv[LOOP_IO[slaveOf[name].master].mv];
+    return mv[LOOP_IO[name].mv];
+  };
+
+  let init_done = false;
+
+  // output pengganti saat PV BAD (null = kontrol normal)
+  const badOut = (name) => {
+    if (!bad_pv[name] || mode[name] === "MAN") return null;
+    const L = cfg.LOOP[name];
+    return L.bad_pv === "FAILSAFE" ? clamp(numOr(L.fs_out, 0.0), 0, 100) : currentOut(name);
+  };
+
+  // PV: 1 kolom per tag backend (makePlant(...).tags)
+  const log = {
+    t: [],
+    ...Object.fromEntries(Object.keys(tags).map((k) => [k, []])),
+    analyzer_ok: [],
+    SP_F_feed: [], SP_T_feed_out: [], SP_T_reb: [], SP_T_cond_out: [], SP_F_reflux: [], SP_L_v201: [],
+    SP_F_steam: [], SP_F_draw: [],
+    u_feed: [], u_steam_pre: [], u_steam_reb: [], u_cw: [], u_reflux: [], u_draw: [],
+    dTsub: [], route: [],
+    dist: {}, // nilai total disturbance per target aktif (overlay chart)
+    vp: {},   // posisi valve aktual per MV (hanya valve model aktif)
+    split: {}, // command valve per segmen split range
+  };
+  for (const k of Object.keys(valves)) log.vp[k] = [];
+  for (const x of splits) for (const s of x.segs) log.split[s.mv] = [];
+  if (relay) log.relay_u = [];
+
+  // target yang dicatat: generator + step disturbance lama yang amplitudonya != 0
+  const legacy_dist = [
+    ["d_feed_temp", "t_feed_dist", "d_feed_temp"],
+    ["d_vapor", "t_vapor_dist", "d_vapor"],
+    ["d_steam_press", "t_steam_dist", "d_steam_press"],
+    ["cw_degrade_drop", "t_cw_degrade", "cw_degrade_drop"],
+  ];
+  for (const k of dist.targets()) log.dist[k] = [];
+  for (const [k, , amp] of legacy_dist) if (Number(cfg.TEST[amp]) && !log.dist[k]) log.dist[k] = [];
+
+  let route_prev = "RECYCLE";
+  const steps = (Array.isArray(cfg.TEST.sp_steps) ? [...cfg.TEST.sp_steps] : []).sort(byTime);
+
+  let t_an_fail = cfg.TEST.analyzer_fail_enable ? Number(cfg.TEST.t_analyzer_fail) : Infinity;
+  let sp_target_now = { ...sp };
+  let ti = 0;
+
+  const tick = () => {
+    const dv = dist.update(ti);
+    for (const [k, tk, amp] of legacy_dist) dv[k] = (dv[k] || 0.0) + step(ti, cfg.TEST[tk], cfg.TEST[amp]);
+
+    dv.analyzer_ok = ti < t_an_fail;
+
+    const sp_target = {
+      F_feed: cfg.SP.F_feed,
+      T_feed_out: cfg.SP.T_feed_out,
+      T_reb: cfg.SP.T_reboiler,
+      T_cond_out: cfg.SP.T_cond_out,
+      F_reflux: cfg.SP.F_reflux,
+      L_v201: cfg.SP.L_v201,
+      F_steam: cfg.SP.F_steam,
+      F_draw: cfg.SP.F_draw,
+    };
+
+    // step dengan rate (sp_ramp) mengganti rate limit key tsb sampai step berikutnya
+    const rate_sp = {};
+    for (const s of steps) {
+      if (ti >= Number(s.t)) {
+        const k = s.key;
+        if (!(k in sp_target)) continue; // robust: ignore unknown key
+        sp_target[k] = Number(sp_target[k]) + Number(s.delta);
+        rate_sp[k] = (s.rate !== undefined) ? Math.abs(Number(s.rate)) : undefined;
+      }
+    }
+
+    sp.F_feed     = ramp(sp.F_feed,     sp_target.F_feed,     rate_sp.F_feed     ?? cfg.RAMP.rate_F_feed,     dt);
+    sp.T_feed_out = ramp(sp.T_feed_out, sp_target.T_feed_out, rate_sp.T_feed_out ?? cfg.RAMP.rate_T_feed_out, dt);
+    sp.T_reb      = ramp(sp.T_reb,      sp_target.T_reb,      rate_sp.T_reb      ?? cfg.RAMP.rate_T_reboiler, dt);
+    sp.T_cond_out = ramp(sp.T_cond_out, sp_target.T_cond_out, rate_sp.T_cond_out ?? cfg.RAMP.rate_T_cond_out, dt);
+    sp.F_reflux   = ramp(sp.F_reflux,   sp_target.F_reflux,   rate_sp.F_reflux   ?? cfg.RAMP.rate_F_reflux,   dt);
+    sp.L_v201     = ramp(sp.L_v201,     sp_target.L_v201,     rate_sp.L_v201     ?? cfg.RAMP.rate_L_v201,     dt);
+    sp.F_steam    = ramp(sp.F_steam,    sp_target.F_steam,    rate_sp.F_steam    ?? cfg.RAMP.rate_F_steam,    dt);
+    sp.F_draw     = ramp(sp.F_draw,     sp_target.F_draw,     rate_sp.F_draw     ?? cfg.RAMP.rate_F_draw,     dt);
+    sp_target_now = sp_target;
+
+    // OP controller -> split range -> valve model -> karakteristik (% flow, input plant)
+    const cmd = toCmd(mv);
+    let mv_plant = cmd;
+    for (const [k, v] of Object.entries(valves)) mv_plant = { ...mv_plant, [k]: v.update(cmd[k]) };
+    for (const [k, v] of Object.entries(chars)) mv_plant = { ...mv_plant, [k]: valve_flow(mv_plant[k], v) };
+
+    // disturbance MV: offset aditif % bukaan valve (mis. passing/bocor), tidak terlihat di output controller
+    for (const k of DIST_MVS) if (dv[k]) mv_plant = { ...mv_plant, [k]: mv_plant[k] + dv[k] };
+
+    let pv = plant.update(mv_plant, dv);
+    for (let j = 1; j < n_sub; j++) pv = plant.update(mv_plant, dv);
+    if (cfg.SIM.noise) for (const [k, tg] of Object.entries(tags)) if (tg.noise) pv[k] += noise(k) * tg.noise;
+    // disturbance sensor: aditif ke pengukuran (dilihat controller, gate & interlock)
+    for (const k of DIST_SENSORS) if (dv[k]) pv[k] += dv[k];
+
+    // sensor fault (bias/drift/frozen/spike/noise/bad) + quality
+    const { quality, changed } = faults.apply(ti, pv);
+    for (const [f, on] of changed) {
+      event_log.push([ti, `SENSOR_FAULT_${on ? "ON" : "OFF"}: ${f.sensor} ${f.fault}${f.fault === "frozen" ? "" : ` ${f.value}`}`]);
+    }
+    if (quality.TT201 === false || quality.T_cond_out === false) quality.dTsub = false;
+    const good = (k) => quality[k] !== false;
+
+    const dTsub = pv.TT201 - pv.T_cond_out;
+    const pvc = { ...pv };
+    for (const k of Object.keys(pv)) {
+      if (good(k)) pv_good[k] = pv[k];
+      else pvc[k] = pv_good[k] ?? pv[k];
+    }
+
+    while (i_mode < mode_changes.length && ti >= Number(mode_changes[i_mode].t)) {
+      const { loop, mode: m } = mode_changes[i_mode++];
+      if (!(loop in mode)) continue; // robust: loop tidak ada / slave cascade tidak aktif
+      const m_new = normMode(loop, m);
+      if (m_new === mode[loop]) continue;
+      if (m_new === "MAN") man_out[loop] = currentOut(loop);
+      event_log.push([ti, `MODE: ${loop} ${mode[loop]} -> ${m_new}`]);
+      mode[loop] = m_new;
+    }
+
+    for (const name of Object.keys(mode)) {
+      const k = pvKeyOf(name);
+      const b = !good(k);
+      if (b === !!bad_pv[name]) continue;
+      bad_pv[name] = b;
+      if (!b) {
+        event_log.push([ti, `PV_GOOD: ${name} (${k})`]);
+        continue;
+      }
+      const pol = cfg.LOOP[name].bad_pv || "HOLD";
+      event_log.push([ti, `BAD_PV: ${name} (${k}) -> ${pol}`]);
+      if (pol === "MAN" && mode[name] !== "MAN") {
+        man_out[name] = currentOut(name);
+        event_log.push([ti, `MODE: ${name} ${mode[name]} -> MAN (bad PV)`]);
+        mode[name] = "MAN";
+      }
+    }
+
+    if (relay && ti >= relay.t_start) {
+      const io = LOOP_IO[relay.loop];
+      if (relay.u0 === null) {
+        relay.u0 = currentOut(relay.loop);
+        mode[relay.loop] = "MAN";
+        event_log.push([ti, `RELAY_START: ${relay.loop} u0=${relay.u0.toFixed(1)}% h=${relay.h}`]);
+      }
+      mode[relay.loop] = "MAN";
+      const e = C[relay.loop]._err(sp[io.sp], pvc[io.pv]);
+      if (e > relay.eps) relay.state = 1;
+      else if (e < -relay.eps) relay.state = -1;
+      man_out[relay.loop] = clamp(relay.u0 + relay.state * relay.h, 0, 100);
+    }
+
+    while (i_move < man_moves.length && ti >= Number(man_moves[i_move].t)) {
+      const mvm = man_moves[i_move++];
+      if (!(mvm.loop in mode)) continue;
+      if (mode[mvm.loop] !== "MAN") {
+        event_log.push([ti, `MAN_MOVE_IGNORED: ${mvm.loop} (mode ${mode[mvm.loop]})`]);
+        continue;
+      }
+      const target = (mvm.out !== undefined) ? numOr(mvm.out, man_out[mvm.loop]) : man_out[mvm.loop] + numOr(mvm.delta, 0.0);
+      man_out[mvm.loop] = clamp(target, 0, 100);
+      event_log.push([ti, `MAN_MOVE: ${mvm.loop} out=${man_out[mvm.loop].toFixed(1)}%`]);
+    }
+
+    const ff = {};
+    for (const f of ff_paths) {
+      const x = Number(pvc[f.src]);
+      ff[f.loop] = (ff[f.loop] ?? 0.0) + (Number.isFinite(x) ? f.block.update(x) : f.block.y);
+    }
+
+    if (!init_done) {
+      for (const [name, io] of Object.entries(LOOP_IO)) {
+        const k = cascadeOf[name];
+        if (!k) {
+          C[name].track(mv[io.mv], sp[io.sp], pvc[io.pv]);
+          continue;
+        }
+        // master/slave init: slave tracks valve, master tracks SP slave yang sedang berlaku
+        const s_io = SLAVE_IO[k.slave];
+        C[k.slave].track(mv[io.mv], sp[s_io.sp], pvc[s_io.pv]);
+        C[name].track(toPct(k, sp[s_io.sp]), sp[io.sp], pvc[io.pv]);
+      }
+      init_done = true;
+    }
+
+    for (const [name, io] of Object.entries(LOOP_IO)) {
+      const u_ff = ff[name] ?? 0.0;
+      const k = cascadeOf[name];
+      if (!k) {
+        const ob = badOut(name);
+        if (mode[name] === "MAN") {
+          // MAN: valve = output manual, kontroler tracking (bumpless balik ke AUTO)
+          mv[io.mv] = man_out[name];
+          C[name].track(mv[io.mv], sp[io.sp], pvc[io.pv], u_ff);
+        } else if (ob !== null) {
+          // PV BAD (HOLD / FAILSAFE): output pengganti, kontroler tracking
+          mv[io.mv] = ob;
+          C[name].track(ob, sp[io.sp], pvc[io.pv], u_ff);
+        } else {
+          if (due(name)) mv[io.mv] = C[name].update(sp[io.sp], pvc[io.pv], u_ff);
+        }
+        continue;
+      }
+
+      const s_io = SLAVE_IO[k.slave];
+      const M = C[name], S = C[k.slave];
+      const sp_held = cas_sp[name];
+      delete cas_sp[name];
+
+      // PV slave BAD (HOLD / FAILSAFE): valve pengganti, master ikut seperti slave MAN
+      const ob_s = badOut(k.slave);
+      if (ob_s !== null && mode[k.slave] !== "MAN") {
+        mv[io.mv] = ob_s;
+        S.track(ob_s, sp[s_io.sp], pvc[s_io.pv]);
+        M.track(toPct(k, sp[s_io.sp]), sp[io.sp], pvc[io.pv], u_ff);
+        continue;
+      }
+
+      if (mode[k.slave] === "MAN") {
+        // slave manual: valve ditahan, SP slave & master ikut PV slave (bumpless balik)
+        mv[io.mv] = man_out[k.slave];
+        sp[s_io.sp] = pvc[s_io.pv];
+        S.track(mv[io.mv], sp[s_io.sp], pvc[s_io.pv]);
+        M.track(toPct(k, pvc[s_io.pv]), sp[io.sp], pvc[io.pv], u_ff);
+        man_out[name] = toPct(k, pvc[s_io.pv]);
+        continue;
+      }
+
+      if (mode[k.slave] === "CAS") {
+        const ob_m = badOut(name);
+        if (mode[name] === "MAN") {
+          M.track(man_out[name], sp[io.sp], pvc[io.pv], u_ff);
+          sp[s_io.sp] = fromPct(k, man_out[name]);
+        } else if (ob_m !== null) {
+          // PV master BAD: SP slave ditahan (HOLD) / fs_out % range SP slave (FAILSAFE)
+          M.track(ob_m, sp[io.sp], pvc[io.pv], u_ff);
+          sp[s_io.sp] = fromPct(k, ob_m);
+        } else {
+          // SP slave ditahan antar scan master; baru masuk CAS -> langsung eksekusi (master sudah tracking)
+          cas_sp[name] = (due(name) || sp_held === undefined) ? fromPct(k, M.update(sp[io.sp], pvc[io.pv], u_ff)) : sp_held;
+          sp[s_io.sp] = cas_sp[name];
+        }
+      } else {
+        // slave AUTO: SP lokal, master tracking
+        M.track(toPct(k, sp[s_io.sp]), sp[io.sp], pvc[io.pv], u_ff);
+        man_out[name] = toPct(k, sp[s_io.sp]);
+      }
+
+      if (due(k.slave)) mv[io.mv] = S.update(sp[s_io.sp], pvc[s_io.pv]);
+
+      // windup protection: slave saturasi -> output master ikut PV slave
+      if (mode[k.slave] === "CAS" && mode[name] !== "MAN" && S.saturated) {
+        M.track(toPct(k, pvc[s_io.pv]), sp[io.sp], pvc[io.pv]);
+      }
+    }
+
+    const mv_before_il = {
+      u_feed: mv.u_feed,
+      u_steam_pre: mv.u_steam_pre,
+      u_steam_reb: mv.u_steam_reb,
+      u_cw: mv.u_cw,
+      u_reflux: mv.u_reflux,
+      u_draw: mv.u_draw
+    };
+
+    // PV gate BAD -> kualitas tidak terverifikasi -> RECYCLE (sama seperti analyzer fail)
+    const permissive_ok = good("L_v201") && (cfg.GATE.perm_L_min < pv.L_v201 && pv.L_v201 < cfg.GATE.perm_L_max);
+    const gate_pv_ok = pv.analyzer_ok && ["rho15", "TT106", "dTsub"].every(good);
+    let route = gate.update(dt, pv.TT106, pv.rho15, dTsub, gate_pv_ok, permissive_ok);
+
+    mv.force_route = null;
+    const active_now = new Set();
+
+    while (i_bypass < il_bypass.length && ti >= Number(il_bypass[i_bypass].t)) {
+      const { id, on } = il_bypass[i_bypass++];
+      for (const il of interlocks) if (id === "ALL" || il.id === id) setBypass(il, on, ti, "jadwal");
+    }
+    for (const il of interlocks) {
+      if (il.bypass_until !== null && ti >= il.bypass_until) setBypass(il, false, ti, "durasi maksimum habis");
+    }
+
+    const pv_for_il = { ...pv, dTsub };
+    for (const il of interlocks) {
+      const was = il.active;
+      il.update(dt, pv_for_il, !good(il.tag));
+      if (!il.active || was) continue;
+      trip_log.push({ t: ti, id: il.id, high: il.cmp === ">=" || il.cmp === ">", bypassed: il.bypass_until !== null });
+      if (il.bypass_until !== null) event_log.push([ti, `INTERLOCK_SUPPRESSED: ${il.name} (bypass)`]);
+    }
+
+    while (i_reset < il_resets.length && ti >= Number(il_resets[i_reset].t)) {
+      const { id } = il_resets[i_reset++];
+      for (const il of interlocks) {
+        if ((id !== "ALL" && il.id !== id) || !il.active || !il.latch) continue;
+        if (il.operatorReset()) event_log.push([ti, `INTERLOCK_RESET: ${il.name}`]);
+        else event_log.push([ti, `INTERLOCK_RESET_REJECTED: ${il.name} (kondisi trip masih ada)`]);
+      }
+    }
+
+    for (const il of interlocks) {
+      if (!il.active || il.bypass_until !== null) continue;
+      active_now.add(il.name);
+      il.act(mv);
+    }
+
+    const eps = 1e-6;
+
+    for (const [name, io] of Object.entries(LOOP_IO)) {
+      if (Math.abs(mv[io.mv] - mv_before_il[io.mv]) <= eps) continue;
+      const k = cascadeOf[name];
+      if (!k) {
+        C[name].track(mv[io.mv], sp[io.sp], pvc[io.pv]);
+        continue;
+      }
+      const s_io = SLAVE_IO[k.slave];
+      C[k.slave].track(mv[io.mv], sp[s_io.sp], pvc[s_io.pv]);
+      C[name].track(toPct(k, pvc[s_io.pv]), sp[io.sp], pvc[io.pv]);
+    }
+
+    if (mv.force_route === "RECYCLE" || mv.force_route === "PRODUCT") route = mv.force_route;
+
+    if (route !== route_prev) {
+      event_log.push([ti, `GATE_SWITCH: ${route_prev} -> ${route}`]);
+      route_prev = route;
+    }
+
+    const became_active = [...active_now].filter((x) => !active_prev.has(x));
+    const became_clear  = [...active_prev].filter((x) => !active_now.has(x));
+
+    // first-out: trip pertama sejak semua interlock clear (urutan tabel jika bersamaan)
+    if (!active_prev.size && became_active.length) event_log.push([ti, `INTERLOCK_FIRST_OUT: ${became_active[0]}`]);
+
+    for (const name of became_active) event_log.push([ti, `INTERLOCK_ON: ${name}`]);
+    for (const name of became_clear)  event_log.push([ti, `INTERLOCK_OFF: ${name}`]);
+
+    active_prev = active_now;
+
+    log.t.push(ti);
+
+    for (const k of Object.keys(tags)) log[k].push(pv[k]);
+    log.analyzer_ok.push(pv.analyzer_ok ? 1 : 0);
+
+    log.SP_F_feed.push(sp.F_feed);
+    log.SP_T_feed_out.push(sp.T_feed_out);
+    log.SP_T_reb.push(sp.T_reb);
+    log.SP_T_cond_out.push(sp.T_cond_out);
+    log.SP_F_reflux.push(sp.F_reflux);
+    log.SP_L_v201.push(sp.L_v201);
+    log.SP_F_steam.push(sp.F_steam);
+    log.SP_F_draw.push(sp.F_draw);
+
+    log.u_feed.push(mv.u_feed);
+    log.u_steam_pre.push(mv.u_steam_pre);
+    log.u_steam_reb.push(mv.u_steam_reb);
+    log.u_cw.push(mv.u_cw);
+    log.u_reflux.push(mv.u_reflux);
+    log.u_draw.push(mv.u_draw);
+
+    log.dTsub.push(dTsub);
+    log.route.push(route);
+    for (const k of Object.keys(log.dist)) log.dist[k].push(dv[k] || 0.0);
+    for (const [k, v] of Object.entries(valves)) log.vp[k].push(v.pos);
+    if (splits.length) {
+      const cmd_now = toCmd(mv);
+      for (const k of Object.keys(log.split)) log.split[k].push(cmd_now[k]);
+    }
+
+    if (relay) log.relay_u.push(relay.u0 === null ? null : man_out[relay.loop]);
+
+    ti += dt;
+    k_step++;
+  };
+
+  // jadwal terurut waktu: event baru disisipkan setelah semua event dengan t <= t baru
+  const insertByTime = (arr, x) => {
+    let i = arr.length;
+    while (i > 0 && Number(arr[i - 1].t) > x.t) i--;
+    arr.splice(i, 0, x);
+  };
+  const addDist = (d) => {
+    dist.add(d);
+    if (!log.dist[d.target]) log.dist[d.target] = new Array(log.t.length).fill(0.0);
+  };
+
+  // aksi operator live: event format skenario (sudah disanitasi), berlaku mulai step berikutnya (t = ti)
+  const inject = (ev) => {
+    const t = ti;
+    const { t: _t, type, ...f } = ev;
+    switch (type) {
+      case "sp_step":
+      case "sp_ramp": insertByTime(steps, { t, key: f.key, delta: f.delta, ...(type === "sp_ramp" ? { rate: f.rate } : {}) }); break;
+      case "disturbance": addDist({ ...sanitize_dist({ target: f.key, shape: "step", amp: f.value }), t0: t }); break;
+      case "dist": addDist({ ...f, t0: t }); break;
+      case "analyzer_fail": t_an_fail = Math.min(t_an_fail, t); break;
+      case "mode": insertByTime(mode_changes, { t, loop: f.loop, mode: f.mode }); break;
+      case "man_move": insertByTime(man_moves, { t, loop: f.loop, ...(f.out !== undefined ? { out: f.out } : { delta: f.delta }) }); break;
+      case "il_bypass": insertByTime(il_bypass, { t, id: f.id, on: f.on }); break;
+      case "il_reset": insertByTime(il_resets, { t, id: f.id }); break;
+      case "sensor_fault": faults.add({ ...f, t0: t }); break;
+      default: return;
+    }
+    const args = Object.entries(f).filter(([k]) => k !== "points").map(([k, v]) => `${k}=${v}`).join(" ");
+    event_log.push([t, `OPERATOR: ${type}${args ? ` ${args}` : ""}`]);
+  };
+
+  // ===== SNAPSHOT: state dinamis seluruh run di t (JSON-able, tanpa log) =====
+  // schedule ikut disimpan (aksi operator live sudah masuk ke dalamnya); Infinity -> null
+  const snapshot = () => {
+    if (typeof plant.state !== "function") throw new Error(`Plant "${cfg.PLANT?.backend}" tidak mendukung snapshot`);
+    const copy = (o) => JSON.parse(JSON.stringify(o));
+    return {
+      t: ti, k_step,
+      plant: plant.state(),
+      noise: noise.state(),
+      dist: dist.state(),
+      faults: faults.state(),
+      gate: gate.state(),
+      interlocks: interlocks.map((il) => il.state()),
+      valves: Object.fromEntries(Object.entries(valves).map(([k, v]) => [k, v.state()])),
+      ctrl: Object.fromEntries(Object.entries(C).map(([k, c]) => [k, c.state()])),
+      ff: ff_paths.map((f) => f.block.state()),
+      sp: { ...sp }, sp_target: { ...sp_target_now }, mv: { ...mv }, mode: { ...mode }, man_out: { ...man_out },
+      cas_sp: { ...cas_sp }, pv_good: { ...pv_good }, bad_pv: { ...bad_pv },
+      relay: relay ? { u0: relay.u0, state: relay.state } : null,
+      init_done, route_prev, active_prev: [...active_prev],
+      t_an_fail: Number.isFinite(t_an_fail) ? t_an_fail : null,
+      sched: copy({ steps, mode_changes, man_moves, il_resets, il_bypass }),
+      idx: { i_mode, i_move, i_reset, i_bypass },
+      bypass_log: copy(bypass_log),
+    };
+  };
+
+  // restore state snapshot ke sim ini (dibuat dari cfg snapshot / cfg branch dengan struktur sama)
+  // retrack: kontroler di-init ulang bumpless pada step berikutnya (tuning berubah saat branching)
+  const load = (s, retrack = false) => {
+    const keysEq = (a, b) => JSON.stringify(Object.keys(a).sort()) === JSON.stringify(Object.keys(b).sort());
+    if (!keysEq(s.valves, valves) || !keysEq(s.ctrl, C) || s.ff.length !== ff_paths.length || s.interlocks.length !== interlocks.length) {
+      throw new Error("Snapshot tidak cocok dengan konfigurasi (valve / loop / FF / interlock berbeda)");
+    }
+    if (typeof plant.load !== "function") throw new Error(`Plant "${cfg.PLANT?.backend}" tidak mendukung restore`);
+
+    ti = s.t;
+    k_step = s.k_step;
+    plant.load(s.plant);
+    noise.load(s.noise);
+    dist.load(s.dist);
+    faults.load(s.faults);
+    gate.load(s.gate);
+    interlocks.forEach((il, i) => il.load(s.interlocks[i]));
+    for (const [k, v] of Object.entries(valves)) v.load(s.valves[k]);
+    for (const [k, c] of Object.entries(C)) c.load(s.ctrl[k]);
+    ff_paths.forEach((f, i) => f.block.load(s.ff[i]));
+
+    Object.assign(sp, s.sp);
+    sp_target_now = { ...s.sp_target };
+    Object.assign(mv, s.mv);
+    Object.assign(mode, s.mode);
+    Object.assign(man_out, s.man_out);
+    for (const k of Object.keys(cas_sp)) delete cas_sp[k];
+    Object.assign(cas_sp, s.cas_sp);
+    Object.assign(pv_good, s.pv_good);
+    Object.assign(bad_pv, s.bad_pv);
+    if (relay && s.relay) Object.assign(relay, s.relay);
+    init_done = s.init_done && !retrack;
+    route_prev = s.route_prev;
+    active_prev = new Set(s.active_prev);
+    t_an_fail = s.t_an_fail ?? Infinity;
+    for (const [k, arr] of Object.entries({ steps, mode_changes, man_moves, il_resets, il_bypass })) arr.splice(0, arr.length, ...s.sched[k]);
+    ({ i_mode, i_move, i_reset, i_bypass } = s.idx);
+    bypass_log.splice(0, bypass_log.length, ...s.bypass_log.map((b) => ({ ...b })));
+
+    // log mulai di t snapshot: target disturbance mengikuti item hasil restore
+    for (const k of Object.keys(log.dist)) delete log.dist[k];
+    for (const k of dist.targets()) log.dist[k] = [];
+    for (const [k, , amp] of legacy_dist) if (Number(cfg.TEST[amp]) && !log.dist[k]) log.dist[k] = [];
+    event_log.push([ti, `RESTORE: snapshot t=${ti}s${retrack ? " (tuning baru, bumpless)" : ""}`]);
+  };
+
+  return {
+    cfg, log, event_log, bypass_log, trip_log,
+    step: tick,
+    inject,
+    snapshot,
+    load,
+    get t() { return ti; },
+    get done() { return ti > sim_s; },
+    sp_target: (key) => sp_target_now[key],
+  };
+};
+
+const simulate = (cfg) => {
+  const sim = createSim(cfg);
+  while (!sim.done) sim.step();
+  const { log, event_log, bypass_log, trip_log } = sim;
+  return { log, event_log, bypass_log, trip_log };
+};
+
+// ============================================================
+// 9) METRIC SUMMARY (per loop)
+// ============================================================
+const summarize_metrics = (log, cfg) => {
+  const t = log.t;
+  const use_norm = cfg.METRIC.normalize_error;
+  const spans = cfg.METRIC.span;
+
+  const one = (loopName, spKey, pvKey) => {
+    const sp = log[spKey];
+    const pv = log[pvKey];
+
+    const { iae, itae } = calc_iae_itae(t, sp, pv, use_norm, spans[loopName]);
+    const os = overshoot_percent(sp, pv);
+    const st = settling_time(t, sp, pv, cfg.METRIC.settle_band, cfg.METRIC.settle_hold_s);
+
+    return { IAE: iae, ITAE: itae, OvershootPct: os, SettlingTime: st };
+  };
+
+  const mapping = [
+    ["T_feed_out", "SP_T_feed_out", "T_feed_out"],
+    ["T_reb",      "SP_T_reb",      "T_reb"],
+    ["T_cond_out", "SP_T_cond_out", "T_cond_out"],
+    ["F_feed",     "SP_F_feed",     "F_feed"],
+    ["F_reflux",   "SP_F_reflux",   "F_reflux"],
+    ["L_v201",     "SP_L_v201",     "L_v201"],
+  ];
+
+  return mapping.map(([name, spk, pvk]) => ({ name, ...one(name, spk, pvk) }));
+};
+
+// ============================================================
+// 10) MODE UJI (TEST SUITE)
+// ============================================================
+// format skenario + library default: lihat src/scenarios.js
+
+// disturbance key -> key waktu di cfg.TEST
+const DIST_TIME_KEY = {
+  d_feed_temp: "t_feed_dist",
+  d_vapor: "t_vapor_dist",
+  d_steam_press: "t_steam_dist",
+  cw_degrade_drop: "t_cw_degrade",
+};
+
+// validasi + normalisasi 1 skenario (dari UI / file). Error -> throw dengan nama skenario
+// 1 event timeline (format src/scenarios.js); dipakai skenario & aksi operator live (streaming)
+const sanitize_event = (ev, where = "Event") => {
+  const fail = (msg) => { throw new Error(`${where}: ${msg}`); };
+  const t = Number(ev?.t);
+  if (!Number.isFinite(t) || t < 0) fail("t tidak valid");
+  if (!(ev.type in SCENARIO_EVENT_TYPES)) fail(`type tidak dikenal (${ev.type})`);
+
+  const out = { t, type: ev.type };
+  switch (ev.type) {
+    case "sp_step":
+    case "sp_ramp":
+      if (!SP_KEYS.includes(ev.key)) fail(`SP key tidak dikenal (${ev.key})`);
+      out.key = ev.key;
+      out.delta = numOr(ev.delta, 0.0);
+      if (ev.type === "sp_ramp") out.rate = Math.max(1e-6, Math.abs(numOr(ev.rate, 0.05)));
+      break;
+    case "disturbance":
+      if (!DIST_KEYS.includes(ev.key)) fail(`disturbance tidak dikenal (${ev.key})`);
+      out.key = ev.key;
+      out.value = numOr(ev.value, 0.0);
+      break;
+    case "mode":
+      if (!["AUTO", "MAN", "CAS"].includes(ev.mode)) fail(`mode tidak valid (${ev.mode})`);
+      out.loop = String(ev.loop);
+      out.mode = ev.mode;
+      break;
+    case "man_move":
+      out.loop = String(ev.loop);
+      if (ev.out !== undefined) out.out = clamp(numOr(ev.out, 50.0), 0, 100);
+      else out.delta = numOr(ev.delta, 0.0);
+      break;
+    case "il_bypass":
+      out.id = String(ev.id ?? "ALL");
+      out.on = boolOr(ev.on, true);
+      break;
+    case "il_reset":
+      out.id = String(ev.id ?? "ALL");
+      break;
+    case "dist": {
+      const d = sanitize_dist({ ...ev, t0: t }, where);
+      delete d.t0; // waktu mulai = t event
+      Object.assign(out, d);
+      break;
+    }
+    case "sensor_fault": {
+      const f = sanitize_fault({ ...ev, t0: t }, where);
+      delete f.t0;
+      Object.assign(out, f);
+      break;
+    }
+    default:
+      break;
+  }
+  return out;
+};
+
+const sanitize_scenario = (sc, idx = 0) => {
+  if (!sc || typeof sc !== "object") throw new Error(`Skenario #${idx + 1}: bukan object`);
+  const name = String(sc.name ?? "").trim();
+  if (!name) throw new Error(`Skenario #${idx + 1}: name kosong`);
+
+  const events = (Array.isArray(sc.events) ? sc.events : []).map((ev, k) => sanitize_event(ev, `Skenario ${name}: event #${k + 1}`));
+
+  const res = { name, desc: String(sc.desc ?? ""), events };
+  if (sc.loop !== undefined && sc.loop in LOOP_IO) res.loop = sc.loop;
+  if (sc.noise !== undefined) res.noise = boolOr(sc.noise, false);
+  if (sc.sim_s !== undefined) res.sim_s = clamp(numOr(sc.sim_s, 3600), 600, 7200);
+  if (sc.ff_compare !== undefined) res.ff_compare = boolOr(sc.ff_compare, false);
+  if (sc.enabled !== undefined) res.enabled = boolOr(sc.enabled, true);
+  if (sc.criteria && typeof sc.criteria === "object") res.criteria = sanitize_criteria(sc.criteria);
+  return res;
+};
+
+// acceptance criteria (semua opsional, lihat src/scenarios.js). Nilai tidak valid -> kriteria dibuang
+const sanitize_criteria = (c) => {
+  const out = {};
+  for (const k of ["IAE_max", "overshoot_max", "settling_max", "product_min"]) {
+    const v = Number(c[k]);
+    if (c[k] !== undefined && c[k] !== null && c[k] !== "" && Number.isFinite(v)) out[k] = v;
+  }
+  if (c.no_hh_trip !== undefined) out.no_hh_trip = boolOr(c.no_hh_trip, false);
+  return out;
+};
+
+// evaluasi criteria 1 hasil skenario -> [{ key, label, value, limit, pass }]
+//   overshoot/settling: metric loop skenario (sc.loop), tanpa loop = nilai terburuk semua loop
+//   pass null = N/A (mis. settling null karena PV tidak pernah keluar band)
+const evaluate_criteria = (sc, row, trip_log) => {
+  const c = sc.criteria || {};
+  const pv = LOOP_IO[sc.loop]?.pv;
+  const ms = row.metrics.filter((m) => !pv || m.name === pv);
+  const worst = (key) => {
+    const xs = ms.map((m) => m[key]).filter((x) => x !== null && Number.isFinite(Number(x)));
+    return xs.length ? Math.max(...xs) : null;
+  };
+
+  const checks = [];
+  const check = (key, label, value, limit, ok) => checks.push({ key, label, value, limit, pass: value === null ? null : ok });
+
+  if (c.IAE_max !== undefined) check("IAE_max", "Total IAE", row.totalIAE, c.IAE_max, row.totalIAE <= c.IAE_max);
+  if (c.overshoot_max !== undefined) {
+    const os = worst("OvershootPct");
+    check("overshoot_max", "Overshoot %", os, c.overshoot_max, os <= c.overshoot_max);
+  }
+  if (c.settling_max !== undefined) {
+    const st = worst("SettlingTime");
+    check("settling_max", "Settling (s)", st, c.settling_max, st <= c.settling_max);
+  }
+  if (c.product_min !== undefined) {
+    const pp = row.gate.productPct;
+    check("product_min", "% PRODUCT", pp, c.product_min, pp >= c.product_min);
+  }
+  if (c.no_hh_trip) {
+    const n = trip_log.filter((x) => x.high && !x.bypassed).length;
+    check("no_hh_trip", "Trip HH", n, 0, n === 0);
+  }
+  return checks;
+};
+
+// regresi vs baseline: pass -> FAIL, IAE naik > IAE_pct %, % PRODUCT turun > product_pt
+const diff_baseline = (row, base, tol) => {
+  const worse = (now, was) => now - was > Math.max(Math.abs(was) * tol.IAE_pct / 100.0, 1e-3);
+  const regressions = [];
+  if (base.pass === true && row.pass === false) regressions.push("PASS -> FAIL");
+  if (worse(row.totalIAE, base.totalIAE)) regressions.push("Total IAE");
+  for (const m of row.metrics) {
+    const was = base.IAE?.[m.name];
+    if (Number.isFinite(was) && worse(m.IAE, was)) regressions.push(`IAE ${m.name}`);
+  }
+  if (base.productPct - row.gate.productPct > tol.product_pt) regressions.push("% PRODUCT");
+
+  return {
+    totalIAE: base.totalIAE,
+    productPct: base.productPct,
+    dIAE_pct: Math.abs(base.totalIAE) > 1e-9 ? (row.totalIAE / base.totalIAE - 1.0) * 100.0 : null,
+    dProduct: row.gate.productPct - base.productPct,
+    regressions,
+  };
+};
+
+// skenario -> cfg simulate(). Timeline kosong = baseline (tanpa SP step / disturbance)
+const scenario_to_cfg = (base_cfg, sc, noise_default = false) => {
+  const c = deepCopyCfg(base_cfg);
+  c.SIM.noise = sc.noise ?? noise_default;
+  if (sc.sim_s !== undefined) c.SIM.sim_s = sc.sim_s;
+
+  c.TEST.sp_steps = [];
+  c.TEST.analyzer_fail_enable = false;
+  c.TEST.d_feed_temp = 0.0;
+  c.TEST.d_vapor = 0.0;
+  c.TEST.d_steam_press = 0.0;
+  c.TEST.cw_degrade_drop = 0.0;
+  c.TEST.mode_changes = [];
+  c.TEST.man_moves = [];
+  c.TEST.il_resets = [];
+  c.TEST.il_bypass = [];
+  c.TEST.relay = null;
+  c.TEST.dist = [];
+  c.TEST.faults = [];
+
+  for (const ev of sc.events || []) {
+    switch (ev.type) {
+      case "sp_step": c.TEST.sp_steps.push({ t: ev.t, key: ev.key, delta: ev.delta }); break;
+      case "sp_ramp": c.TEST.sp_steps.push({ t: ev.t, key: ev.key, delta: ev.delta, rate: ev.rate }); break;
+      case "disturbance":
+        c.TEST[ev.key] = ev.value;
+        c.TEST[DIST_TIME_KEY[ev.key]] = ev.t;
+        break;
+      case "analyzer_fail":
+        c.TEST.analyzer_fail_enable = true;
+        c.TEST.t_analyzer_fail = ev.t;
+        break;
+      case "mode":     c.TEST.mode_changes.push({ t: ev.t, loop: ev.loop, mode: ev.mode }); break;
+      case "man_move": c.TEST.man_moves.push({ t: ev.t, loop: ev.loop, ...(ev.out !== undefined ? { out: ev.out } : { delta: ev.delta }) }); break;
+      case "il_bypass": c.TEST.il_bypass.push({ t: ev.t, id: ev.id, on: ev.on }); break;
+      case "il_reset":  c.TEST.il_resets.push({ t: ev.t, id: ev.id }); break;
+      case "dist": {
+        const { t, type: _type, ...d } = ev;
+        c.TEST.dist.push({ ...d, t0: t });
+        break;
+      }
+      case "sensor_fault": {
+        const { t, type: _type, ...f } = ev;
+        c.TEST.faults.push({ ...f, t0: t });
+        break;
+      }
+      default: break;
+    }
+  }
+  return c;
+};
+
+// daftar skenario suite: [[name, cfg, scenario], ...] — dipakai run_test_suite & optimizer
+const suite_scenarios = (base_cfg) => {
+  const lib = (base_cfg.SUITE?.scenarios || DEFAULT_SCENARIOS).filter((sc) => sc.enabled !== false);
+  return lib.map((sc) => [sc.name, scenario_to_cfg(base_cfg, sc), sc]);
+};
+
+// shard { k, of }: hanya skenario index % of === k (pool worker di UI), row.index = posisi di suite penuh
+// onRun(row, { log, event_log, bypass_log, trip_log }): hasil simulate skenario (log resolusi penuh, CLI)
+const run_test_suite = (base_cfg, { onProgress = () => {}, shard = null, onRun = null } = {}) => {
+  const all = suite_scenarios(base_cfg);
+  const tests = all.map((t, index) => [...t, index]).filter((t) => !shard || t[3] % shard.of === shard.k);
+
+  // FF compare (semua path FF OFF vs ON): skenario dengan ff_compare = true
+  const totalIAE_of = (metrics) => metrics.reduce((acc, r) => acc + (Number(r.IAE) || 0), 0);
+
+  const withFF = (cfg, on) => {
+    const c = deepCopyCfg(cfg);
+    for (const f of Object.values(c.FF || {})) f.enable = on;
+    return c;
+  };
+
+  const baseline = {};
+  for (const b of base_cfg.SUITE?.baseline?.results || []) baseline[b.name] = b;
+
+  const results = [];
+  for (const [name, cfg, sc, index] of tests) {
+    onProgress({ done: results.length, n: tests.length, total: all.length, name });
+    const run = simulate(cfg);
+    const { log, trip_log } = run;
+    const metrics = summarize_metrics(log, cfg);
+    const g = gate_stats(log.route);
+
+    const totalIAE = totalIAE_of(metrics);
+
+    const row = {
+      name,
+      index,
+      gate: g,
+      totalIAE,
+      metrics
+    };
+
+    if (sc.ff_compare) {
+      const c_off = withFF(cfg, false);
+      const c_on  = withFF(cfg, true);
+      row.ff = {
+        IAE_off: totalIAE_of(summarize_metrics(simulate(c_off).log, c_off)),
+        IAE_on:  totalIAE_of(summarize_metrics(simulate(c_on).log, c_on)),
+      };
+    }
+
+    // acceptance: pass null = skenario tanpa criteria
+    row.checks = evaluate_criteria(sc, row, trip_log);
+    const decided = row.checks.filter((x) => x.pass !== null);
+    row.pass = decided.length ? decided.every((x) => x.pass) : null;
+
+    if (baseline[name]) row.baseline = diff_baseline(row, baseline[name], base_cfg.SUITE.reg_tol);
+
+    if (onRun) onRun(row, run);
+    results.push(row);
+  }
+
+  return results;
+};
+
+// ============================================================
+// 11) AUTO-TUNE (RELAY FEEDBACK, Astrom-Hagglund)
+//   Ku = 4h / (pi*a), Pu = periode osilasi
+//   theta ~ waktu dari switch relay ke puncak PV berikutnya
+//   -> FOPDT ekuivalen (K, tau, theta) untuk SIMC
+// ============================================================
+const analyze_relay = (t, pv, u, sp, h, min_cycles = 3) => {
+  const sw = [];
+  for (let i = 1; i < u.length; i++) {
+    if (u[i] !== null && u[i - 1] !== null && u[i] !== u[i - 1]) sw.push(i);
+  }
+
+  // buang 1 siklus pertama (transien), butuh min_cycles siklus penuh
+  const use = sw.slice(2);
+  if (use.length < 2 * min_cycles + 1) return null;
+
+  const last = use.slice(-(2 * min_cycles + 1));
+
+  const periods = [];
+  for (let j = 2; j < last.length; j++) periods.push(Number(t[last[j]]) - Number(t[last[j - 2]]));
+  const Pu = periods.reduce((a, b) => a + b, 0) / periods.length;
+
+  let lo = Infinity, hi = -Infinity;
+  for (let i = last[0]; i < t.length; i++) {
+    lo = Math.min(lo, Number(pv[i]));
+    hi = Math.max(hi, Number(pv[i]));
+  }
+  const a = (hi - lo) / 2.0;
+  if (!(Pu > 0) || !(a > 1e-9)) return null;
+
+  // dead time: switch -> extremum PV (sisi yang sama dengan PV saat switch)
+  const thetas = [];
+  for (let j = 0; j + 1 < last.length; j++) {
+    const i0 = last[j], i1 = last[j + 1];
+    const side = Math.sign(Number(pv[i0]) - Number(sp[i0])) || 1;
+    let kbest = i0;
+    for (let k = i0; k < i1; k++) {
+      if (side * (Number(pv[k]) - Number(sp[k])) > side * (Number(pv[kbest]) - Number(sp[kbest]))) kbest = k;
+    }
+    thetas.push(Number(t[kbest]) - Number(t[i0]));
+  }
+  const theta = Math.max(thetas.reduce((x, y) => x + y, 0) / Math.max(1, thetas.length), 1e-3);
+
+  const Ku = (4.0 * h) / (Math.PI * a);
+
+  // FOPDT ekuivalen dari titik ultimate: -wu*theta - atan(wu*tau) = -pi ; K/sqrt(1+(wu*tau)^2) = 1/Ku
+  // kalau fasa tidak konsisten (theta terukur < Pu/4) -> model integrating + delay, theta = Pu/4
+  const wu = (2.0 * Math.PI) / Pu;
+  const phi = Math.PI - wu * theta;
+  const fopdt_ok = (phi > 1e-3 && phi < Math.PI / 2 - 1e-3);
+  const tau = fopdt_ok ? Math.tan(phi) / wu : 1e4;
+  const theta_m = fopdt_ok ? theta : Pu / 4.0;
+  const K = Math.sqrt(1.0 + (wu * tau) ** 2) / Ku;
+
+  return {
+    Ku, Pu, a, theta,
+    model: { K, tau, theta: theta_m, integrating: !fopdt_ok },
+    cycles: Math.floor((use.length - 1) / 2)
+  };
+};
+
+const TUNING_RULES = ["ZN", "TL", "SIMC"];
+
+// ideal PID (u = Kp*(e + 1/Ti*int(e) + Td*de/dt)), sama dengan bentuk kelas PI/PID
+const relay_tuning = ({ Ku, Pu, model }, rule, type = "PI") => {
+  const pid = (type === "PID");
+
+  if (rule === "ZN") {
+    return pid
+      ? { Kp: 0.6 * Ku, Ti: Pu / 2.0, Td: Pu / 8.0 }
+      : { Kp: 0.45 * Ku, Ti: Pu / 1.2, Td: 0.0 };
+  }
+
+  if (rule === "TL") {
+    return pid
+      ? { Kp: Ku / 2.2, Ti: 2.2 * Pu, Td: Pu / 6.3 }
+      : { Kp: Ku / 3.2, Ti: 2.2 * Pu, Td: 0.0 };
+  }
+
+  // SIMC (tc = theta); PID: Td = theta/3 (improved SIMC untuk FOPDT)
+  const { K, tau, theta } = model;
+  const tc = theta;
+  const Kp = tau / (Math.max(Math.abs(K), 1e-9) * (tc + theta));
+  const Ti = Math.min(tau, 4.0 * (tc + theta));
+  return { Kp, Ti, Td: pid ? theta / 3.0 : 0.0 };
+};
+
+// step response loop = step test library default milik loop tsb (B1..B6)
+const step_response = (cfg, loop) => {
+  const sc = DEFAULT_SCENARIOS.find((x) => x.loop === loop) || { name: "-", events: [] };
+  const c = scenario_to_cfg(cfg, sc);
+
+  const { log } = simulate(c);
+  const io = LOOP_IO[loop];
+  const m = summarize_metrics(log, c).find((r) => r.name === io.pv);
+  return { log, metrics: m };
+};
+
+const run_autotune = (base_cfg, { loop, rule = "SIMC", type = "PI", h = 5.0, eps_pct = 0.1 }) => {
+  if (!(loop in LOOP_IO)) throw new Error(`Auto-tune: loop tidak dikenal (${loop})`);
+  const io = LOOP_IO[loop];
+
+  const c = deepCopyCfg(base_cfg);
+  c.SIM.noise = false;
+  c.SIM.sim_s = Math.max(c.SIM.sim_s, 3600);
+  c.TEST.sp_steps = [];
+  c.TEST.analyzer_fail_enable = false;
+  c.TEST.d_feed_temp = 0.0;
+  c.TEST.d_vapor = 0.0;
+  c.TEST.d_steam_press = 0.0;
+  c.TEST.cw_degrade_drop = 0.0;
+  c.TEST.dist = [];
+  c.TEST.faults = [];
+  c.TEST.mode_changes = [];
+  c.TEST.man_moves = [];
+
+  const span = Number(c.METRIC.span[io.pv]) || 100.0;
+  c.TEST.relay = { loop, t_start: 60.0, h, eps: span * eps_pct / 100.0 };
+
+  const { log } = simulate(c);
+  const ult = analyze_relay(log.t, log[io.pv], log.relay_u, log[`SP_${io.sp}`], h);
+  if (!ult) throw new Error(`Auto-tune ${loop}: osilasi relay tidak terbentuk (coba h lebih besar)`);
+
+  const proposals = {};
+  for (const r of TUNING_RULES) {
+    proposals[r] = { PI: relay_tuning(ult, r, "PI"), PID: relay_tuning(ult, r, "PID") };
+  }
+  const tuning = proposals[TUNING_RULES.includes(rule) ? rule : "SIMC"][type === "PID" ? "PID" : "PI"];
+
+  // before/after: step response loop dengan tuning sekarang vs usulan
+  const c_after = deepCopyCfg(base_cfg);
+  c_after.LOOP[loop] = {
+    ...c_after.LOOP[loop],
+    type: (type === "PID") ? "PID" : "PI",
+    Kp: tuning.Kp,
+    Ti: tuning.Ti,
+    Td: tuning.Td,
+  };
+  const before = step_response(base_cfg, loop);
+  const after = step_response(c_after, loop);
+
+  return { loop, rule, type, h, ...ult, tuning, proposals, relayLog: log, before, after };
+};
+
+// ============================================================
+// 12) OPTIMIZE (TUNING BERBASIS SUITE)
+//   J = sum_skenario sum_loop [ wIAE*IAE + wITAE*ITAE/T + wOS*OS% + wMV*travel MV (%) ]
+//   Pencarian: pattern search (coordinate, step halving) di ruang ternormalisasi [0..1],
+//   Kp & Ti skala log, Td linear (hanya loop PID). budget = jumlah evaluasi J.
+// ============================================================
+const mv_travel = (u) => {
+  let s = 0.0;
+  for (let i = 1; i < u.length; i++) s += Math.abs(Number(u[i]) - Number(u[i - 1]));
+  return s;
+};
+
+const run_optimize = (base_cfg, onProgress = () => {}) => {
+  const opt = base_cfg.OPT;
+  const loops = opt.loops.filter((l) => l in LOOP_IO);
+  if (!loops.length) throw new Error("Optimize: pilih minimal satu loop");
+
+  const all = suite_scenarios(base_cfg);
+  const scen = opt.scenarios.length ? all.filter(([name]) => opt.scenarios.includes(name)) : all;
+  if (!scen.length) throw new Error("Optimize: skenario suite tidak ditemukan");
+
+  // dimensi pencarian
+  const dims = [];
+  for (const loop of loops) {
+    const b = { ...opt.bounds, ...(opt.loop_bounds[loop] || {}) };
+    dims.push({ loop, key: "Kp", lo: b.Kp[0], hi: b.Kp[1], log: true });
+    dims.push({ loop, key: "Ti", lo: b.Ti[0], hi: b.Ti[1], log: true });
+    if (base_cfg.LOOP[loop].type === "PID") dims.push({ loop, key: "Td", lo: b.Td[0], hi: b.Td[1], log: false });
+  }
+
+  const toX = (d, v) => {
+    const c = clamp(v, d.lo, d.hi);
+    return d.log ? Math.log(c / d.lo) / Math.log(d.hi / d.lo) : (c - d.lo) / (d.hi - d.lo);
+  };
+  const fromX = (d, x) => (d.log ? d.lo * Math.pow(d.hi / d.lo, x) : d.lo + (d.hi - d.lo) * x);
+
+  const tuningOf = (x) => {
+    const tun = {};
+    dims.forEach((d, i) => {
+      tun[d.loop] = tun[d.loop] || { Kp: base_cfg.LOOP[d.loop].Kp, Ti: base_cfg.LOOP[d.loop].Ti, Td: base_cfg.LOOP[d.loop].Td };
+      tun[d.loop][d.key] = fromX(d, x[i]);
+    });
+    return tun;
+  };
+
+  const w = opt.weights;
+  const objective = (tun) => {
+    const parts = { IAE: 0, ITAE: 0, OS: 0, MV: 0 };
+    for (const [, sc] of scen) {
+      const c = deepCopyCfg(sc);
+      for (const loop of loops) c.LOOP[loop] = { ...c.LOOP[loop], ...tun[loop] };
+
+      const { log } = simulate(c);
+      const m = summarize_metrics(log, c);
+      const T = Math.max(1.0, c.SIM.sim_s);
+      for (const loop of loops) {
+        const io = LOOP_IO[loop];
+        const r = m.find((x) => x.name === io.pv);
+        parts.IAE  += Number(r.IAE) || 0;
+        parts.ITAE += (Number(r.ITAE) || 0) / T;
+        parts.OS   += Number(r.OvershootPct) || 0;
+        parts.MV   += mv_travel(log[io.mv]);
+      }
+    }
+    const J = w.IAE * parts.IAE + w.ITAE * parts.ITAE + w.OS * parts.OS + w.MV * parts.MV;
+    return { J, parts };
+  };
+
+  // evaluasi dengan cache (titik yang sama tidak memakan budget)
+  const cache = new Map();
+  let evals = 0;
+  let best = null;
+  const history = [];
+
+  const f = (x) => {
+    const key = x.map((v) => v.toFixed(4)).join(",");
+    if (cache.has(key)) return cache.get(key);
+    if (evals >= opt.budget) return null;
+
+    const tuning = tuningOf(x);
+    const res = { x, tuning, ...objective(tuning) };
+    evals++;
+    cache.set(key, res);
+
+    if (!best || res.J < best.J) best = res;
+    history.push({ n: evals, J: res.J, bestJ: best.J });
+    onProgress({ evals, budget: opt.budget, J: res.J, bestJ: best.J, best: best.tuning });
+    return res;
+  };
+
+  const x0 = dims.map((d) => toX(d, base_cfg.LOOP[d.loop][d.key]));
+  const start = f(x0);
+
+  let cur = start;
+  let h = 0.25;
+  while (h >= 1 / 128 && evals < opt.budget) {
+    let improved = false;
+    for (let i = 0; i < dims.length && !improved; i++) {
+      for (const sgn of [+1, -1]) {
+        const y = cur.x.slice();
+        y[i] = clamp01(y[i] + sgn * h);
+        if (y[i] === cur.x[i]) continue;
+
+        const r = f(y);
+        if (!r) break;
+        if (r.J < cur.J) { cur = r; improved = true; break; }
+      }
+    }
+    if (!improved) h /= 2;
+  }
+
+  return {
+    loops,
+    scenarios: scen.map(([name]) => name),
+    weights: { ...w },
+    budget: opt.budget,
+    evals,
+    start: { tuning: start.tuning, J: start.J, parts: start.parts },
+    best: { tuning: best.tuning, J: best.J, parts: best.parts },
+    history,
+  };
+};
+
+// ============================================================
+// 13) SYSTEM IDENTIFICATION (FOPDT / SOPDT, least squares)
+//   y_hat = y0 + K * x(t; tau, tau2, theta), x = respons unit-gain dari (u - u[0])
+//   K, y0: LS linear (closed form); tau/tau2: golden section (skala log); theta: grid + refine.
+//   Model disimulasikan dengan FOPDTDev -> hasil bisa langsung dipakai di cfg.PLANT.blocks.
+// ============================================================
+// blok plant -> loop yang di-bump (MAN) + log key input/output.
+// lag = 1: MV yang dilog baru masuk plant di tick berikutnya
+const IDENT_IO = {
+  F_feed:     { loop: "FIC101", u: "u_feed",      y: "F_feed",     lag: 1 },
+  T_feed_out: { loop: "TIC101", u: "u_steam_pre", y: "T_feed_out", lag: 1 },
+  F_steam:    { loop: "TIC102", u: "u_steam_reb", y: "F_steam",    lag: 1 },
+  T_reb:      { loop: "TIC102", u: "F_steam",     y: "T_reb",      lag: 0 },
+  F_reflux:   { loop: "FIC201", u: "u_reflux",    y: "F_reflux",   lag: 1 },
+  T_cond_out: { loop: "TIC201", u: "u_cw",        y: "T_cond_out", lag: 1 },
+  F_draw:     { loop: "LIC201", u: "u_draw",      y: "F_draw",     lag: 1 },
+};
+
+const golden = (f, lo, hi, iters = 24) => {
+  const g = (Math.sqrt(5) - 1) / 2;
+  let a = lo, b = hi;
+  let c = b - g * (b - a), d = a + g * (b - a);
+  let fc = f(c), fd = f(d);
+  for (let i = 0; i < iters; i++) {
+    if (fc < fd) { b = d; d = c; fd = fc; c = b - g * (b - a); fc = f(c); }
+    else { a = c; c = d; fc = fd; d = a + g * (b - a); fd = f(d); }
+  }
+  return fc < fd ? c : d;
+};
+
+// CSV t,u,y (header opsional: t/time, u/mv/input, y/pv/output; pemisah , ; atau tab)
+const parse_csv_tuy = (text) => {
+  const rows = String(text || "").split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  if (!rows.length) throw new Error("CSV kosong");
+
+  const sep = rows[0].includes(";") ? ";" : (rows[0].includes("\t") ? "\t" : ",");
+  const split = (l) => l.split(sep).map((x) => x.trim());
+
+  let cols = [0, 1, 2];
+  const head = split(rows[0]);
+  if (head.some((x) => !Number.isFinite(Number(x)))) {
+    const find = (names, fb) => {
+      const i = head.findIndex((h) => names.includes(h.toLowerCase()));
+      return i >= 0 ? i : fb;
+    };
+    cols = [find(["t", "time", "waktu"], 0), find(["u", "mv", "input", "op"], 1), find(["y", "pv", "output"], 2)];
+    rows.shift();
+  }
+
+  const t = [], u = [], y = [];
+  for (const l of rows) {
+    const v = split(l);
+    const tt = Number(v[cols[0]]), uu = Number(v[cols[1]]), yy = Number(v[cols[2]]);
+    if (Number.isFinite(tt) && Number.isFinite(uu) && Number.isFinite(yy)) { t.push(tt); u.push(uu); y.push(yy); }
+  }
+  if (t.length < 10) throw new Error("CSV: butuh minimal 10 baris numerik t,u,y");
+  return { t, u, y };
+};
+
+// resample ke dt seragam (ZOH / sampel terakhir), dt = median selisih waktu
+const resample_uniform = ({ t, u, y }) => {
+  const diffs = [];
+  for (let i = 1; i < t.length; i++) if (t[i] > t[i - 1]) diffs.push(t[i] - t[i - 1]);
+  if (!diffs.length) throw new Error("Data: kolom waktu tidak naik");
+  diffs.sort((a, b) => a - b);
+  const dt = diffs[Math.floor(diffs.length / 2)];
+
+  const out = { t: [], u: [], y: [], dt };
+  let j = 0;
+  for (let tk = t[0]; tk <= t[t.length - 1] + 1e-9; tk += dt) {
+    while (j + 1 < t.length && t[j + 1] <= tk + 1e-9) j++;
+    out.t.push(tk); out.u.push(u[j]); out.y.push(y[j]);
+  }
+  return out;
+};
+
+const fit_model = ({ t, u, y, dt }, order = "FOPDT") => {
+  const n = t.length;
+  const u0 = Number(u[0]);
+  const T = Number(t[n - 1]) - Number(t[0]);
+  if (!(T > 0) || u.every((v) => v === u0)) throw new Error("Identifikasi: input u tidak pernah berubah (perlu step/bump)");
+
+  const k_step = u.findIndex((v) => v !== u0);
+  const theta_max = Math.max(dt, 0.4 * (Number(t[n - 1]) - Number(t[k_step])));
+  const tau_lo = dt, tau_hi = Math.max(10 * dt, 2.0 * T);
+
+  // respons unit-gain (y0 = 0, K = 1) via FOPDTDev
+  const response = (tau, tau2, theta) => {
+    const g = new FOPDTDev(1.0, tau, theta, 0.0, u0, dt, tau2);
+    const x = new Array(n);
+    for (let k = 0; k < n; k++) x[k] = g.update(u[k]);
+    return x;
+  };
+
+  // LS linear y = y0 + K*x
+  const lsq = (x) => {
+    let sx = 0, sy = 0, sxx = 0, sxy = 0;
+    for (let k = 0; k < n; k++) { sx += x[k]; sy += y[k]; sxx += x[k] * x[k]; sxy += x[k] * y[k]; }
+    const den = n * sxx - sx * sx;
+    const K = Math.abs(den) > 1e-12 ? (n * sxy - sx * sy) / den : 0.0;
+    const y0 = (sy - K * sx) / n;
+    let sse = 0;
+    for (let k = 0; k < n; k++) { const e = y[k] - y0 - K * x[k]; sse += e * e; }
+    return { K, y0, sse };
+  };
+
+  const sop = order === "SOPDT";
+  const evalAt = (tau, r, theta) => lsq(response(tau, sop ? r * tau : 0.0, theta)).sse;
+
+  // tau (dan rasio tau2/tau untuk SOPDT) terbaik untuk theta tertentu
+  const bestTau = (theta) => {
+    let lt = golden((z) => evalAt(Math.exp(z), 0.0, theta), Math.log(tau_lo), Math.log(tau_hi));
+    let r = 0.0;
+    if (sop) {
+      for (let it = 0; it < 2; it++) {
+        r = golden((q) => evalAt(Math.exp(lt), q, theta), Math.max(dt / Math.exp(lt), 0.01), 1.0, 16);
+        lt = golden((z) => evalAt(Math.exp(z), r, theta), Math.log(tau_lo), Math.log(tau_hi), 16);
+      }
+    }
+    const tau = Math.exp(lt);
+    return { tau, r, sse: evalAt(tau, r, theta) };
+  };
+
+  const nTh = Math.max(1, Math.round(theta_max / dt));
+  const stride = Math.max(1, Math.floor(nTh / 24));
+  let best = null;
+  const tryTheta = (k) => {
+    const theta = k * dt;
+    const b = { ...bestTau(theta), theta };
+    if (!best || b.sse < best.sse) best = b;
+  };
+  for (let k = 0; k <= nTh; k += stride) tryTheta(k);
+  const k0 = Math.round(best.theta / dt);
+  for (let k = Math.max(0, k0 - stride + 1); k < k0 + stride; k++) if (k !== k0 && k <= nTh) tryTheta(k);
+
+  // dead time pecahan (FOPDTDev zoh): refine di antara grid dt tetangga
+  const th = golden((x) => bestTau(x).sse, Math.max(0, best.theta - dt), Math.min(theta_max, best.theta + dt), 10);
+  const b_frac = { ...bestTau(th), theta: th };
+  if (b_frac.sse < best.sse) best = b_frac;
+
+  const tau2 = sop ? best.r * best.tau : 0.0;
+  const x = response(best.tau, tau2, best.theta);
+  const { K, y0, sse } = lsq(x);
+  const yhat = x.map((v) => y0 + K * v);
+
+  const ym = y.reduce((a, b) => a + b, 0) / n;
+  let sst = 0;
+  for (let k = 0; k < n; k++) sst += (y[k] - ym) ** 2;
+
+  return {
+    order: sop ? "SOPDT" : "FOPDT",
+    K, tau: best.tau, tau2, theta: best.theta, y0, u0, dt,
+    R2: sst > 0 ? 1.0 - sse / sst : 0.0,
+    fitPct: sst > 0 ? 100.0 * (1.0 - Math.sqrt(sse / sst)) : 0.0, // NRMSE fit
+    rmse: Math.sqrt(sse / n),
+    yhat,
+  };
+};
+
+// open-loop bump: loop -> MAN di t=0, output +bump % di t_bump
+const run_ident = (base_cfg, { source = "bump", block = "T_reb", bump = 5.0, t_bump = 300.0, order = "FOPDT", csv = "" }) => {
+  let data;
+  let io = IDENT_IO[block];
+
+  if (source === "csv") {
+    data = resample_uniform(parse_csv_tuy(csv));
+  } else {
+    if (!io) throw new Error(`Identifikasi: blok plant tidak dikenal (${block})`);
+
+    const c = deepCopyCfg(base_cfg);
+    c.TEST.sp_steps = [];
+    c.TEST.analyzer_fail_enable = false;
+    c.TEST.d_feed_temp = 0.0;
+    c.TEST.d_vapor = 0.0;
+    c.TEST.d_steam_press = 0.0;
+    c.TEST.cw_degrade_drop = 0.0;
+    c.TEST.dist = [];
+    c.TEST.faults = [];
+    c.TEST.relay = null;
+    // bump langsung ke valve (cascade OFF), lag flow tetap dimodelkan agar blok F_steam / F_draw teridentifikasi
+    for (const k of Object.values(c.CASCADE || {})) k.enable = false;
+    c.PLANT.flow_lag = { F_steam: true, F_draw: true };
+    for (const f of Object.values(c.FF || {})) f.enable = false;
+    c.TEST.mode_changes = [{ t: 0, loop: io.loop, mode: "MAN" }];
+    c.TEST.man_moves = [{ t: t_bump, loop: io.loop, delta: bump }];
+
+    const { log } = simulate(c);
+    const uu = log[io.u], yy = log[io.y];
+    data = { t: [], u: [], y: [], dt: c.SIM.dt };
+    for (let k = io.lag; k < log.t.length; k++) {
+      data.t.push(log.t[k]); data.u.push(uu[k - io.lag]); data.y.push(yy[k]);
+    }
+  }
+
+  const fit = fit_model(data, order);
+  const current = PLANT_BLOCKS[block] ? { ...PLANT_BLOCKS[block], ...(base_cfg.PLANT?.blocks?.[block] || {}) } : null;
+
+  return { source, block, io: io || null, bump, ...fit, current, data };
+};
+
+// ============================================================
+// 14) MONTE CARLO (ROBUSTNESS)
+//   tiap run: K/tau/theta tiap blok plant di-perturb +/- %, magnitude & waktu
+//   disturbance diacak, seed noise berbeda. Hasil: distribusi metrik per loop
+//   (mean, P5, P95, worst) + probabilitas gate switching + histogram.
+// ============================================================
+const quantile = (sorted, q) => {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// worst = nilai terbesar (default, metrik error) atau terkecil (higher_better, mis. productPct)
+const dist_stats = (xs, higher_better = false) => {
+  const v = xs.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return { n: 0, mean: NaN, p5: NaN, p95: NaN, worst: NaN };
+  return {
+    n: v.length,
+    mean: v.reduce((a, b) => a + b, 0) / v.length,
+    p5: quantile(v, 0.05),
+    p95: quantile(v, 0.95),
+    worst: higher_better ? v[0] : v[v.length - 1],
+  };
+};
+
+const histogram = (xs, bins = 20) => {
+  const v = xs.filter(Number.isFinite);
+  if (!v.length) return [];
+  const lo = Math.min(...v), hi = Math.max(...v);
+  const w = (hi - lo) / bins || 1.0;
+  const out = Array.from({ length: bins }, (_, i) => ({ x0: lo + i * w, x1: lo + (i + 1) * w, count: 0 }));
+  for (const x of v) out[Math.min(bins - 1, Math.floor((x - lo) / w))].count++;
+  return out;
+};
+
+const run_montecarlo = (base_cfg, onProgress = () => {}) => {
+  const mc = base_cfg.MC;
+  const uni = (rng, pct) => 1.0 + (2.0 * rng() - 1.0) * pct / 100.0;
+  // model mismatch lewat hook registry; backend tanpa hook (mis. tray) -> hanya noise + disturbance
+  const model = PLANT_REGISTRY[base_cfg.PLANT?.backend || "fopdt"];
+  const mismatch = typeof model?.mismatch === "function";
+
+  const runs = [];
+  for (let i = 0; i < mc.n; i++) {
+    const rng = makeRng(hash32(`mc${i}`, mc.seed));
+    const c = deepCopyCfg(base_cfg);
+
+    c.SIM.noise = mc.noise;
+    c.SIM.seed = hash32(`noise${i}`, mc.seed);
+    c.TEST.sp_steps = [];
+    c.TEST.analyzer_fail_enable = false;
+    c.TEST.mode_changes = [];
+    c.TEST.man_moves = [];
+    c.TEST.relay = null;
+    c.TEST.dist = [];
+    c.TEST.faults = [];
+
+    if (mismatch) model.mismatch(c, (k) => uni(rng, mc[k]));
+
+    // disturbance: magnitude nominal +/- dist_pct, waktu +/- dist_t_s
+    const jit = (t) => Math.max(0.0, Number(t) + (2.0 * rng() - 1.0) * mc.dist_t_s);
+    c.TEST.d_feed_temp = mc.dist.d_feed_temp * uni(rng, mc.dist_pct);
+    c.TEST.d_vapor = mc.dist.d_vapor * uni(rng, mc.dist_pct);
+    c.TEST.d_steam_press = mc.dist.d_steam_press * uni(rng, mc.dist_pct);
+    c.TEST.cw_degrade_drop = clamp01(mc.dist.cw_degrade_drop * uni(rng, mc.dist_pct));
+    c.TEST.t_feed_dist = jit(c.TEST.t_feed_dist);
+    c.TEST.t_vapor_dist = jit(c.TEST.t_vapor_dist);
+    c.TEST.t_steam_dist = jit(c.TEST.t_steam_dist);
+    c.TEST.t_cw_degrade = jit(c.TEST.t_cw_degrade);
+
+    const { log } = simulate(c);
+    const metrics = summarize_metrics(log, c);
+    const g = gate_stats(log.route);
+
+    // gate switching = PRODUCT -> RECYCLE (start-up RECYCLE -> PRODUCT tidak dihitung)
+    let drops = 0;
+    for (let k = 1; k < log.route.length; k++) if (log.route[k - 1] === "PRODUCT" && log.route[k] !== "PRODUCT") drops++;
+
+    runs.push({
+      metrics,
+      totalIAE: metrics.reduce((a, r) => a + (Number(r.IAE) || 0), 0),
+      gate: { ...g, drops },
+    });
+    onProgress({ done: i + 1, n: mc.n });
+  }
+
+  const loops = runs.length ? runs[0].metrics.map((r) => r.name) : [];
+  const per_loop = loops.map((name) => {
+    const col = (k) => runs.map((r) => Number(r.metrics.find((m) => m.name === name)[k]));
+    return {
+      name,
+      IAE: dist_stats(col("IAE")),
+      ITAE: dist_stats(col("ITAE")),
+      OvershootPct: dist_stats(col("OvershootPct")),
+      hist: histogram(col("IAE")),
+    };
+  });
+
+  const totals = runs.map((r) => r.totalIAE);
+  return {
+    n: runs.length,
+    settings: { ...mc, dist: { ...mc.dist }, mismatch },
+    per_loop,
+    totalIAE: dist_stats(totals),
+    totalHist: histogram(totals),
+    productPct: dist_stats(runs.map((r) => r.gate.productPct), true),
+    pGateSwitch: runs.filter((r) => r.gate.drops > 0).length / Math.max(1, runs.length),
+  };
+};
+
+// ============================================================
+// 14b) PROTOKOL JOB WORKER
+//   error job dikirim ke UI sebagai { code, message, mode } (src/sim.worker.js & stream section 15)
+// ============================================================
+// code default FAILED (exception saat job), REJECTED untuk aksi ditolak; err.code menang jika diset
+const job_error = (err, mode, code = "FAILED") => ({
+  code: err?.code || code,
+  message: String(err?.message || err),
+  mode,
+});
+
+// ============================================================
+// 15) STREAMING (REAL-TIME / OPERATOR CONSOLE)
+//   createSim() dimajukan per chunk timer dengan kecepatan 1x / 10x / 100x / max (detik sim per detik wall),
+//   tiap chunk post baris chart baru (decimation sama dengan run tunggal) + event log baru.
+//   kontrol: pause / resume / stop / speed ; aksi operator = event skenario, berlaku pada waktu sim saat ini
+// ============================================================
+// baris chart index i dari log simulate / createSim (run tunggal & streaming)
+const chart_row = (log, i, cfg) => ({
+  t: Math.round(log.t[i]),
+
+  // temps
+  Tfeed: log.T_feed_out[i], SP_Tfeed: log.SP_T_feed_out[i],
+  Treb:  log.T_reb[i],      SP_Treb:  log.SP_T_reb[i],
+  Tcond: log.T_cond_out[i], SP_Tcond: log.SP_T_cond_out[i],
+  TT106: log.TT106[i],
+  TT201: log.TT201[i],
+
+  // quality
+  rho15: log.rho15[i],
+  Gate_rho_low: cfg.GATE.rho15_on_low,
+  Gate_rho_high: cfg.GATE.rho15_on_high,
+
+  dTsub: log.dTsub[i],
+  Gate_dTsub_min: cfg.GATE.dTsub_min,
+
+  route: log.route[i] === "PRODUCT" ? 1 : 0,
+  analyzer_ok: log.analyzer_ok[i],
+
+  // flows & level
+  Ffeed: log.F_feed[i],
+  SP_Ffeed: log.SP_F_feed[i],
+  Freflux: log.F_reflux[i],
+  SP_Freflux: log.SP_F_reflux[i],
+  Lv201: log.L_v201[i],
+  SP_Lv201: log.SP_L_v201[i],
+
+  // cascade slaves (tag opsional: wajib hanya jika cascade aktif, lihat plant_required_tags)
+  Fsteam: log.F_steam?.[i],
+  SP_Fsteam: log.SP_F_steam[i],
+  Fdraw: log.F_draw?.[i],
+  SP_Fdraw: log.SP_F_draw[i],
+
+  // MVs
+  u_feed: log.u_feed[i],
+  u_steam_pre: log.u_steam_pre[i],
+  u_steam_reb: log.u_steam_reb[i],
+  u_cw: log.u_cw[i],
+  u_reflux: log.u_reflux[i],
+  u_draw: log.u_draw[i],
+
+  // disturbance (overlay per chart) + sensor disturbance baru
+  x_feed: log.x_feed?.[i],
+  T_amb: log.T_amb?.[i],
+  ...Object.fromEntries(Object.keys(log.dist).map((k) => [`DIST_${k}`, log.dist[k][i]])),
+
+  // posisi valve aktual (valve model aktif) + command segmen split range
+  ...Object.fromEntries(Object.keys(log.vp).map((k) => [`VP_${k}`, log.vp[k][i]])),
+  ...Object.fromEntries(Object.keys(log.split).map((k) => [`SPL_${k}`, log.split[k][i]])),
+
+  // semua tag backend (chart "Plant Tags"), termasuk tag di luar chart tetap
+  ...Object.fromEntries(Object.keys(plant_tags(cfg)).map((k) => [`TAG_${k}`, log[k][i]])),
+});
+
+// decimation chart (~700 titik per run penuh)
+const chart_factor = (cfg) => Math.max(1, Math.floor((cfg.SIM.sim_s / cfg.SIM.dt + 1) / 700));
+
+const STREAM_SPEEDS = { 1: 1, 10: 10, 100: 100, max: Infinity };
+const STREAM_TICK_MS = 100;
+const STREAM_BUDGET_MS = 40; // kerja maksimum per chunk -> pesan kontrol/aksi tetap terproses
+
+class SimStream {
+  // sim: createSim(cfg) baru atau hasil restore_sim(snapshot) (section 16)
+  constructor(sim, speed = 1, post = () => {}) {
+    this.cfg = sim.cfg;
+    this.sim = sim;
+    this.post = post;
+    this.setSpeed(speed);
+    this.factor = chart_factor(this.cfg);
+    this.i_row = 0; // index log berikutnya yang belum dikirim
+    this.i_ev = 0;
+    this.status = "idle";
+    this.timer = null;
+    this.credit = 0.0; // detik sim yang boleh dijalankan (speed x waktu wall)
+    this.last = 0;
+  }
+
+  setSpeed(speed) {
+    this.speed = STREAM_SPEEDS[speed] ?? 1;
+  }
+
+  start() {
+    this.status = "running";
+    this.last = Date.now();
+    this._schedule();
+    this._flush();
+  }
+
+  pause() {
+    if (this.status !== "running") return;
+    this.status = "paused";
+    clearTimeout(this.timer);
+    this.timer = null;
+    this._flush();
+  }
+
+  resume() {
+    if (this.status !== "paused") return;
+    this.status = "running";
+    this.last = Date.now();
+    this.credit = 0.0;
+    this._schedule();
+    this._flush();
+  }
+
+  stop() {
+    if (this.status === "running" || this.status === "paused") this._finish("stopped");
+  }
+
+  // aksi operator: sp_set { key, value } (SP absolut) atau event skenario (sp_step, mode, man_move, dist, ...)
+  action(a) {
+    if (this.status !== "running" && this.status !== "paused") throw new Error("Streaming tidak aktif");
+    const ev = (a?.type === "sp_set")
+      ? { type: "sp_step", key: a.key, delta: numOr(a.value, 0.0) - numOr(this.sim.sp_target(a.key), 0.0) }
+      : a;
+    this.sim.inject(sanitize_event({ ...ev, t: this.sim.t }, "Aksi operator"));
+    this._flush();
+  }
+
+  _schedule() {
+    this.timer = setTimeout(() => this._chunk(), this.speed === Infinity ? 0 : STREAM_TICK_MS);
+  }
+
+  _chunk() {
+    this.timer = null;
+    if (this.status !== "running") return;
+    try {
+      const now = Date.now();
+      const t_end = now + STREAM_BUDGET_MS;
+      const sim = this.sim, dt = this.cfg.SIM.dt;
+      if (this.speed === Infinity) {
+        while (!sim.done && Date.now() < t_end) sim.step();
+      } else {
+        // kredit dibatasi 1 s wall -> tidak ada burst kejar-kejaran setelah tab lambat
+        this.credit = Math.min(this.credit + ((now - this.last) / 1000) * this.speed, this.speed);
+        while (this.credit >= dt && !sim.done && Date.now() < t_end) {
+          sim.step();
+          this.credit -= dt;
+        }
+      }
+      this.last = now;
+      if (sim.done) {
+        this._finish("done");
+        return;
+      }
+      this._flush();
+      this._schedule();
+    } catch (err) {
+      this.status = "stopped";
+      this.post({ mode: "stream", status: "stopped", error: job_error(err, "stream") });
+    }
+  }
+
+  // baris chart & event baru sejak post terakhir
+  _flush(extra = {}) {
+    const { log, event_log } = this.sim;
+    const rows = [];
+    for (; this.i_row < log.t.length; this.i_row++) {
+      if (this.i_row % this.factor === 0) rows.push(chart_row(log, this.i_row, this.cfg));
+    }
+    const events = event_log.slice(this.i_ev).map(([t, msg]) => ({ t, msg }));
+    this.i_ev = event_log.length;
+    this.post({
+      mode: "stream", status: this.status, t: this.sim.t, sim_s: this.cfg.SIM.sim_s,
+      rows, events, distTargets: Object.keys(log.dist), valves: Object.keys(log.vp), splits: Object.keys(log.split), ...extra,
+    });
+  }
+
+  _finish(status) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.status = status;
+    const { log, bypass_log } = this.sim;
+    this._flush(log.t.length ? {
+      metrics: summarize_metrics(log, this.cfg), gate: gate_stats(log.route), bypasses: bypass_log,
+    } : {});
+  }
+}
+
+// ============================================================
+// 16) SNAPSHOT / RESTORE / BRANCHING (WHAT-IF)
+//   snapshot JSON: { format, version, t, cfg, state } -> state dinamis plant (buffer FOPDT, level / holdup),
+//   kontroler (integrator), gate (timer), interlock, valve, disturbance/fault (+ RNG) dan schedule di t
+//   restore: createSim(cfg) + load(state) -> lanjutan identik dengan run tanpa henti (seed & RNG ikut)
+//   branch : beberapa lanjutan dari state yang sama, beda tuning (Kp/Ti/Td) dan/atau aksi operator
+// ============================================================
+const SNAPSHOT_FORMAT = "dmpr-snapshot";
+const SNAPSHOT_VERSION = 1;
+
+const make_snapshot = (sim) => ({
+  format: SNAPSHOT_FORMAT,
+  version: SNAPSHOT_VERSION,
+  t: sim.t,
+  cfg: JSON.parse(JSON.stringify(sim.cfg)),
+  state: sim.snapshot(),
+});
+
+const check_snapshot = (snap) => {
+  const bad = (msg) => Object.assign(new Error(`Snapshot: ${msg}`), { code: "BAD_SNAPSHOT" });
+  if (!snap || typeof snap !== "object") throw bad("bukan object");
+  if (snap.format !== SNAPSHOT_FORMAT) throw bad(`format tidak dikenal (${snap.format})`);
+  if (snap.version !== SNAPSHOT_VERSION) throw bad(`versi ${snap.version} tidak didukung (versi ${SNAPSHOT_VERSION})`);
+  if (!snap.cfg?.SIM || !snap.cfg?.LOOP || !snap.state || typeof snap.state !== "object") {
+    throw bad("cfg / state tidak lengkap");
+  }
+};
+
+// tuning: { loop: { Kp, Ti, Td } } -> override cfg.LOOP, kontroler di-init ulang bumpless
+const restore_sim = (snap, tuning = {}) => {
+  check_snapshot(snap);
+  const cfg = JSON.parse(JSON.stringify(snap.cfg));
+  for (const [loop, x] of Object.entries(tuning)) cfg.LOOP[loop] = { ...cfg.LOOP[loop], ...x };
+  const sim = createSim(cfg);
+  sim.load(snap.state, Object.keys(tuning).length > 0);
+  return sim;
+};
+
+// run sampai t (>= 0), snapshot di akhir step terakhir
+const snapshot_at = (cfg, t) => {
+  const sim = createSim(cfg);
+  while (!sim.done && sim.t < t) sim.step();
+  return make_snapshot(sim);
+};
+
+// branch (dari UI / JSON): { name, tuning: { loop: { Kp, Ti, Td } }, events: [event skenario] }
+//   event dengan t < t snapshot diterapkan di t snapshot
+const sanitize_branch = (b, i, snap) => {
+  const where = `Branch #${i + 1}`;
+  if (!b || typeof b !== "object") throw new Error(`${where}: bukan object`);
+  const tuning = {};
+  for (const [loop, x] of Object.entries(b.tuning || {})) {
+    const L = snap.cfg.LOOP[loop];
+    if (!L) throw new Error(`${where}: loop tidak dikenal (${loop})`);
+    tuning[loop] = {
+      Kp: Math.max(0.0, numOr(x?.Kp, L.Kp)),
+      Ti: Math.max(1e-6, numOr(x?.Ti, L.Ti)),
+      Td: Math.max(0.0, numOr(x?.Td, L.Td ?? 0.0)),
+    };
+  }
+  const events = (Array.isArray(b.events) ? b.events : [])
+    .map((ev, k) => sanitize_event(ev, `${where}: event #${k + 1}`))
+    .map((ev) => ({ ...ev, t: Math.max(ev.t, snap.t) }))
+    .sort((x, y) => x.t - y.t);
+  return { name: String(b.name ?? "").trim() || `B${i + 1}`, tuning, events };
+};
+
+// 1 branch sampai sim_s; baris chart sejajar dengan run penuh (index global = t / dt)
+const run_branch = (snap, br) => {
+  const sim = restore_sim(snap, br.tuning);
+  const evs = [...br.events];
+  while (!sim.done) {
+    while (evs.length && evs[0].t <= sim.t) sim.inject(evs.shift());
+    sim.step();
+  }
+  const { cfg, log, event_log, bypass_log } = sim;
+  const factor = chart_factor(cfg);
+  const rows = [];
+  for (let i = 0; i < log.t.length; i++) {
+    if (Math.round(log.t[i] / cfg.SIM.dt) % factor === 0) rows.push(chart_row(log, i, cfg));
+  }
+  return {
+    name: br.name, tuning: br.tuning, events: br.events, rows,
+    metrics: summarize_metrics(log, cfg), gate: gate_stats(log.route),
+    eventLog: event_log.slice(0, 200).map(([t, msg]) => ({ t, msg })), bypasses: bypass_log,
+    distTargets: Object.keys(log.dist), valves: Object.keys(log.vp), splits: Object.keys(log.split),
+  };
+};
+
+// ============================================================
+// DEFAULT CONFIG (matching Colab decisions)
+// ============================================================
+const BASE_CONFIG = {
+  // integrator blok FOPDT: "zoh" (eksak + dead time pecahan) | "euler" (legacy)
+  // plant_dt: langkah integrasi plant maksimum (s), 0 = sama dengan dt (tanpa sub-step)
+  SIM: { sim_s: 3600, dt: 1.0, noise: true, seed: 12345, integrator: "zoh", plant_dt: 0 },
+
+  SP: {
+    F_feed: 50.0,
+    T_feed_out: 120.0,
+    T_reboiler: 165.0,
+    T_cond_out: 35.0,
+    F_reflux: 50.0,
+    L_v201: 50.0,
+    // local SP cascade slaves (dipakai saat slave AUTO)
+    F_steam: 40.0,
+    F_draw: 20.0,
+  },
+
+  RAMP: {
+    rate_F_feed: 0.50,
+    rate_T_feed_out: 0.05,
+    rate_T_reboiler: 0.05,
+    rate_T_cond_out: 0.05,
+    rate_F_reflux: 0.50,
+    rate_L_v201: 0.20,
+    rate_F_steam: 1.0,
+    rate_F_draw: 1.0,
+  },
+
+  MV_INIT: {
+    u_feed: 50.0,
+    u_steam_pre: 35.0,
+    u_steam_reb: 40.0,
+    u_cw: 45.0,
+    u_reflux: 55.0,
+    u_draw: 25.0,
+    u_cw_byp: 0.0,
+  },
+
+  // mode "AUTO" | "MAN" | "CAS" (CAS hanya slave cascade) ; man_out opsional (% output awal saat MAN)
+  // type "PI" | "PID" ; Td/N/beta/gamma/d_on hanya dipakai oleh PID
+  // bad_pv: kebijakan saat PV quality BAD ("HOLD" | "MAN" | "FAILSAFE"), fs_out = output fail-safe (%)
+  // scan: periode eksekusi controller (s, dibulatkan ke kelipatan SIM.dt), 0 = tiap step
+  LOOP: {
+    FIC101: { mode: "AUTO", type: "PI", Kp: 1.2, Ti: 40,  Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 50, aw: 0.12, bad_pv: "HOLD", fs_out: 0, scan: 0 },
+    TIC101: { mode: "AUTO", type: "PI", Kp: 1.2, Ti: 180, Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 35, aw: 0.15, bad_pv: "HOLD", fs_out: 0, scan: 0 },
+    TIC102: { mode: "AUTO", type: "PI", Kp: 1.1, Ti: 220, Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 40, aw: 0.15, bad_pv: "HOLD", fs_out: 0, scan: 0 },
+    TIC201: { mode: "AUTO", type: "PI", Kp: 1.0, Ti: 220, Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 45, aw: 0.15, action: "reverse", bad_pv: "HOLD", fs_out: 100, scan: 0 },
+    FIC201: { mode: "AUTO", type: "PI", Kp: 1.4, Ti: 80,  Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 55, aw: 0.10, bad_pv: "HOLD", fs_out: 50, scan: 0 },
+    LIC201: { mode: "AUTO", type: "PI", Kp: 0.8, Ti: 400, Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 25, aw: 0.08, action: "reverse", bad_pv: "HOLD", fs_out: 50, scan: 0 },
+
+    // cascade slaves (flow, cepat)
+    FIC102: { mode: "CAS",  type: "PI", Kp: 0.5, Ti: 10,  Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 40, aw: 0.15, bad_pv: "HOLD", fs_out: 0, scan: 0 },
+    FIC202: { mode: "CAS",  type: "PI", Kp: 0.6, Ti: 8,   Td: 0, N: 10, beta: 1.0, gamma: 1.0, d_on: "pv", out_min: 0, out_max: 100, bias: 25, aw: 0.15, bad_pv: "HOLD", fs_out: 50, scan: 0 },
+  },
+
+  // measured disturbance (src = PV key, x0 = nominal) -> ditambahkan ke output loop (sebelum interlock)
+  // K default ditala untuk backend fopdt (DistilPlant)
+  // cascade aktif: FF masuk ke output master (% SP slave)
+  FF: {
+    FF101: { enable: false, src: "T_feed_in",  x0: 30.0, loop: "TIC101", K: -1.667, T_lead: 0.0, T_lag: 0.0, theta: 0.0 },
+    FF102: { enable: false, src: "vapor_load", x0: 20.0, loop: "TIC102", K: -1.176, T_lead: 0.0, T_lag: 0.0, theta: 0.0 },
+    // feed +1 t/h -> T_reb -0.3 C (gain steam 0.85 C/%) -> steam +0.353 %; lead menutup lag + dead time F_steam
+    FF103: { enable: false, src: "F_feed",     x0: 50.0, loop: "TIC102", K: 0.353,  T_lead: 20.0, T_lag: 5.0, theta: 0.0 },
+    // ambient +1 C -> T_cond_out +0.15 C (gain CW -0.25 C/%) -> CW +0.6 %
+    FF104: { enable: false, src: "T_amb",      x0: 30.0, loop: "TIC201", K: 0.60,   T_lead: 0.0, T_lag: 0.0, theta: 0.0 },
+  },
+
+  // valve model per valve (lihat section 6d/6e). rate %/s (0 = tanpa batas), tau s, deadband/S/J %
+  // char: "linear" | "eq_pct" | "quick", R rangeability (eq_pct), authority 0..1 (1 = tanpa distorsi installed)
+  // enable: false -> aktuator linier ideal (dinamika & karakteristik diabaikan)
+  VALVE: {
+    FV101:  { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+    TV101:  { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+    TV102:  { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+    TV201:  { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+    FV201:  { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+    LV201:  { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+    TV201B: { enable: false, rate: 0.0, tau: 0.0, deadband: 0.0, model: "none", S: 0.0, J: 0.0, char: "linear", R: 50, authority: 1.0 },
+  },
+
+  // split range per loop (lihat section 6e). segmen: OP [op_lo, op_hi] % -> command [out_lo, out_hi] %
+  // TIC-201: OP rendah buka bypass uap panas (TV-201B), OP tinggi buka CW (TV-201)
+  SPLIT: {
+    TIC201: {
+      enable: false,
+      segments: [
+        { mv: "u_cw_byp", op_lo: 0,  op_hi: 30,  out_lo: 100, out_hi: 0 },
+        { mv: "u_cw",     op_lo: 30, op_hi: 100, out_lo: 0,   out_hi: 100 },
+      ],
+    },
+  },
+
+
+  // master -> slave. Output master (0..100 %) = SP slave dalam range [sp_lo, sp_hi]
+  // mode slave ada di LOOP: "CAS" (SP dari master) | "AUTO" (SP lokal) | "MAN" (valve ditahan)
+  CASCADE: {
+    TIC102: { enable: false, slave: "FIC102", sp_lo: 0.0, sp_hi: 100.0 },
+    LIC201: { enable: false, slave: "FIC202", sp_lo: 0.0, sp_hi: 80.0 },
+  },
+
+  GATE: {
+    TT106_on_low: 60.0,
+    TT106_on_high: 120.0,
+
+    rho15_on_low: 0.700,
+    rho15_on_high: 0.775,
+
+    TT106_off_low: 58.0,
+    TT106_off_high: 122.0,
+    rho15_off_low: 0.695,
+    rho15_off_high: 0.780,
+
+    dTsub_min: 5.0,
+    dTsub_min_off: 4.0,
+
+    delay_on_s: 120.0,
+    delay_off_s: 30.0,
+
+    perm_L_min: 10.0,
+    perm_L_max: 90.0,
+  },
+
+  // interlock table (lihat section 5). urutan = prioritas first-out pada tick yang sama
+  // bad_trip: PV quality BAD dianggap trip (IL-05 false: level BAD cukup ditangani IL-04)
+  IL: [
+    { id: "IL-01", desc: "Preheater T_HH -> close steam_pre (TV-101)", tag: "T_feed_out", cmp: ">=", sp: 150.0,
+      deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE", target: "u_steam_pre", value: 0.0, latch: false,
+      bypass: false, bypass_max: 3600, bad_trip: true },
+    { id: "IL-02", desc: "Reboiler T_HH -> close steam_reb (TV-102)", tag: "T_reb", cmp: ">=", sp: 200.0,
+      deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE", target: "u_steam_reb", value: 0.0, latch: false,
+      bypass: false, bypass_max: 3600, bad_trip: true },
+    // FIX: reachable HH for current condenser model
+    { id: "IL-03", desc: "Condenser T_out_HH -> force RECYCLE", tag: "T_cond_out", cmp: ">=", sp: 46.0,
+      deadband: 0.0, delay_on: 0, delay_off: 0, action: "ROUTE", target: "RECYCLE", value: null, latch: false,
+      bypass: false, bypass_max: 3600, bad_trip: true },
+    { id: "IL-04", desc: "V201 Level_HH -> force draw high (LV-201)", tag: "L_v201", cmp: ">=", sp: 95.0,
+      deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE_MIN", target: "u_draw", value: 90.0, latch: false,
+      bypass: false, bypass_max: 3600, bad_trip: true },
+    { id: "IL-05", desc: "V201 Level_LL -> force draw low (LV-201)", tag: "L_v201", cmp: "<=", sp: 5.0,
+      deadband: 0.0, delay_on: 0, delay_off: 0, action: "FORCE_MAX", target: "u_draw", value: 0.0, latch: false,
+      bypass: false, bypass_max: 3600, bad_trip: false },
+    { id: "IL-06", desc: "Analyzer FAIL -> force RECYCLE", tag: "analyzer_ok", cmp: "==", sp: 0,
+      deadband: 0.0, delay_on: 0, delay_off: 0, action: "ROUTE", target: "RECYCLE", value: null, latch: false,
+      bypass: false, bypass_max: 3600, bad_trip: true },
+  ],
+
+  TEST: {
+    sp_steps: [],
+    t_feed_dist: 900,
+    d_feed_temp: 0.0,
+    t_vapor_dist: 1500,
+    d_vapor: 0.0,
+    t_steam_dist: 1200,
+    d_steam_press: 0.0,
+    t_cw_degrade: 2100,
+    cw_degrade_drop: 0.0,
+    analyzer_fail_enable: false,
+    t_analyzer_fail: 2600,
+
+    // operator actions: [{ t, loop, mode }] dan [{ t, loop, out }] / [{ t, loop, delta }] (% output)
+    mode_changes: [],
+    man_moves: [],
+
+    // operator reset interlock latched: [{ t, id }] (id = "ALL" untuk semua)
+    il_resets: [],
+
+    // bypass interlock terjadwal: [{ t, id, on }] (on=false -> un-bypass)
+    il_bypass: [],
+
+    // relay experiment (auto-tune): { loop, t_start, h, eps } atau null
+    relay: null,
+
+    // disturbance generator (ramp/sine/pulse/random walk/profile): [{ target, shape, t0, dur, ... }]
+    dist: [],
+
+    // sensor fault: [{ sensor, fault, t0, dur, value, period }]
+    faults: [],
+  },
+
+  // override blok plant (K, tau, theta, tau2) — mis. hasil identifikasi. Kosong = PLANT_BLOCKS
+  // flow_lag: dinamika FOPDT flow steam / draw (DistilPlant), false = gain statis
+  // backend plant: id PLANT_REGISTRY ("fopdt" DistilPlant | "tray" TrayColumnPlant, section 6a)
+  // parameter model per id (cfg.PLANT[id], spec entry.params)
+  PLANT: {
+    backend: "fopdt",
+    blocks: {},
+    flow_lag: { F_steam: true, F_draw: true },
+    tray: { ...TRAY_DEFAULTS },
+  },
+
+  // MODE UJI: scenarios null = DEFAULT_SCENARIOS (src/scenarios.js); single = skenario untuk run tunggal
+  SUITE: {
+    scenarios: null,
+    single: null,
+    baseline: null,                            // hasil make_baseline() dari run sebelumnya
+    reg_tol: { IAE_pct: 5.0, product_pt: 1.0 }, // toleransi regresi vs baseline
+  },
+
+  // montecarlo mode: N run, +/- % mismatch model, disturbance nominal (diacak), seed
+  MC: {
+    n: 50,
+    seed: 12345,
+    noise: true,
+    K_pct: 20.0,
+    tau_pct: 20.0,
+    theta_pct: 30.0,
+    dist_pct: 50.0,
+    dist_t_s: 300.0,
+    dist: { d_feed_temp: 8.0, d_vapor: 6.0, d_steam_press: -8.0, cw_degrade_drop: 0.25 },
+  },
+
+  // optimize mode: loop yang dicari, skenario suite ([] = semua), batas & bobot objektif
+  OPT: {
+    loops: ["TIC102"],
+    scenarios: [],
+    budget: 40,
+    bounds: { Kp: [0.05, 20.0], Ti: [5.0, 900.0], Td: [0.0, 120.0] },
+    loop_bounds: {},
+    weights: { IAE: 1.0, ITAE: 0.0, OS: 0.05, MV: 0.01 },
+  },
+
+  METRIC: {
+    normalize_error: true,
+    span: {
+      T_feed_out: 60.0,
+      T_reb: 80.0,
+      T_cond_out: 50.0,
+      F_feed: 100.0,
+      F_reflux: 100.0,
+      L_v201: 100.0,
+    },
+    settle_band: 0.02,
+    settle_hold_s: 60.0,
+  }
+};
+
+// ============================================================
+// Build cfg from UI params
+// ============================================================
+const build_cfg_from_params = (p) => {
+  const cfg = deepCopyCfg(BASE_CONFIG);
+
+  // SIM (sanitized)
+  cfg.SIM.sim_s = clamp(numOr(p.sim_s, cfg.SIM.sim_s), 600, 7200);
+  cfg.SIM.dt    = clamp(numOr(p.dt,    cfg.SIM.dt),    0.5, 5.0);
+  cfg.SIM.noise = boolOr(p.noise, cfg.SIM.noise);
+  cfg.SIM.seed  = Math.floor(clamp(numOr(p.seed, cfg.SIM.seed), 0, 4294967295));
+  if (INTEGRATORS.includes(p.integrator)) cfg.SIM.integrator = p.integrator;
+  cfg.SIM.plant_dt = clamp(numOr(p.plant_dt, cfg.SIM.plant_dt), 0, cfg.SIM.dt);
+
+  // SP (sanitized)
+  cfg.SP.F_feed     = numOr(p.sp_Ffeed,   cfg.SP.F_feed);
+  cfg.SP.T_feed_out = numOr(p.sp_Tfeed,   cfg.SP.T_feed_out);
+  cfg.SP.T_reboiler = numOr(p.sp_Treb,    cfg.SP.T_reboiler);
+  cfg.SP.T_cond_out = numOr(p.sp_Tcond,   cfg.SP.T_cond_out);
+  cfg.SP.F_reflux   = numOr(p.sp_Freflux, cfg.SP.F_reflux);
+  cfg.SP.L_v201     = numOr(p.sp_Lv201,   cfg.SP.L_v201);
+
+  // LOOP tuning (sanitized + clamped)
+  const clampKp = (v, fallback) => Math.max(0.0, numOr(v, fallback));
+  const clampTi = (v, fallback) => Math.max(1e-6, numOr(v, fallback));
+
+  const clampTd = (v, fallback) => Math.max(0.0, numOr(v, fallback));
+  const clampN  = (v, fallback) => clamp(numOr(v, fallback), 1.0, 100.0);
+
+  for (const name of ["FIC101", "TIC101", "TIC102", "TIC201", "FIC201", "LIC201", "FIC102", "FIC202"]) {
+    const L = cfg.LOOP[name];
+    L.Kp = clampKp(p[`kp${name}`], L.Kp);
+    L.Ti = clampTi(p[`ti${name}`], L.Ti);
+
+    // PID extras (dipakai hanya jika type = "PID")
+    L.Td    = clampTd(p[`td${name}`], L.Td);
+    L.N     = clampN(p[`n${name}`], L.N);
+    L.beta  = clamp01(numOr(p[`beta${name}`], L.beta));
+    L.gamma = clamp01(numOr(p[`gamma${name}`], L.gamma));
+    if (p[`don${name}`] === "pv" || p[`don${name}`] === "error") L.d_on = p[`don${name}`];
+    if (p[`type${name}`] === "PI" || p[`type${name}`] === "PID") L.type = p[`type${name}`];
+
+    // operator mode + output manual awal
+    const m = p[`mode${name}`];
+    if (m === "AUTO" || m === "MAN" || m === "CAS") L.mode = m;
+    if (p[`man${name}`] !== undefined) L.man_out = clamp(numOr(p[`man${name}`], 50.0), 0, 100);
+
+    // bad-PV policy + output fail-safe
+    if (["HOLD", "MAN", "FAILSAFE"].includes(p[`badpv${name}`])) L.bad_pv = p[`badpv${name}`];
+    L.fs_out = clamp(numOr(p[`fs${name}`], L.fs_out), 0, 100);
+
+    // scan rate controller (s), 0 = tiap step simulasi
+    L.scan = clamp(numOr(p[`scan${name}`], L.scan ?? 0), 0, 60);
+  }
+
+  // CASCADE (TIC-102 -> FIC-102, LIC-201 -> FIC-202)
+  for (const master of Object.keys(cfg.CASCADE)) {
+    const k = cfg.CASCADE[master];
+    k.enable = boolOr(p[`cas${master}`], k.enable);
+  }
+
+  // FEEDFORWARD paths (enable + K / lead / lag / dead time)
+  for (const id of Object.keys(cfg.FF)) {
+    const f = cfg.FF[id];
+    f.enable = boolOr(p[`ff${id}`], f.enable);
+    f.K      = numOr(p[`ffK${id}`], f.K);
+    f.T_lead = Math.max(0.0, numOr(p[`ffLead${id}`], f.T_lead));
+    f.T_lag  = Math.max(0.0, numOr(p[`ffLag${id}`], f.T_lag));
+    f.theta  = Math.max(0.0, numOr(p[`ffTheta${id}`], f.theta));
+  }
+
+  // VALVE model (rate limit / lag / deadband / stiction)
+  for (const id of Object.keys(cfg.VALVE)) {
+    const v = cfg.VALVE[id];
+    v.enable   = boolOr(p[`vl${id}`], v.enable);
+    v.rate     = Math.max(0.0, numOr(p[`vlRate${id}`], v.rate));
+    v.tau      = Math.max(0.0, numOr(p[`vlTau${id}`], v.tau));
+    v.deadband = clamp(numOr(p[`vlDb${id}`], v.deadband), 0, 50);
+    if (VALVE_MODELS.includes(p[`vlModel${id}`])) v.model = p[`vlModel${id}`];
+    v.S        = clamp(numOr(p[`vlS${id}`], v.S), 0, 50);
+    v.J        = clamp(numOr(p[`vlJ${id}`], v.J), 0, v.S);
+    if (VALVE_CHARS.includes(p[`vlChar${id}`])) v.char = p[`vlChar${id}`];
+    v.R         = clamp(numOr(p[`vlR${id}`], v.R), 2, 200);
+    v.authority = clamp(numOr(p[`vlAuth${id}`], v.authority), 0.01, 1);
+  }
+
+  // SPLIT range (1 output loop -> beberapa valve)
+  for (const loop of Object.keys(cfg.SPLIT)) {
+    const x = cfg.SPLIT[loop];
+    x.enable = boolOr(p[`spl${loop}`], x.enable);
+    if (Array.isArray(p[`splSeg${loop}`])) x.segments = sanitize_split(p[`splSeg${loop}`], LOOP_IO[loop].mv, `Split range ${loop}`);
+  }
+
+  // GATE knobs (sanitized)
+  cfg.GATE.TT106_on_low  = numOr(p.g_tt_low,    cfg.GATE.TT106_on_low);
+  cfg.GATE.TT106_on_high = numOr(p.g_tt_high,   cfg.GATE.TT106_on_high);
+
+  cfg.GATE.rho15_on_low  = numOr(p.g_rho_low,   cfg.GATE.rho15_on_low);
+  cfg.GATE.rho15_on_high = numOr(p.g_rho_high,  cfg.GATE.rho15_on_high);
+
+  cfg.GATE.dTsub_min     = Math.max(0.0, numOr(p.g_dTsub, cfg.GATE.dTsub_min));
+  cfg.GATE.delay_on_s    = Math.max(0.0, numOr(p.g_delay_on, cfg.GATE.delay_on_s));
+  cfg.GATE.delay_off_s   = Math.max(0.0, numOr(p.g_delay_off, cfg.GATE.delay_off_s));
+
+  // normalize ordering (robust if user swaps)
+  if (cfg.GATE.TT106_on_low > cfg.GATE.TT106_on_high) {
+    const tmp = cfg.GATE.TT106_on_low;
+    cfg.GATE.TT106_on_low = cfg.GATE.TT106_on_high;
+    cfg.GATE.TT106_on_high = tmp;
+  }
+  if (cfg.GATE.rho15_on_low > cfg.GATE.rho15_on_high) {
+    const tmp = cfg.GATE.rho15_on_low;
+    cfg.GATE.rho15_on_low = cfg.GATE.rho15_on_high;
+    cfg.GATE.rho15_on_high = tmp;
+  }
+
+  // auto hysteresis widening
+  cfg.GATE.TT106_off_low  = cfg.GATE.TT106_on_low - 2.0;
+  cfg.GATE.TT106_off_high = cfg.GATE.TT106_on_high + 2.0;
+  cfg.GATE.rho15_off_low  = cfg.GATE.rho15_on_low - 0.005;
+  cfg.GATE.rho15_off_high = cfg.GATE.rho15_on_high + 0.005;
+  cfg.GATE.dTsub_min_off  = Math.max(0.0, cfg.GATE.dTsub_min - 1.0);
+
+  // operator schedule (opsional, dari UI / script)
+  const sanitizeEvents = (arr, valid) => (Array.isArray(arr) ? arr : [])
+    .filter((x) => x && typeof x === "object" && Number.isFinite(Number(x.t)) && valid(x))
+    .map((x) => ({ ...x, t: Number(x.t) }));
+
+  cfg.TEST.mode_changes = sanitizeEvents(p.mode_changes, (x) => ["AUTO", "MAN", "CAS"].includes(x.mode));
+  cfg.TEST.man_moves = sanitizeEvents(p.man_moves, (x) => Number.isFinite(Number(x.out ?? x.delta)));
+  cfg.TEST.il_resets = sanitizeEvents(p.il_resets, (x) => typeof x.id === "string" && x.id.length > 0);
+  cfg.TEST.il_bypass = sanitizeEvents(p.il_bypass, (x) => typeof x.id === "string" && x.id.length > 0)
+    .map((x) => ({ ...x, on: boolOr(x.on, true) }));
+
+  // disturbance library (run tunggal). Entry tidak valid -> throw (ditampilkan sebagai error)
+  if (Array.isArray(p.dist_list)) cfg.TEST.dist = p.dist_list.map((d, i) => sanitize_dist(d, `Disturbance #${i + 1}`));
+  if (Array.isArray(p.fault_list)) cfg.TEST.faults = p.fault_list.map((f, i) => sanitize_fault(f, `Fault #${i + 1}`));
+
+  // INTERLOCK table (editable dari UI). Row tidak valid dibuang, id duplikat diabaikan
+  if (Array.isArray(p.il_table)) {
+    const seen = new Set();
+    cfg.IL = p.il_table.map((r) => sanitize_il_row(r)).filter((r) => r && !seen.has(r.id) && seen.add(r.id));
+  }
+
+  // PLANT overrides (hanya blok yang dikirim dari UI)
+  for (const k of Object.keys(PLANT_BLOCKS)) {
+    if (p[`plantK_${k}`] === undefined) continue;
+    const def = PLANT_BLOCKS[k];
+    cfg.PLANT.blocks[k] = {
+      K:     numOr(p[`plantK_${k}`], def.K),
+      tau:   Math.max(cfg.SIM.dt, numOr(p[`plantTau_${k}`], def.tau)),
+      theta: Math.max(0.0, numOr(p[`plantTheta_${k}`], def.theta)),
+      tau2:  Math.max(0.0, numOr(p[`plantTau2_${k}`], def.tau2)),
+    };
+  }
+
+  // lag flow steam / draw (satu toggle UI untuk keduanya)
+  if (p.flowLag !== undefined) {
+    const on = boolOr(p.flowLag, true);
+    cfg.PLANT.flow_lag = { F_steam: on, F_draw: on };
+  }
+
+  // PLANT backend (PLANT_REGISTRY) + parameter model dari param UI `${id}_${key}`
+  if (Object.hasOwn(PLANT_REGISTRY, String(p.backend))) cfg.PLANT.backend = p.backend;
+  for (const [id, e] of Object.entries(PLANT_REGISTRY)) {
+    if (!Object.keys(e.params).length) continue;
+    const src = { ...(cfg.PLANT[id] || {}) };
+    for (const k of Object.keys(e.params)) if (p[`${id}_${k}`] !== undefined) src[k] = p[`${id}_${k}`];
+    cfg.PLANT[id] = sanitize_plant_params(id, src);
+  }
+
+  // SUITE: skenario custom dari editor UI / file JSON (invalid -> throw, ditampilkan sebagai error)
+  if (Array.isArray(p.scenarios) && p.scenarios.length) {
+    const list = p.scenarios.map((sc, i) => sanitize_scenario(sc, i));
+    const names = new Set();
+    for (const sc of list) {
+      if (names.has(sc.name)) throw new Error(`Skenario: nama duplikat (${sc.name})`);
+      names.add(sc.name);
+    }
+    cfg.SUITE.scenarios = list;
+  }
+  if (p.single_scenario) cfg.SUITE.single = sanitize_scenario(p.single_scenario);
+  if (Array.isArray(p.suite_baseline?.results)) cfg.SUITE.baseline = p.suite_baseline;
+  cfg.SUITE.reg_tol.IAE_pct = clamp(numOr(p.reg_IAE_pct, cfg.SUITE.reg_tol.IAE_pct), 0, 1000);
+  cfg.SUITE.reg_tol.product_pt = clamp(numOr(p.reg_product_pt, cfg.SUITE.reg_tol.product_pt), 0, 100);
+
+  // MONTE CARLO settings
+  const MC = cfg.MC;
+  MC.n         = Math.round(clamp(numOr(p.mc_n, MC.n), 1, 1000));
+  MC.seed      = Math.floor(clamp(numOr(p.mc_seed, cfg.SIM.seed), 0, 4294967295));
+  MC.noise     = boolOr(p.mc_noise, MC.noise);
+  MC.K_pct     = clamp(numOr(p.mc_K_pct, MC.K_pct), 0, 90);
+  MC.tau_pct   = clamp(numOr(p.mc_tau_pct, MC.tau_pct), 0, 90);
+  MC.theta_pct = clamp(numOr(p.mc_theta_pct, MC.theta_pct), 0, 100);
+  MC.dist_pct  = clamp(numOr(p.mc_dist_pct, MC.dist_pct), 0, 100);
+  MC.dist_t_s  = Math.max(0.0, numOr(p.mc_dist_t_s, MC.dist_t_s));
+
+  // OPTIMIZE settings
+  const O = cfg.OPT;
+  const optLoops = Array.isArray(p.opt_loops) ? p.opt_loops : String(p.opt_loops ?? "").split(",");
+  const validLoops = optLoops.map((x) => String(x).trim()).filter((x) => x in LOOP_IO);
+  if (validLoops.length) O.loops = validLoops;
+  if (Array.isArray(p.opt_scenarios)) O.scenarios = p.opt_scenarios.map(String);
+  O.budget = Math.round(clamp(numOr(p.opt_budget, O.budget), 5, 500));
+
+  const pair = (lo, hi, fb, min) => {
+    const a = Math.max(min, numOr(lo, fb[0]));
+    const b = Math.max(min, numOr(hi, fb[1]));
+    return a < b ? [a, b] : (a > b ? [b, a] : fb);
+  };
+  O.bounds.Kp = pair(p.opt_kp_lo, p.opt_kp_hi, O.bounds.Kp, 1e-3);
+  O.bounds.Ti = pair(p.opt_ti_lo, p.opt_ti_hi, O.bounds.Ti, 1e-3);
+  O.bounds.Td = pair(p.opt_td_lo, p.opt_td_hi, O.bounds.Td, 0.0);
+
+  for (const k of ["IAE", "ITAE", "OS", "MV"]) {
+    O.weights[k] = Math.max(0.0, numOr(p[`opt_w_${k}`], O.weights[k]));
+  }
+
+  // Single-run toggle: analyzer fail only (disturbances OFF by default)
+  cfg.TEST.analyzer_fail_enable = boolOr(p.analyzerFail, cfg.TEST.analyzer_fail_enable);
+
+  return cfg;
+};
+
+// ============================================================
+// HEADLESS RUN (worker mode "single", CLI / script Node)
+// ============================================================
+// run tunggal ("single" / "stream" / "snapshot"): SP step & step disturbance lama OFF (analyzer fail tetap dari UI)
+// cfg.SUITE.single: jalankan 1 skenario dari library (noise ikut setting UI)
+const single_run_cfg = (cfg) => {
+  if (cfg.SUITE.single) return scenario_to_cfg(cfg, cfg.SUITE.single, cfg.SIM.noise);
+  cfg.TEST.sp_steps = [];
+  cfg.TEST.d_feed_temp = 0.0;
+  cfg.TEST.d_vapor = 0.0;
+  cfg.TEST.d_steam_press = 0.0;
+  cfg.TEST.cw_degrade_drop = 0.0;
+  return cfg;
+};
+
+// run tunggal lengkap: log resolusi penuh + metrics / gate (chart & decimation urusan pemanggil)
+const run_single = (cfg) => {
+  const run_cfg = single_run_cfg(cfg);
+  const { log, event_log, bypass_log, trip_log } = simulate(run_cfg);
+  return {
+    cfg: run_cfg, log, event_log, bypass_log, trip_log,
+    metrics: summarize_metrics(log, run_cfg),
+    gate: gate_stats(log.route),
+  };
+};
+
+// log simulate -> CSV resolusi penuh (1 baris per dt); kolom objek dist / vp / split -> "dist.d_feed_temp", dst.
+const log_to_csv = (log) => {
+  const cols = [];
+  for (const [k, v] of Object.entries(log)) {
+    if (Array.isArray(v)) cols.push([k, v]);
+    else if (v && typeof v === "object") for (const [sub, arr] of Object.entries(v)) cols.push([`${k}.${sub}`, arr]);
+  }
+  const cell = (x) => (x === null || x === undefined ? "" : typeof x === "boolean" ? Number(x) : x);
+  const lines = [cols.map(([k]) => k).join(",")];
+  for (let i = 0; i < log.t.length; i++) lines.push(cols.map(([, arr]) => cell(arr[i])).join(","));
+  return `${lines.join("\n")}\n`;
+};
+
+// ============================================================
+// PUBLIC API — dipakai src/sim.worker.js (UI) & bin/dmpr.js (CLI)
+// ============================================================
+export {
+  clamp, numOr, BASE_CONFIG, build_cfg_from_params, single_run_cfg, run_single, log_to_csv,
+  createSim, simulate, summarize_metrics, gate_stats, chart_row, LOOP_IO, plant_catalog, registerPlant,
+  suite_scenarios, run_test_suite, run_autotune, run_optimize, run_ident, run_montecarlo,
+  SimStream, job_error, make_snapshot, check_snapshot, restore_sim, snapshot_at, sanitize_branch, run_branch,
+  FOPDTDev, Valve, fit_model,
+};
@@ -0,0 +1,80 @@
+// test/dmpr.test.js — CLI headless bin/dmpr.js: exit code 0 (PASS), 1 (FAIL / regresi), 2 (usage)
+//   jalankan: npm test (node --test)
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const BIN = fileURLToPath(new URL("../bin/dmpr.js", import.meta.url));
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dmpr-test-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const writeJson = (name, data) => {
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+};
+
+const dmpr = (...args) => spawnSync(process.execPath, [BIN, ...args], { cwd: tmp, encoding: "utf8", timeout: 120000 });
+
+// run pendek: 1 skenario SP step TIC-102, sim 600 s
+const config = writeJson("cfg.json", { sim_s: 600 });
+const suite = (IAE_max) => writeJson(`suite_${IAE_max}.json`, [{
+  name: "STEP_TIC102", loop: "TIC102",
+  events: [{ t: 100, type: "sp_step", key: "T_reb", delta: 2.0 }],
+  criteria: { IAE_max },
+}]);
+
+test("run PASS -> exit 0, metrics / summary / baseline / log ditulis", () => {
+  const out = path.join(tmp, "pass");
+  const r = dmpr("run", "--config", config, "--scenario", suite(1e6), "--out", out);
+  assert.equal(r.status, 0, r.stderr);
+  for (const f of ["metrics.json", "summary.csv", "baseline.json", "STEP_TIC102.csv", "STEP_TIC102.events.json"]) {
+    assert.ok(fs.existsSync(path.join(out, f)), f);
+  }
+  assert.equal(JSON.parse(fs.readFileSync(path.join(out, "metrics.json"), "utf8")).pass, true);
+});
+
+test("run FAIL criteria -> exit 1", () => {
+  const r = dmpr("run", "--config", config, "--scenario", suite(0), "--out", path.join(tmp, "fail"));
+  assert.equal(r.status, 1, r.stderr);
+  assert.match(r.stdout, /FAIL {2}STEP_TIC102/);
+});
+
+test("run regresi vs baseline -> exit 1", () => {
+  const out = path.join(tmp, "reg");
+  const scenario = suite(1e6);
+  assert.equal(dmpr("run", "--config", config, "--scenario", scenario, "--out", out).status, 0);
+
+  // baseline yang lebih baik dari hasil sekarang -> regresi Total IAE
+  const base = JSON.parse(fs.readFileSync(path.join(out, "baseline.json"), "utf8"));
+  for (const r of base.results) r.totalIAE *= 0.5;
+  const r = dmpr("run", "--config", config, "--scenario", scenario, "--baseline", writeJson("base.json", base), "--out", out);
+  assert.equal(r.status, 1, r.stderr);
+  assert.match(r.stdout, /regresi: .*Total IAE/);
+});
+
+test("single -> exit 0", () => {
+  const r = dmpr("single", "--config", config, "--out", path.join(tmp, "single"));
+  assert.equal(r.status, 0, r.stderr);
+});
+
+test("argumen / file / config tidak valid -> exit 2", () => {
+  const cases = [
+    [],
+    ["bogus"],
+    ["run", "--nope"],
+    ["run", "--config", path.join(tmp, "missing.json")],
+    ["run", "--config", writeJson("array.json", [1, 2])],
+    ["run", "--config", config, "--scenario", writeJson("empty.json", { scenarios: [] })],
+  ];
+  for (const args of cases) {
+    const r = dmpr(...args, "--out", path.join(tmp, "usage"));
+    assert.equal(r.status, 2, `dmpr ${args.join(" ")}: ${r.stderr}`);
+    assert.match(r.stderr, /usage:/);
+  }
+});
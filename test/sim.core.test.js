@@ -0,0 +1,218 @@
+// test/sim.core.test.js — core simulasi: determinisme seed, snapshot / restore, cascade / FF, interlock, mode bumpless,
+//   registry plant, numerik (ZOH, identifikasi LS, stiction)
+//   jalankan: npm test (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  build_cfg_from_params, run_single, createSim, simulate, summarize_metrics, make_snapshot, restore_sim,
+  chart_row, registerPlant, FOPDTDev, Valve, fit_model,
+} from "../src/sim.core.js";
+
+// run pendek dengan noise, SP step, disturbance random walk & fault sensor (semua memakai RNG seed)
+const busyCfg = (seed = 7) => {
+  const cfg = build_cfg_from_params({ sim_s: 1200, noise: true, seed });
+  cfg.TEST.sp_steps = [{ t: 300, key: "T_reb", delta: 3 }];
+  cfg.TEST.dist = [{ target: "d_vapor", shape: "random_walk", t0: 100, sigma: 0.2, tau: 100, limit: 0, dur: 0 }];
+  cfg.TEST.faults = [{ sensor: "TT106", fault: "noise", t0: 200, dur: 0, value: 0.3, period: 0 }];
+  return cfg;
+};
+
+const runToEnd = (sim) => {
+  while (!sim.done) sim.step();
+  return sim.log;
+};
+
+// log createSim dari index `from` (array per tag, termasuk dist / vp / split per key)
+const logTail = (log, from) => Object.fromEntries(Object.entries(log).map(([k, v]) => [
+  k,
+  Array.isArray(v) ? v.slice(from) : Object.fromEntries(Object.entries(v).map(([kk, vv]) => [kk, vv.slice(from)])),
+]));
+
+test("run dengan seed tetap reproducible, seed lain berbeda", () => {
+  const a = run_single(build_cfg_from_params({ sim_s: 1200, noise: true, seed: 7, sp_Treb: 167 }));
+  const b = run_single(build_cfg_from_params({ sim_s: 1200, noise: true, seed: 7, sp_Treb: 167 }));
+  const c = run_single(build_cfg_from_params({ sim_s: 1200, noise: true, seed: 8, sp_Treb: 167 }));
+
+  assert.deepEqual(a.log, b.log);
+  assert.deepEqual(a.metrics, b.metrics);
+  assert.notDeepEqual(a.log.T_reb, c.log.T_reb);
+});
+
+test("restore snapshot (lewat JSON) melanjutkan run persis", () => {
+  const full = runToEnd(createSim(busyCfg()));
+
+  for (const t of [0, 457, 900.5]) {
+    const sim = createSim(busyCfg());
+    while (sim.t < t) sim.step();
+    const snap = JSON.parse(JSON.stringify(make_snapshot(sim)));
+
+    const rest = runToEnd(restore_sim(snap));
+    assert.deepEqual(rest, logTail(full, full.t.length - rest.t.length), `snapshot t = ${t}`);
+  }
+});
+
+// IAE per PV untuk run dengan param UI + override cfg.TEST (step disturbance lama, jadwal mode, dst.)
+const iaeOf = (params, test, name) => {
+  const cfg = build_cfg_from_params({ sim_s: 2400, ...params });
+  Object.assign(cfg.TEST, test);
+  return summarize_metrics(simulate(cfg).log, cfg).find((m) => m.name === name).IAE;
+};
+
+test("cascade TIC-102 -> FIC-102 menolak gangguan steam header lebih baik", () => {
+  const dist = { d_steam_press: -8.0, t_steam_dist: 600 };
+  const single = iaeOf({}, dist, "T_reb");
+  const cascade = iaeOf({ casTIC102: true }, dist, "T_reb");
+  assert.ok(cascade < 0.5 * single, `cascade ${cascade} vs single ${single}`);
+});
+
+test("feedforward FF-101 (T_feed_in -> TIC-101) mengurangi IAE gangguan feed inlet", () => {
+  const dist = { d_feed_temp: 8.0, t_feed_dist: 600 };
+  const fb = iaeOf({}, dist, "T_feed_out");
+  const ff = iaeOf({ ffFF101: true }, dist, "T_feed_out");
+  assert.ok(ff < 0.5 * fb, `FF ${ff} vs FB ${fb}`);
+});
+
+test("feed flow naik mendinginkan reboiler, FF-103 (F_feed -> TIC-102) menahan T_reb", () => {
+  const step = { sp_steps: [{ t: 600, key: "F_feed", delta: 5.0 }] };
+  const fb = iaeOf({ noise: false }, step, "T_reb");
+  const ff = iaeOf({ noise: false, ffFF103: true }, step, "T_reb");
+  assert.ok(fb > 1.0, `coupling F_feed -> T_reb ${fb}`);
+  assert.ok(ff < 0.2 * fb, `FF ${ff} vs FB ${fb}`);
+});
+
+test("interlock: latch sampai operator reset, first-out, bypass menekan trip", () => {
+  const row = (id, sp) => ({
+    id, desc: "", tag: "T_reb", cmp: ">=", sp, deadband: 0.5, delay_on: 0, delay_off: 0,
+    action: "FORCE", target: "u_steam_reb", value: 0.0, latch: true, bypass: false, bypass_max: 3600, bad_trip: true,
+  });
+  const run = (il_bypass = []) => {
+    const cfg = build_cfg_from_params({ sim_s: 2400 });
+    cfg.IL = [row("IL-A", 169.0), row("IL-B", 166.0)];
+    cfg.TEST.sp_steps = [{ t: 100, key: "T_reb", delta: 5.0 }];
+    cfg.TEST.il_resets = [{ t: 1800, id: "ALL" }];
+    cfg.TEST.il_bypass = il_bypass;
+    return simulate(cfg);
+  };
+  const msgs = (r, re) => r.event_log.filter(([, m]) => re.test(m));
+  const at = (r, t) => r.log.u_steam_reb[r.log.t.indexOf(t)];
+
+  // IL-B (SP lebih rendah) trip duluan -> first-out, steam ditutup & tetap tertutup (latched) sampai reset
+  const a = run();
+  assert.deepEqual(a.trip_log.map((x) => x.id), ["IL-B"]);
+  assert.match(msgs(a, /FIRST_OUT/)[0][1], /IL-B/);
+  const t_trip = a.trip_log[0].t;
+  assert.equal(at(a, t_trip + 600), 0.0);
+  assert.equal(at(a, 1799), 0.0);
+  assert.deepEqual(msgs(a, /INTERLOCK_OFF/).map(([t]) => t), [1800]);
+  assert.ok(at(a, 1900) > 0.0);
+
+  // IL-B di-bypass: trip dicatat tapi ditekan, IL-A yang menjadi first-out
+  const b = run([{ t: 0, id: "IL-B", on: true }]);
+  assert.ok(b.trip_log.find((x) => x.id === "IL-B").bypassed);
+  assert.equal(msgs(b, /INTERLOCK_SUPPRESSED: IL-B/).length, 1);
+  assert.match(msgs(b, /FIRST_OUT/)[0][1], /IL-A/);
+  assert.equal(msgs(b, /INTERLOCK_ON: IL-B/).length, 0);
+});
+
+test("mode MAN -> AUTO bumpless: output ditahan di MAN, tanpa lonjakan saat kembali AUTO", () => {
+  const cfg = build_cfg_from_params({ sim_s: 1800 });
+  cfg.TEST.mode_changes = [{ t: 300, loop: "TIC101", mode: "MAN" }, { t: 900, loop: "TIC101", mode: "AUTO" }];
+  cfg.TEST.sp_steps = [{ t: 600, key: "T_feed_out", delta: 3.0 }];
+  const { log } = simulate(cfg);
+  const u = log.u_steam_pre;
+  const i = log.t.indexOf(900);
+
+  for (let k = log.t.indexOf(300); k < i; k++) assert.equal(u[k], u[i - 1]);
+  assert.ok(Math.abs(u[i] - u[i - 1]) < 0.2, `bump ${u[i] - u[i - 1]}`);
+});
+
+test("backend plant dari luar modul: tag tambahan tercatat, tag wajib diturunkan dari cfg", () => {
+  // plant konstan di titik operasi nominal + tag sendiri (P_col), tanpa flow steam / draw
+  const nominal = {
+    F_feed: 50, T_feed_out: 120, T_reb: 165, TT106: 95, TT201: 99, T_cond_out: 35,
+    F_reflux: 50, L_v201: 50, rho15: 0.74, P_col: 1.2,
+  };
+  registerPlant("flat", {
+    tags: Object.fromEntries(Object.keys(nominal).map((k) => [k, { unit: "", noise: 0 }])),
+    create: () => ({ reset() {}, update: () => ({ ...nominal, analyzer_ok: true }) }),
+  });
+
+  const cfg = build_cfg_from_params({ sim_s: 60, backend: "flat" });
+  const { log } = simulate(cfg);
+  assert.equal(log.P_col.length, log.t.length);
+  assert.ok(log.P_col.every((x) => x === 1.2));
+  assert.equal(chart_row(log, 0, cfg).TAG_P_col, 1.2);
+
+  // slave cascade FIC-102 membaca F_steam -> baru wajib saat cascade TIC-102 aktif
+  assert.throws(() => simulate(build_cfg_from_params({ sim_s: 60, backend: "flat", casTIC102: true })), /F_steam/);
+  assert.throws(() => registerPlant("clash", { tags: { route: {} }, create: () => null }), /route/);
+});
+
+test("FOPDT zoh: dead time kelipatan dt = respons step analitik", () => {
+  const K = 2.0, tau = 30.0, n = 5, dt = 2.0;
+  const g = new FOPDTDev(K, tau, n * dt, 0.0, 0.0, dt);
+  for (let k = 0; k < 60; k++) {
+    // +1 sampel: input step ini = OP dari step sebelumnya
+    const expected = k > n ? K * (1 - Math.exp(-(k - n) * dt / tau)) : 0.0;
+    assert.ok(Math.abs(g.update(1.0) - expected) < 1e-12, `k = ${k}`);
+  }
+});
+
+test("FOPDT zoh: dead time pecahan di antara dua kelipatan dt", () => {
+  const resp = (theta) => {
+    const g = new FOPDTDev(2.0, 30.0, theta, 0.0, 0.0, 1.0);
+    return Array.from({ length: 300 }, () => g.update(1.0));
+  };
+  const lo = resp(5.0), mid = resp(5.5), hi = resp(6.0);
+
+  // sampel pertama setelah dead time: input tertunda baru (1 - f) bagian
+  assert.equal(mid[5], 0.0);
+  assert.ok(Math.abs(mid[6] - 0.5 * lo[6]) < 1e-12);
+  for (let k = 7; k < mid.length; k++) assert.ok(hi[k] < mid[k] && mid[k] < lo[k], `k = ${k}`);
+  assert.ok(Math.abs(mid.at(-1) - 2.0) < 1e-3);
+});
+
+test("identifikasi LS (fit_model) mengembalikan parameter FOPDT dengan dead time pecahan", () => {
+  const g = new FOPDTDev(1.5, 40.0, 7.4, 10.0, 20.0, 1.0);
+  const t = [], u = [], y = [];
+  for (let k = 0; k < 400; k++) {
+    const uk = k >= 50 ? 25.0 : 20.0;
+    t.push(k); u.push(uk); y.push(g.update(uk));
+  }
+
+  const fit = fit_model({ t, u, y, dt: 1.0 });
+  assert.ok(Math.abs(fit.K - 1.5) < 1e-3, `K ${fit.K}`);
+  assert.ok(Math.abs(fit.tau - 40.0) < 0.05, `tau ${fit.tau}`);
+  assert.ok(Math.abs(fit.theta - 7.4) < 0.02, `theta ${fit.theta}`);
+  assert.ok(Math.abs(fit.y0 - 10.0) < 1e-3, `y0 ${fit.y0}`);
+  assert.ok(fit.R2 > 0.9999);
+});
+
+test("valve stiction (choudhury): lengket sampai input lewat S, slip J, lengket lagi saat balik arah", () => {
+  const S = 4.0, J = 1.0;
+  const v = new Valve({ model: "choudhury", S, J, dt: 1.0 });
+  v.reset(50.0);
+
+  // naik 0.5 %/step: diam selama |op - 50| <= S
+  const up = [];
+  for (let op = 50.5; op <= 58; op += 0.5) up.push([op, v.update(op)]);
+  for (const [op, pos] of up) if (op <= 50 + S) assert.equal(pos, 50.0, `op ${op}`);
+
+  // breakaway di op 54.5 -> lompat ke op - (S - J) / 2, lalu ikut op dengan offset sama
+  const moving = up.filter(([op]) => op > 50 + S);
+  assert.equal(moving[0][1], 54.5 - (S - J) / 2);
+  for (const [op, pos] of moving) assert.equal(pos, op - (S - J) / 2);
+
+  // balik arah dari 58: diam sampai op turun lebih dari S
+  const stuck = v.pos;
+  for (let op = 57.5; op >= 54; op -= 0.5) assert.equal(v.update(op), stuck, `op ${op}`);
+  assert.equal(v.update(53.5), 53.5 + (S - J) / 2);
+});
+
+test("valve tanpa model = posisi sama dengan OP", () => {
+  const v = new Valve({ model: "none", dt: 1.0 });
+  v.reset(30.0);
+  for (const op of [30, 31.3, 29.9, 45, 44.99, 0, 100]) assert.equal(v.update(op), op);
+});